@@ -0,0 +1,69 @@
+// App-shell service worker. Firestore keeps its own offline cache in IndexedDB, so this only
+// caches the page, the built assets and the third-party fonts and Spline scene.
+//
+// Bump VERSION when the caching rules change; hashed assets under /assets/ never need it.
+
+const VERSION = 'v1'
+const SHELL_CACHE = `jpl-shell-${VERSION}`
+const RUNTIME_CACHE = `jpl-runtime-${VERSION}`
+const SHELL = ['/', '/index.html', '/manifest.webmanifest', '/favicon.svg', '/flame-icon.svg']
+
+// Cross-origin hosts worth keeping for offline use; everything else (Firestore, Auth) passes through
+const RUNTIME_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdn.jsdelivr.net', 'prod.spline.design', 'unpkg.com']
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL)).then(() => self.skipWaiting()))
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== SHELL_CACHE && k !== RUNTIME_CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim()),
+  )
+})
+
+// Network first so a deploy shows up straight away; the cached shell when offline
+async function navigate(request) {
+  try {
+    const response = await fetch(request)
+    if (response.ok) (await caches.open(SHELL_CACHE)).put('/index.html', response.clone())
+    return response
+  } catch (e) {
+    return (await caches.match('/index.html')) || Response.error()
+  }
+}
+
+// Hashed build output never changes, so the cache wins
+async function cacheFirst(request) {
+  const cached = await caches.match(request)
+  if (cached) return cached
+  const response = await fetch(request)
+  if (response.ok) (await caches.open(RUNTIME_CACHE)).put(request, response.clone())
+  return response
+}
+
+// Serve what we have, refresh it in the background
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(RUNTIME_CACHE)
+  const cached = await cache.match(request)
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone())
+      return response
+    })
+    .catch(() => cached || Response.error())
+  return cached || network
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+
+  if (request.mode === 'navigate' && url.origin === self.location.origin) event.respondWith(navigate(request))
+  else if (url.origin === self.location.origin && url.pathname.startsWith('/assets/')) event.respondWith(cacheFirst(request))
+  else if (url.origin === self.location.origin && SHELL.includes(url.pathname)) event.respondWith(staleWhileRevalidate(request))
+  else if (RUNTIME_HOSTS.includes(url.hostname)) event.respondWith(staleWhileRevalidate(request))
+})
@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+// Loads a season definition (teams, squads, fixtures, contests) into Firestore.
+//
+//   npm run load-season -- --app-id <appId> [--file seasons/jpl-2025.json] [--seed 42] [--reset]
+//
+// Set FIRESTORE_EMULATOR_HOST=localhost:8080 to load into the emulator instead. Outside the
+// emulator the Admin SDK uses GOOGLE_APPLICATION_CREDENTIALS and bypasses firestore.rules.
+//
+// Loading is idempotent: documents have fixed IDs and are merged, and matches that have
+// already started are never overwritten. --reset deletes all league data first. Mock career
+// stats come from a seeded PRNG, so the same --seed always produces the same season; they are
+// only written for players not already loaded.
+
+import { readFile } from 'node:fs/promises'
+import { initializeApp } from 'firebase-admin/app'
+import { FieldValue, Timestamp, getFirestore } from 'firebase-admin/firestore'
+import { CURRENT_RULES_VERSION } from '../src/lib/fantasy.js'
+
+const LEAGUE_COLLECTIONS = ['teams', 'players', 'matches', 'fixtures', 'fantasy_contests', 'meta']
+const BATCH_SIZE = 400 // Firestore allows 500 writes per batch
+
+function parseArgs(argv) {
+  const args = { file: 'seasons/jpl-2025.json', reset: false }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--reset') args.reset = true
+    else if (arg === '--file') args.file = argv[++i]
+    else if (arg === '--app-id') args.appId = argv[++i]
+    else if (arg === '--project') args.projectId = argv[++i]
+    else if (arg === '--seed') args.seed = Number(argv[++i])
+    else throw new Error(`Unknown option ${arg}`)
+  }
+  if (!args.appId) throw new Error('--app-id is required (the value the client gets as window.__app_id).')
+  if (args.seed != null && !Number.isInteger(args.seed)) throw new Error('--seed must be an integer.')
+  return args
+}
+
+// mulberry32: small, fast and good enough for mock stats
+function createRandom(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+function mockStats(random, role) {
+  const int = (min, max) => min + Math.floor(random() * (max - min + 1))
+  const dec = (min, max) => Number((min + random() * (max - min)).toFixed(2))
+  const bowls = role !== 'Batsman'
+  const bats = role !== 'Bowler'
+  return {
+    batting: {
+      runs: bats ? int(150, 450) : int(10, 80),
+      avg: bats ? dec(20, 45) : dec(5, 15),
+      sr: bats ? dec(115, 165) : dec(70, 110),
+      fifties: bats ? int(0, 4) : 0,
+      hundreds: bats && random() < 0.15 ? 1 : 0,
+      fours: bats ? int(10, 45) : int(0, 6),
+      sixes: bats ? int(5, 25) : int(0, 3),
+      highest: bats ? int(40, 105) : int(5, 25),
+    },
+    bowling: {
+      wickets: bowls ? int(6, 22) : int(0, 2),
+      avg: bowls ? dec(15, 30) : null,
+      economy: bowls ? dec(6, 9.5) : null,
+      best: bowls ? `${int(2, 5)}/${int(12, 30)}` : null,
+    },
+  }
+}
+
+function validateSeason(season) {
+  const teamIds = new Set(season.teams.map((t) => t.id))
+  const playerIds = new Set()
+  for (const t of season.teams) {
+    for (const p of t.squad || []) {
+      if (playerIds.has(p.id)) throw new Error(`Duplicate player id ${p.id}`)
+      playerIds.add(p.id)
+    }
+  }
+  const fixtureIds = new Set()
+  for (const f of season.fixtures) {
+    if (!teamIds.has(f.teams?.a) || !teamIds.has(f.teams?.b)) throw new Error(`Fixture ${f.id} names an unknown team`)
+    if (Number.isNaN(new Date(f.date).getTime())) throw new Error(`Fixture ${f.id} has an invalid date`)
+    fixtureIds.add(f.id)
+  }
+  for (const c of season.contests || []) {
+    if (!fixtureIds.has(c.matchId)) throw new Error(`Contest ${c.id} is on unknown match ${c.matchId}`)
+  }
+}
+
+/** Every document to write, as [collection, id, data]. */
+function buildDocs(season, { random, existing }) {
+  const docs = []
+  const overs = season.overs || 20
+
+  for (const t of season.teams) {
+    docs.push(['teams', t.id, {
+      id: t.id,
+      name: t.name,
+      logoUrl: t.logoUrl || `https://api.dicebear.com/7.x/shapes/svg?seed=${encodeURIComponent(t.name)}`,
+      colors: t.colors,
+      slogan: t.slogan || null,
+      season: season.season,
+    }])
+    for (const p of t.squad || []) {
+      // Always drawn so the seed gives the same stats, but only new players get them: once a
+      // season is under way batting/bowling are real aggregates from recomputePlayerAggregates
+      const stats = mockStats(random, p.role)
+      docs.push(['players', p.id, {
+        id: p.id,
+        teamId: t.id,
+        name: p.name,
+        role: p.role,
+        photoUrl: p.photoUrl || `https://api.dicebear.com/7.x/thumbs/svg?seed=${encodeURIComponent(p.id)}`,
+        ...(existing.players[p.id] ? {} : stats),
+      }])
+    }
+  }
+
+  for (const f of season.fixtures) {
+    const date = new Date(f.date)
+    docs.push(['fixtures', f.id, { id: f.id, date: date.toISOString(), teams: f.teams, venue: f.venue, status: existing.matches[f.id]?.status || 'upcoming' }])
+    // Never clobber a match the scorer has already started
+    if (existing.matches[f.id] && existing.matches[f.id].status !== 'upcoming') continue
+    docs.push(['matches', f.id, {
+      id: f.id,
+      status: 'upcoming',
+      lockAt: Timestamp.fromDate(date),
+      info: { date: date.toISOString(), venue: f.venue, teams: f.teams, toss: null, overs },
+      liveState: null,
+      scorecards: null,
+    }])
+  }
+
+  for (const c of season.contests || []) {
+    const current = existing.contests[c.id]
+    docs.push(['fantasy_contests', c.id, {
+      id: c.id,
+      matchId: c.matchId,
+      name: c.name,
+      isPublic: true,
+      maxEntries: c.maxEntries || null,
+      prizeInfo: c.prizeInfo || null,
+      rulesVersion: current?.rulesVersion || c.rulesVersion || CURRENT_RULES_VERSION,
+      // Reloading must not reset who has joined
+      entryCount: current?.entryCount || 0,
+      status: current?.status || 'open',
+    }])
+  }
+
+  // Zeroed table until the first result; same row shape as computePointsTable
+  const entries = season.teams.map((t) => ({
+    teamId: t.id, P: 0, W: 0, L: 0, T: 0, NR: 0, Pts: 0, NRR: 0, runsFor: 0, ballsFaced: 0, runsAgainst: 0, ballsBowled: 0, form: [],
+  }))
+  if (!existing.meta.points_table) docs.push(['meta', 'points_table', { entries }])
+  docs.push(['meta', 'season', { season: season.season, overs, teamIds: season.teams.map((t) => t.id) }])
+  return docs
+}
+
+async function readExisting(base) {
+  const byId = async (name) => {
+    const snap = await base(name).get()
+    return Object.fromEntries(snap.docs.map((d) => [d.id, d.data()]))
+  }
+  const [players, matches, contests, meta] = await Promise.all([byId('players'), byId('matches'), byId('fantasy_contests'), byId('meta')])
+  return { players, matches, contests, meta }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  const season = JSON.parse(await readFile(args.file, 'utf8'))
+  validateSeason(season)
+
+  initializeApp(args.projectId ? { projectId: args.projectId } : undefined)
+  const db = getFirestore()
+  const basePath = `artifacts/${args.appId}/public/data/jpl_stats/league`
+  const base = (name) => db.collection(`${basePath}/${name}`)
+
+  if (args.reset) {
+    for (const name of LEAGUE_COLLECTIONS) await db.recursiveDelete(base(name))
+    console.log(`Reset ${LEAGUE_COLLECTIONS.join(', ')}`)
+  }
+
+  const seed = args.seed ?? Date.now() % 2 ** 31
+  const docs = buildDocs(season, { random: createRandom(seed), existing: await readExisting(base) })
+
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    const batch = db.batch()
+    for (const [name, id, data] of docs.slice(i, i + BATCH_SIZE)) {
+      batch.set(base(name).doc(id), { ...data, updatedAt: FieldValue.serverTimestamp() }, { merge: true })
+    }
+    await batch.commit()
+  }
+
+  console.log(`Loaded season ${season.season}: ${docs.length} documents into ${basePath} (seed ${seed})`)
+}
+
+main().catch((e) => {
+  console.error(e.message || e)
+  process.exit(1)
+})
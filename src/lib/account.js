@@ -0,0 +1,104 @@
+// Upgrading a guest (anonymous) session to a real account. Linking keeps the uid, so
+// everything under users/{uid} (saved teams, contest entries) carries over. If the email or
+// Google account already belongs to someone, we can only switch to it: the guest's data stays
+// with the guest uid.
+
+import {
+  EmailAuthProvider,
+  GoogleAuthProvider,
+  isSignInWithEmailLink,
+  linkWithCredential,
+  linkWithPopup,
+  sendSignInLinkToEmail,
+  signInAnonymously,
+  signInWithCredential,
+  signInWithPopup,
+  signOut,
+  updateProfile,
+} from 'firebase/auth'
+import { serverTimestamp, setDoc } from 'firebase/firestore'
+
+const EMAIL_KEY = 'jpl_signin_email'
+const SWITCH_KEY = 'jpl_signin_switch'
+const ALREADY_IN_USE = ['auth/credential-already-in-use', 'auth/email-already-in-use']
+
+const confirmSwitch = () =>
+  window.confirm('That account already exists. Switch to it? Teams you made as a guest on this device stay with the guest session.')
+
+export const avatarUrl = (seed) => `https://api.dicebear.com/7.x/thumbs/svg?seed=${encodeURIComponent(seed)}`
+
+export async function sendEmailLink(auth, email) {
+  await sendSignInLinkToEmail(auth, email, { url: `${window.location.origin}/`, handleCodeInApp: true })
+  window.localStorage.setItem(EMAIL_KEY, email)
+}
+
+/**
+ * Finishes an email-link sign-in if the page was opened from one. Returns true when it did.
+ * A guest session is linked rather than replaced.
+ */
+export async function completeEmailLink(auth) {
+  const href = window.location.href
+  if (!isSignInWithEmailLink(auth, href)) return false
+  // Opened on another device: we never stored the address there
+  const email = window.localStorage.getItem(EMAIL_KEY) || window.prompt('Confirm your email to finish signing in')
+  if (!email) return false
+  // A link sent to switch accounts signs straight in; the guest has already agreed to leave
+  const switching = window.localStorage.getItem(SWITCH_KEY) === email
+  window.localStorage.removeItem(EMAIL_KEY)
+  window.localStorage.removeItem(SWITCH_KEY)
+  window.history.replaceState(null, '', window.location.pathname)
+  const credential = EmailAuthProvider.credentialWithLink(email, href)
+  try {
+    if (auth.currentUser?.isAnonymous && !switching) await linkWithCredential(auth.currentUser, credential)
+    else await signInWithCredential(auth, credential)
+  } catch (e) {
+    if (!ALREADY_IN_USE.includes(e.code) || !confirmSwitch()) throw e
+    // Each link works once and the failed link used this one up, so switching takes a fresh one
+    await sendEmailLink(auth, email)
+    window.localStorage.setItem(SWITCH_KEY, email)
+    window.alert(`We've sent a new link to ${email}. Open it to switch to that account.`)
+  }
+  return true
+}
+
+export async function signInWithGoogle(auth) {
+  const provider = new GoogleAuthProvider()
+  if (!auth.currentUser?.isAnonymous) return signInWithPopup(auth, provider)
+  try {
+    return await linkWithPopup(auth.currentUser, provider)
+  } catch (e) {
+    return switchOnConflict(auth, e, GoogleAuthProvider.credentialFromError(e))
+  }
+}
+
+/**
+ * Links a reusable credential, such as Google's, to the guest session, or signs in with it
+ * when there is no guest. The popup-free half of signInWithGoogle, which tests/auth drives.
+ */
+export async function linkCredential(auth, credential) {
+  try {
+    if (auth.currentUser?.isAnonymous) return await linkWithCredential(auth.currentUser, credential)
+    return await signInWithCredential(auth, credential)
+  } catch (e) {
+    return switchOnConflict(auth, e, credential)
+  }
+}
+
+// Linking failed because the account exists: switch to it if the user agrees, else rethrow
+async function switchOnConflict(auth, error, credential) {
+  if (!ALREADY_IN_USE.includes(error.code) || !credential || !confirmSwitch()) throw error
+  return signInWithCredential(auth, credential)
+}
+
+// The app always needs a user, so signing out drops back to a fresh guest session
+export async function signOutToGuest(auth) {
+  await signOut(auth)
+  await signInAnonymously(auth)
+}
+
+/** Display name and avatar on the Auth profile and on users/{uid} for other players to see. */
+export async function saveProfile(auth, dbRefs, { displayName, photoURL }) {
+  const user = auth.currentUser
+  await updateProfile(user, { displayName, photoURL })
+  await setDoc(dbRefs.userDoc(user.uid), { displayName, photoURL, updatedAt: serverTimestamp() }, { merge: true })
+}
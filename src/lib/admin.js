@@ -0,0 +1,268 @@
+// Admin edits to league data: teams, players, fixtures (with their match docs) and fantasy
+// contests. Forms validate with the functions here, and every write lands in one batch with an
+// admin_log entry recording who changed which fields.
+
+import { doc, limit, orderBy, query, serverTimestamp, Timestamp, writeBatch } from 'firebase/firestore'
+import { CURRENT_RULES_VERSION } from './fantasy'
+import { DEFAULT_OVERS } from './matchEngine'
+import { PLAYER_ROLES } from './playerStats'
+
+export const ADMIN_LOG_PAGE_SIZE = 30
+export const adminLogCol = (dbRefs) => dbRefs.col('admin_log')
+
+/** Newest change-history entries first. */
+export const adminLogQuery = (dbRefs, count = ADMIN_LOG_PAGE_SIZE) => query(adminLogCol(dbRefs), orderBy('at', 'desc'), limit(count))
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i
+const MAX_OVERS = 50
+
+const trim = (v) => String(v ?? '').trim()
+export const slug = (v) => trim(v).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')
+const pick = (obj, keys) => Object.fromEntries(keys.filter((k) => k in obj).map((k) => [k, obj[k]]))
+
+function isUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol)
+  } catch {
+    return false
+  }
+}
+
+/** `base`, or `base_2`, `base_3`... if that id is taken. */
+export function uniqueId(base, takenIds) {
+  const taken = new Set(takenIds)
+  if (!taken.has(base)) return base
+  let n = 2
+  while (taken.has(`${base}_${n}`)) n += 1
+  return `${base}_${n}`
+}
+
+// Each validator returns { [field]: message }; an empty object means the values are good
+
+export function validateTeam(values, { teams = [], id = null } = {}) {
+  const errors = {}
+  const name = trim(values.name)
+  if (!name) errors.name = 'Name is required.'
+  else if (name.length > 40) errors.name = 'Keep the name under 40 characters.'
+  else if (teams.some((t) => t.id !== id && trim(t.name).toLowerCase() === name.toLowerCase())) errors.name = 'Another team already has this name.'
+  if (trim(values.logoUrl) && !isUrl(trim(values.logoUrl))) errors.logoUrl = 'Enter a full http(s) URL, or leave it blank.'
+  if (!HEX_COLOR.test(values.primary || '')) errors.primary = 'Use a hex colour like #F59E0B.'
+  if (!HEX_COLOR.test(values.secondary || '')) errors.secondary = 'Use a hex colour like #10B981.'
+  if (trim(values.slogan).length > 120) errors.slogan = 'Keep the slogan under 120 characters.'
+  return errors
+}
+
+export function validatePlayer(values, { teams = [], players = [], id = null } = {}) {
+  const errors = {}
+  const name = trim(values.name)
+  if (!name) errors.name = 'Name is required.'
+  else if (name.length > 60) errors.name = 'Keep the name under 60 characters.'
+  else if (players.some((p) => p.id !== id && p.teamId === values.teamId && trim(p.name).toLowerCase() === name.toLowerCase())) {
+    errors.name = 'This team already has a player with this name.'
+  }
+  if (!teams.some((t) => t.id === values.teamId)) errors.teamId = 'Pick a team.'
+  if (!PLAYER_ROLES.includes(values.role)) errors.role = 'Pick a role.'
+  if (trim(values.photoUrl) && !isUrl(trim(values.photoUrl))) errors.photoUrl = 'Enter a full http(s) URL, or leave it blank.'
+  return errors
+}
+
+export function validateFixture(values, { teams = [] } = {}) {
+  const errors = {}
+  const teamIds = teams.map((t) => t.id)
+  if (!values.date || Number.isNaN(new Date(values.date).getTime())) errors.date = 'Pick a date and time.'
+  if (!trim(values.venue)) errors.venue = 'Venue is required.'
+  if (!teamIds.includes(values.a)) errors.a = 'Pick a team.'
+  if (!teamIds.includes(values.b)) errors.b = 'Pick a team.'
+  else if (values.a === values.b) errors.b = 'A team cannot play itself.'
+  const overs = Number(values.overs)
+  if (!Number.isInteger(overs) || overs < 1 || overs > MAX_OVERS) errors.overs = `Overs must be a whole number from 1 to ${MAX_OVERS}.`
+  if (values.tossWinner && ![values.a, values.b].includes(values.tossWinner)) errors.tossWinner = 'The toss winner must be one of the two teams.'
+  if (values.tossWinner && !['bat', 'bowl'].includes(values.tossDecision)) errors.tossDecision = 'Pick bat or bowl.'
+  return errors
+}
+
+export function validateContest(values, { matches = [], contest = null } = {}) {
+  const errors = {}
+  if (!trim(values.name)) errors.name = 'Name is required.'
+  else if (trim(values.name).length > 60) errors.name = 'Keep the name under 60 characters.'
+  const match = matches.find((m) => m.id === values.matchId)
+  if (!match) errors.matchId = 'Pick a match.'
+  else if (!contest && match.status !== 'upcoming') errors.matchId = 'Contests can only be added to upcoming matches.'
+  if (trim(values.maxEntries)) {
+    const max = Number(values.maxEntries)
+    const joined = contest?.entryCount || 0
+    if (!Number.isInteger(max) || max < 1) errors.maxEntries = 'Enter a whole number, or leave it blank for no limit.'
+    else if (max < joined) errors.maxEntries = `${joined} users have already joined.`
+  }
+  if (trim(values.prizeInfo).length > 200) errors.prizeInfo = 'Keep the prize text under 200 characters.'
+  return errors
+}
+
+// Form values → Firestore fields, and back
+
+export function teamFields(values) {
+  const name = trim(values.name)
+  return {
+    name,
+    logoUrl: trim(values.logoUrl) || `https://api.dicebear.com/7.x/shapes/svg?seed=${encodeURIComponent(name)}`,
+    colors: { primary: values.primary.toUpperCase(), secondary: values.secondary.toUpperCase() },
+    slogan: trim(values.slogan) || null,
+  }
+}
+
+export const teamValues = (team) => ({
+  name: team?.name || '',
+  logoUrl: team?.logoUrl || '',
+  primary: team?.colors?.primary || '#F59E0B',
+  secondary: team?.colors?.secondary || '#10B981',
+  slogan: team?.slogan || '',
+})
+
+export function playerFields(values, id) {
+  return {
+    name: trim(values.name),
+    teamId: values.teamId,
+    role: values.role,
+    photoUrl: trim(values.photoUrl) || `https://api.dicebear.com/7.x/thumbs/svg?seed=${encodeURIComponent(id)}`,
+  }
+}
+
+export const playerValues = (player) => ({
+  name: player?.name || '',
+  teamId: player?.teamId || '',
+  role: player?.role || PLAYER_ROLES[0],
+  photoUrl: player?.photoUrl || '',
+})
+
+/** The fixture doc and the match fields it drives, as saveFixtures writes them. */
+export function fixtureFields(values, id, existingMatch = null) {
+  const date = new Date(values.date)
+  const teams = { a: values.a, b: values.b }
+  const venue = trim(values.venue)
+  const toss = values.tossWinner ? { winner: values.tossWinner, decision: values.tossDecision } : null
+  return {
+    fixture: { id, date: date.toISOString(), teams, venue, status: existingMatch?.status || 'upcoming' },
+    match: {
+      id,
+      status: existingMatch?.status || 'upcoming',
+      lockAt: Timestamp.fromDate(date),
+      info: { ...(existingMatch?.info || { stage: 'league' }), date: date.toISOString(), venue, teams, toss, overs: Number(values.overs) },
+      ...(existingMatch ? {} : { liveState: null, scorecards: null }),
+    },
+  }
+}
+
+// datetime-local inputs work in local time without a zone
+const localInput = (iso) => {
+  if (!iso) return ''
+  const d = new Date(iso)
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+export const fixtureValues = (match, fixture) => ({
+  date: localInput(match?.info?.date || fixture?.date),
+  venue: match?.info?.venue || fixture?.venue || '',
+  a: match?.info?.teams?.a || fixture?.teams?.a || '',
+  b: match?.info?.teams?.b || fixture?.teams?.b || '',
+  overs: match?.info?.overs || DEFAULT_OVERS,
+  tossWinner: match?.info?.toss?.winner || '',
+  tossDecision: match?.info?.toss?.decision || 'bat',
+})
+
+export function contestFields(values, id, existing = null) {
+  return {
+    id,
+    matchId: values.matchId,
+    name: trim(values.name),
+    maxEntries: trim(values.maxEntries) ? Number(values.maxEntries) : null,
+    prizeInfo: trim(values.prizeInfo) || null,
+    // New contests are public; joins and status stay with the contest
+    ...(existing ? {} : { isPublic: true, entryCount: 0, status: 'open', rulesVersion: CURRENT_RULES_VERSION }),
+  }
+}
+
+export const contestValues = (contest) => ({
+  name: contest?.name || '',
+  matchId: contest?.matchId || '',
+  maxEntries: contest?.maxEntries ? String(contest.maxEntries) : '',
+  prizeInfo: contest?.prizeInfo || '',
+})
+
+// Deletes that would leave other documents pointing at nothing are refused with a reason
+
+export function teamDeleteBlocker(teamId, { players = [], matches = [] }) {
+  const squad = players.filter((p) => p.teamId === teamId).length
+  if (squad) return `Move or delete its ${squad} player${squad === 1 ? '' : 's'} first.`
+  const games = matches.filter((m) => [m.info?.teams?.a, m.info?.teams?.b].includes(teamId)).length
+  if (games) return `It is in ${games} fixture${games === 1 ? '' : 's'}; delete or reassign those first.`
+  return null
+}
+
+export function playerDeleteBlocker(playerId, { matches = [] }) {
+  const played = matches.some((m) => [...(m.scorecards?.batsmen || []), ...(m.scorecards?.bowlers || [])].some((row) => row.playerId === playerId))
+  return played ? 'They have match records. Move them to another team instead.' : null
+}
+
+export function fixtureDeleteBlocker(match, { contests = [] }) {
+  if (match && match.status !== 'upcoming') return 'Only upcoming fixtures can be deleted; this match has started.'
+  const joined = contests.filter((c) => c.matchId === match?.id && (c.entryCount || 0) > 0).length
+  if (joined) return `${joined} contest${joined === 1 ? ' has' : 's have'} entries on this match.`
+  return null
+}
+
+export function contestDeleteBlocker(contest) {
+  return (contest.entryCount || 0) > 0 ? `${contest.entryCount} users have joined; it can no longer be deleted.` : null
+}
+
+// Fields whose values differ, as [{ field, from, to }] with nested objects flattened to dot paths
+export function diffFields(before = {}, after = {}, prefix = '') {
+  const changes = []
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+  for (const key of keys) {
+    const from = before?.[key] ?? null
+    const to = after?.[key] ?? null
+    const path = prefix ? `${prefix}.${key}` : key
+    const nested = (v) => v && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Timestamp)
+    if (nested(from) || nested(to)) changes.push(...diffFields(nested(from) ? from : {}, nested(to) ? to : {}, path))
+    else if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field: path, from, to })
+  }
+  return changes
+}
+
+// Timestamps can't be compared or shown as JSON; the log keeps them as ISO strings
+const loggable = (v) => (v instanceof Timestamp ? v.toDate().toISOString() : v)
+
+/**
+ * Applies one admin change in a single batch with its change-history entry.
+ * `writes` are [{ col, id, data }] where data null deletes; the first write is the one logged,
+ * with `before` its current doc (or null when creating).
+ */
+export async function adminWrite(dbRefs, user, { action, label, writes, before = null }) {
+  const [main] = writes
+  const changes = diffFields(before ? pick(before, Object.keys(main.data || before)) : {}, main.data || {}).map((c) => ({
+    field: c.field,
+    from: loggable(c.from),
+    to: loggable(c.to),
+  }))
+  if (action === 'update' && changes.length === 0) return false
+
+  const batch = writeBatch(dbRefs.db)
+  for (const { col, id, data } of writes) {
+    const ref = doc(dbRefs.col(col), id)
+    if (data == null) batch.delete(ref)
+    else if (action === 'update') batch.set(ref, { ...data, updatedAt: serverTimestamp() }, { merge: true })
+    else batch.set(ref, { ...data, updatedAt: serverTimestamp() })
+  }
+  batch.set(doc(adminLogCol(dbRefs)), {
+    collection: main.col,
+    docId: main.id,
+    action,
+    label: label || main.id,
+    changes: action === 'delete' ? [] : changes,
+    uid: user.uid,
+    by: user.displayName || user.email || 'Admin',
+    at: serverTimestamp(),
+  })
+  await batch.commit()
+  return true
+}
@@ -0,0 +1,41 @@
+// Per-user alert settings at users/{uid}/settings/alerts: followed teams and players, which
+// event types to hear about, and whether to show browser notifications.
+
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react'
+import { arrayRemove, arrayUnion, doc, onSnapshot, setDoc } from 'firebase/firestore'
+import { DEFAULT_ALERT_SETTINGS } from './alerts'
+
+const AlertSettingsContext = createContext(null)
+
+export function AlertSettingsProvider({ dbRefs, uid, children }) {
+  const [stored, setStored] = useState(null)
+  const ref = useMemo(() => (dbRefs && uid ? doc(dbRefs.userDoc(uid), 'settings', 'alerts') : null), [dbRefs, uid])
+
+  useEffect(() => {
+    if (!ref) return undefined
+    return onSnapshot(
+      ref,
+      (d) => setStored(d.data() || null),
+      (e) => console.error('Alert settings subscription failed:', e),
+    )
+  }, [ref])
+
+  const value = useMemo(() => {
+    const settings = { ...DEFAULT_ALERT_SETTINGS, ...stored, events: { ...DEFAULT_ALERT_SETTINGS.events, ...stored?.events } }
+    const save = (patch) => ref && setDoc(ref, patch, { merge: true }).catch((e) => console.error('Saving alert settings failed:', e))
+    return {
+      settings,
+      isFollowing: (kind, id) => settings[kind].includes(id),
+      // kind is 'teams' or 'players'
+      toggleFollow: (kind, id) => save({ [kind]: settings[kind].includes(id) ? arrayRemove(id) : arrayUnion(id) }),
+      setEvent: (type, on) => save({ events: { [type]: on } }),
+      setBrowser: (on) => save({ browser: on }),
+    }
+  }, [stored, ref])
+
+  return <AlertSettingsContext.Provider value={value}>{children}</AlertSettingsContext.Provider>
+}
+
+export function useAlertSettings() {
+  return useContext(AlertSettingsContext)
+}
@@ -0,0 +1,80 @@
+// Match alerts: events worth telling a fan about, found by diffing two snapshots of a match doc.
+
+import { isFinished } from './matchEngine'
+
+export const ALERT_TYPES = [
+  { key: 'toss', label: 'Toss results' },
+  { key: 'start', label: 'Match start' },
+  { key: 'wicket', label: 'Wickets' },
+  { key: 'milestone', label: 'Fifties and hundreds' },
+  { key: 'result', label: 'Results' },
+]
+
+export const DEFAULT_ALERT_SETTINGS = {
+  teams: [],
+  players: [],
+  events: Object.fromEntries(ALERT_TYPES.map((t) => [t.key, true])),
+  browser: false,
+}
+
+const MILESTONES = [50, 100]
+
+const batterKey = (b) => `${b.innings}:${b.playerId}`
+
+/**
+ * Events between two versions of one match, oldest first:
+ * [{ id, type, matchId, teamIds, playerIds, title, body }], plus `alsoTypes` on an alert that
+ * stands for more than one event type.
+ * `names` is { player(id), team(id) } for the text.
+ */
+export function matchEvents(prev, next, names) {
+  if (!prev || !next) return []
+  const events = []
+  const { a, b } = next.info?.teams || {}
+  const teamIds = [a, b].filter(Boolean)
+  const title = `${names.team(a)} vs ${names.team(b)}`
+  const push = (type, key, body, extra = {}) =>
+    events.push({ id: `${next.id}:${type}:${key}`, type, matchId: next.id, teamIds, playerIds: [], title, body, ...extra })
+
+  const toss = next.info?.toss
+  const tossLine = toss?.winner && !prev.info?.toss?.winner ? `${names.team(toss.winner)} won the toss and chose to ${toss.decision}.` : null
+  // The scorer console records the toss as it starts the first innings, so the two share one
+  // alert, sent to fans who want either
+  if (prev.status === 'upcoming' && next.status === 'live') {
+    push('start', 'start', [tossLine, 'The match has started.'].filter(Boolean).join(' '), tossLine ? { alsoTypes: ['toss'] } : {})
+  } else if (tossLine) {
+    push('toss', 'toss', tossLine)
+  }
+
+  const before = Object.fromEntries((prev.scorecards?.batsmen || []).map((x) => [batterKey(x), x]))
+  for (const batter of next.scorecards?.batsmen || []) {
+    const old = before[batterKey(batter)] || { runs: 0, out: false }
+    const score = `${batter.runs} (${batter.balls})`
+    for (const m of MILESTONES) {
+      if ((old.runs || 0) < m && batter.runs >= m) {
+        push('milestone', `${batterKey(batter)}:${m}`, `${names.player(batter.playerId)} brings up ${m === 100 ? 'a hundred' : 'a fifty'}: ${score}.`, {
+          playerIds: [batter.playerId],
+        })
+      }
+    }
+    if (batter.out && !old.out) {
+      const bowlerId = batter.dismissal?.bowlerId || null
+      const how = batter.dismissal?.kind ? ` ${batter.dismissal.kind}` : ''
+      push('wicket', batterKey(batter), `OUT! ${names.player(batter.playerId)}${how} for ${score}${bowlerId ? `, b ${names.player(bowlerId)}` : ''}.`, {
+        playerIds: [batter.playerId, bowlerId].filter(Boolean),
+      })
+    }
+  }
+
+  if (!isFinished(prev) && isFinished(next)) {
+    const summary = next.summary || {}
+    push('result', 'result', summary.winner ? `${names.team(summary.winner)} won • ${summary.margin}` : summary.margin || 'Match over.')
+  }
+  return events
+}
+
+/** Whether an event is for something the user follows and an event type they want. */
+export function wantsAlert(event, settings) {
+  if (![event.type, ...(event.alsoTypes || [])].some((type) => settings?.events?.[type])) return false
+  return event.teamIds.some((id) => settings.teams?.includes(id)) || event.playerIds.some((id) => settings.players?.includes(id))
+}
@@ -0,0 +1,86 @@
+// Match commentary lives in matches/{matchId}/commentary, one doc per entry, so a full match
+// never pushes the match doc toward Firestore's size limit. Entries come from applyDelivery
+// (ball lines and end-of-over recaps) or are hand-written notes from the scorer console.
+
+import { collection, deleteField, doc, getDocs, limit, orderBy, query, serverTimestamp, startAfter, updateDoc, where, writeBatch } from 'firebase/firestore'
+
+export const COMMENTARY_PAGE_SIZE = 30
+
+export const COMMENTARY_FILTERS = [
+  { key: 'all', label: 'All', kinds: null },
+  { key: 'wickets', label: 'Wickets', kinds: ['wicket'] },
+  { key: 'boundaries', label: 'Boundaries', kinds: ['four', 'six'] },
+  { key: 'overs', label: 'Over summaries', kinds: ['over'] },
+]
+
+const BATCH_SIZE = 400
+
+export function commentaryCol(dbRefs, matchId) {
+  return collection(doc(dbRefs.col('matches'), matchId), 'commentary')
+}
+
+const seqKey = (seq) => String(seq).padStart(4, '0')
+
+// One ball line and at most one recap per delivery, so undo can delete both by id
+export function commentaryId(seq, part) {
+  return `${seqKey(seq)}_${part}`
+}
+
+export const deliveryCommentaryIds = (seq) => [commentaryId(seq, 'ball'), commentaryId(seq, 'over')]
+
+// Newest first: a ball, then its over recap, then any notes added after it
+function sortOrder(entry) {
+  const offset = entry.kind === 'note' ? 5 : entry.kind === 'over' ? 1 : 0
+  return entry.seq * 10 + offset
+}
+
+/** Firestore doc id and data for an entry returned by applyDelivery. */
+export function commentaryDoc(entry) {
+  const id = commentaryId(entry.seq, entry.kind === 'over' ? 'over' : 'ball')
+  return [id, { ...entry, order: sortOrder(entry), createdAt: serverTimestamp() }]
+}
+
+/** A scorer's own line, placed after the latest ball. */
+export function noteDoc(match, text, authorUid) {
+  const seq = match.liveState?.ballSeq || 0
+  const entry = { seq, innings: match.liveState?.innings ?? null, over: match.liveState?.over ?? null, kind: 'note', text, authorUid }
+  return [commentaryId(seq, `note_${Date.now()}`), { ...entry, order: sortOrder(entry), createdAt: serverTimestamp() }]
+}
+
+/** One page of the feed, newest first. `after` is the last doc snapshot of the previous page. */
+export function commentaryPage(dbRefs, matchId, { filter = 'all', after = null, pageSize = COMMENTARY_PAGE_SIZE } = {}) {
+  const kinds = COMMENTARY_FILTERS.find((f) => f.key === filter)?.kinds
+  const clauses = [...(kinds ? [where('kind', 'in', kinds)] : []), orderBy('order', 'desc'), ...(after ? [startAfter(after)] : []), limit(pageSize)]
+  return query(commentaryCol(dbRefs, matchId), ...clauses)
+}
+
+/** Writes generated entries (e.g. from a Cricsheet import), replacing what was there. */
+export async function saveCommentary(dbRefs, matchId, entries) {
+  const col = commentaryCol(dbRefs, matchId)
+  const existing = await getDocs(col)
+  const ops = [
+    ...existing.docs.map((d) => (batch) => batch.delete(d.ref)),
+    ...entries.map(commentaryDoc).map(([id, data]) => (batch) => batch.set(doc(col, id), data)),
+  ]
+  for (let i = 0; i < ops.length; i += BATCH_SIZE) {
+    const batch = writeBatch(dbRefs.db)
+    ops.slice(i, i + BATCH_SIZE).forEach((op) => op(batch))
+    await batch.commit()
+  }
+}
+
+// Matches scored before the subcollection kept commentary as an array on the match doc, newest
+// first. The oldest lines ({ over, text }) have no seq, so their place in the array stands in.
+export async function migrateCommentary(dbRefs) {
+  const snap = await getDocs(dbRefs.col('matches'))
+  let moved = 0
+  for (const d of snap.docs) {
+    if (!Array.isArray(d.data().commentary)) continue
+    const entries = d.data().commentary.filter(Boolean)
+    const legacy = (e, i) => ({ seq: entries.length - i, innings: null, kind: 'ball', ...e })
+    await saveCommentary(dbRefs, d.id, entries.map((e, i) => (e.seq != null ? e : legacy(e, i))))
+    await updateDoc(d.ref, { commentary: deleteField() })
+    moved += 1
+  }
+  return moved
+}
@@ -0,0 +1,220 @@
+// Fantasy contests and the per-user fantasy tree:
+//   users/{uid}/jpl_fantasy/{matchId}                  one namespace doc per match; its teamCount lets
+//                                                      the rules hold saved XIs to MAX_TEAMS_PER_MATCH
+//   users/{uid}/jpl_fantasy/{matchId}/teams/{teamId}   saved XIs, up to MAX_TEAMS_PER_MATCH
+//   users/{uid}/jpl_fantasy/{matchId}/contests/{id}    contest entries, pointing at one saved team
+//   fantasy_invites/{code}                             private league codes; readable only by someone
+//                                                      who has the code, so they stay off the contest doc
+
+import { collection, deleteField, doc, getDoc, getDocs, increment, limit, orderBy, query, runTransaction, serverTimestamp, setDoc, startAfter, where, writeBatch } from 'firebase/firestore'
+import { CURRENT_RULES_VERSION, SQUAD_RULES } from './fantasy'
+import { isFinished } from './matchEngine'
+import { queuedWrite } from './offline'
+
+// Mirrored in firestore.rules (savedTeamCounted)
+export const MAX_TEAMS_PER_MATCH = 3
+
+// No 0/O/1/I so codes survive being read aloud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+const CODE_LENGTH = 6
+
+export function generateInviteCode() {
+  let code = ''
+  for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)]
+  return code
+}
+
+export const normalizeInviteCode = (code) => String(code || '').trim().toUpperCase()
+
+export const inviteDoc = (dbRefs, code) => doc(dbRefs.col('fantasy_invites'), normalizeInviteCode(code))
+
+// When entries lock: the match's `lockAt` timestamp, falling back to its scheduled start
+export function matchStartsAt(match) {
+  const at = match?.lockAt?.toDate?.() || (match?.info?.date ? new Date(match.info.date) : null)
+  return at && !Number.isNaN(at.getTime()) ? at : null
+}
+
+// Teams and entries can change until the match starts or the scorer goes live, whichever is first
+export function isMatchOpen(match, now = Date.now()) {
+  if (!match || match.status !== 'upcoming') return false
+  const startsAt = matchStartsAt(match)
+  return !startsAt || now < startsAt.getTime()
+}
+
+/** open → locked → completed. The stored status can lag the clock, so the match decides too. */
+export function contestPhase(contest, match, now = Date.now()) {
+  if (contest?.status === 'completed' || isFinished(match)) return 'completed'
+  if (contest?.status === 'locked' || !isMatchOpen(match, now)) return 'locked'
+  return 'open'
+}
+
+export function isContestOpen(contest, match, now = Date.now()) {
+  if (contestPhase(contest, match, now) !== 'open') return false
+  return !(contest.maxEntries && (contest.entryCount || 0) >= contest.maxEntries)
+}
+
+export function formatCountdown(ms) {
+  if (ms <= 0) return '0s'
+  const s = Math.floor(ms / 1000)
+  const d = Math.floor(s / 86400)
+  const h = Math.floor((s % 86400) / 3600)
+  const m = Math.floor((s % 3600) / 60)
+  if (d > 0) return `${d}d ${h}h`
+  if (h > 0) return `${h}h ${m}m`
+  return `${m}m ${s % 60}s`
+}
+
+/** Standard competition ranking ("1, 2, 2, 4") over entries sorted by points. */
+export function rankEntries(entries) {
+  const sorted = [...(entries || [])].sort((a, b) => (b.points || 0) - (a.points || 0))
+  let rank = 0
+  return sorted.map((e, i) => {
+    if (i === 0 || (e.points || 0) !== (sorted[i - 1].points || 0)) rank = i + 1
+    return { ...e, rank }
+  })
+}
+
+// Scored entries, one doc per user: fantasy_contests/{contestId}/leaderboard/{uid}
+export const leaderboardCol = (dbRefs, contestId) => collection(doc(dbRefs.col('fantasy_contests'), contestId), 'leaderboard')
+
+export const LEADERBOARD_PAGE_SIZE = 20
+export const AROUND_ME = 2 // entries shown either side of the user's own
+
+// The paging helpers take any leaderboard collection (contest boards, season predictions)
+// whose docs carry a unique `position`
+
+/** One page of a leaderboard, after the last doc snapshot of the previous page. */
+export function leaderboardPage(boardCol, after = null) {
+  return after ? query(boardCol, orderBy('position'), startAfter(after), limit(LEADERBOARD_PAGE_SIZE)) : query(boardCol, orderBy('position'), limit(LEADERBOARD_PAGE_SIZE))
+}
+
+/** The entries just above and below `position`, the user's own included. */
+export function leaderboardAround(boardCol, position) {
+  return query(
+    boardCol,
+    where('position', '>=', Math.max(1, position - AROUND_ME)),
+    where('position', '<=', position + AROUND_ME),
+    orderBy('position'),
+  )
+}
+
+const fantasyDoc = (dbRefs, uid, matchId) => doc(collection(dbRefs.userDoc(uid), 'jpl_fantasy'), matchId)
+
+// Client-side mirror of the deadline in firestore.rules, so users get a readable error
+async function assertMatchOpen(dbRefs, matchId) {
+  const snap = await getDoc(doc(dbRefs.col('matches'), matchId))
+  if (!isMatchOpen(snap.data())) throw new Error('This match has started. Teams are locked.')
+}
+
+/** Creates (teamId null) or overwrites one saved XI. Returns { teamId, queued } (queued while offline). */
+export async function saveTeam(dbRefs, uid, matchId, teamId, squad) {
+  const root = fantasyDoc(dbRefs, uid, matchId)
+  const teamsCol = collection(root, 'teams')
+  await assertMatchOpen(dbRefs, matchId)
+  const existing = await getDocs(teamsCol)
+  if (!teamId && existing.size >= MAX_TEAMS_PER_MATCH) throw new Error(`You can save up to ${MAX_TEAMS_PER_MATCH} teams per match.`)
+
+  const data = {
+    name: squad.name || `Team ${existing.size + 1}`,
+    players: squad.players,
+    captainId: squad.captainId,
+    viceCaptainId: squad.viceCaptainId,
+    // Credits are snapshotted so later form changes don't reprice the team
+    credits: squad.credits,
+    budgetUsed: squad.budgetUsed,
+    maxPlayers: SQUAD_RULES.size,
+    budgetCap: SQUAD_RULES.budget,
+    updatedAt: serverTimestamp(),
+  }
+  // One batch so an offline edit is queued (and later accepted or rejected) as a unit
+  const ref = teamId ? doc(teamsCol, teamId) : doc(teamsCol)
+  const batch = writeBatch(dbRefs.db)
+  batch.set(root, { matchId, lastActionAt: serverTimestamp(), ...(teamId ? {} : { teamCount: increment(1) }) }, { merge: true })
+  if (teamId) batch.update(ref, data)
+  else batch.set(ref, { ...data, createdAt: serverTimestamp() })
+  const { queued } = await queuedWrite(batch.commit(), `Your edit to ${data.name}`)
+  return { teamId: ref.id, queued }
+}
+
+/**
+ * Enters a saved team into a contest, or swaps the team of an existing entry. Joining someone
+ * else's private league needs its invite code. It is kept in the user's own match doc, which
+ * only they can read, for the rules to check (entries themselves are readable by everyone).
+ */
+export async function enterContest(dbRefs, uid, contest, teamId, inviteCode = null) {
+  const root = fantasyDoc(dbRefs, uid, contest.matchId)
+  const entryRef = doc(collection(root, 'contests'), contest.id)
+  const contestRef = doc(dbRefs.col('fantasy_contests'), contest.id)
+  const code = inviteCode ? normalizeInviteCode(inviteCode) : null
+  await assertMatchOpen(dbRefs, contest.matchId)
+  await setDoc(root, { matchId: contest.matchId, lastActionAt: serverTimestamp(), ...(code ? { inviteCodes: { [contest.id]: code } } : {}) }, { merge: true })
+  await runTransaction(dbRefs.db, async (tx) => {
+    const [entrySnap, contestSnap] = await Promise.all([tx.get(entryRef), tx.get(contestRef)])
+    const current = contestSnap.data()
+    if (current?.status !== 'open') throw new Error('This contest is locked.')
+    if (entrySnap.exists()) {
+      tx.update(entryRef, { teamId, updatedAt: serverTimestamp() })
+      return
+    }
+    if (current.maxEntries && (current.entryCount || 0) >= current.maxEntries) throw new Error('This contest is full.')
+    if (current.isPublic === false && current.createdBy !== uid) {
+      const invite = code ? await tx.get(inviteDoc(dbRefs, code)) : null
+      if (invite?.data()?.contestId !== contest.id) throw new Error('Enter the invite code to join this league.')
+    }
+    tx.set(entryRef, { contestId: contest.id, matchId: contest.matchId, teamId, joinedAt: serverTimestamp() })
+    tx.update(contestRef, { entryCount: increment(1) })
+  })
+}
+
+/** Creates an invite-only league on a match. Returns it with its new `inviteCode`. */
+export async function createPrivateLeague(dbRefs, uid, { matchId, name, maxEntries }) {
+  let code = generateInviteCode()
+  // Codes are doc IDs, so a clash would be refused; draw again (rarely needed)
+  for (let tries = 0; tries < 5 && (await getDoc(inviteDoc(dbRefs, code))).exists(); tries++) code = generateInviteCode()
+
+  const ref = doc(dbRefs.col('fantasy_contests'))
+  const contest = {
+    id: ref.id,
+    matchId,
+    name: name || 'Private league',
+    isPublic: false,
+    createdBy: uid,
+    maxEntries: maxEntries || null,
+    entryCount: 0,
+    prizeInfo: null,
+    status: 'open',
+    rulesVersion: CURRENT_RULES_VERSION,
+  }
+  // One batch: the rules check the invite against the contest being created with it
+  const batch = writeBatch(dbRefs.db)
+  batch.set(ref, { ...contest, createdAt: serverTimestamp() })
+  batch.set(inviteDoc(dbRefs, code), { code, contestId: ref.id, matchId, createdBy: uid, createdAt: serverTimestamp() })
+  await batch.commit()
+  return { ...contest, inviteCode: code }
+}
+
+/** The contest id an invite code opens, or null. */
+export async function findContestByCode(dbRefs, code) {
+  const snap = await getDoc(inviteDoc(dbRefs, code))
+  return snap.exists() ? snap.data().contestId : null
+}
+
+/** Invite codes of the leagues a user created, as { [contestId]: code }. */
+export async function myInviteCodes(dbRefs, uid) {
+  const snap = await getDocs(query(dbRefs.col('fantasy_invites'), where('createdBy', '==', uid)))
+  return Object.fromEntries(snap.docs.map((d) => [d.data().contestId, d.id]))
+}
+
+// Private leagues created before invites had their own collection kept the code on the contest
+export async function migrateInviteCodes(dbRefs) {
+  const snap = await getDocs(dbRefs.col('fantasy_contests'))
+  const legacy = snap.docs.filter((d) => d.data().inviteCode)
+  for (const d of legacy) {
+    const { inviteCode, matchId, createdBy } = d.data()
+    const batch = writeBatch(dbRefs.db)
+    batch.set(inviteDoc(dbRefs, inviteCode), { code: normalizeInviteCode(inviteCode), contestId: d.id, matchId, createdBy: createdBy || null, createdAt: serverTimestamp() })
+    batch.update(d.ref, { inviteCode: deleteField() })
+    await batch.commit()
+  }
+  return legacy.length
+}
@@ -0,0 +1,188 @@
+// Cricsheet (https://cricsheet.org) scoresheets replayed through the match engine, so an
+// imported match has exactly the scorecards, commentary and summary a live-scored one would.
+// Handles both the current JSON layout (innings[].overs[].deliveries[]) and the older YAML
+// layout (innings[]["1st innings"].deliveries[]["0.1"]).
+
+import { parse as parseYaml } from 'yaml'
+import { applyDelivery, canStartInnings, closeInnings, completeMatch, DEFAULT_OVERS, startInnings } from './matchEngine'
+
+const WICKET_KIND_MAP = {
+  'caught and bowled': 'caught',
+}
+
+export function parseCricsheet(text, filename = '') {
+  const isJson = filename.toLowerCase().endsWith('.json') || text.trimStart().startsWith('{')
+  const data = isJson ? JSON.parse(text) : parseYaml(text)
+  if (!data?.info || !Array.isArray(data.innings)) throw new Error(`${filename || 'File'} is not a Cricsheet scoresheet.`)
+  return data
+}
+
+const norm = (name) => String(name || '').trim().toLowerCase()
+const slug = (name) => norm(name).replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')
+
+// One shape for both layouts: [{ team, deliveries: [{ batter, bowler, nonStriker, ... }] }]
+function normalizeInnings(data) {
+  return data.innings.map((inn) => {
+    if (inn.overs) {
+      const deliveries = inn.overs.flatMap((o) => o.deliveries || [])
+      return { team: inn.team, deliveries: deliveries.map(normalizeDelivery), superOver: !!inn.super_over, target: inn.target || null }
+    }
+    const [label, body] = Object.entries(inn)[0]
+    const deliveries = (body.deliveries || []).map((d) => normalizeDelivery(Object.values(d)[0]))
+    return { team: body.team, deliveries, superOver: /super over/i.test(label), target: null }
+  })
+}
+
+function normalizeDelivery(d) {
+  const wickets = d.wickets || (d.wicket ? [d.wicket] : [])
+  return {
+    batter: d.batter ?? d.batsman,
+    bowler: d.bowler,
+    nonStriker: d.non_striker,
+    batRuns: d.runs?.batter ?? d.runs?.batsman ?? 0,
+    extras: d.extras || {},
+    wicket: wickets[0] || null,
+  }
+}
+
+/** Every team and player name in the file, by team name. */
+export function cricsheetNames(data) {
+  const innings = normalizeInnings(data)
+  const teams = data.info.teams || []
+  const players = Object.fromEntries(teams.map((t) => [t, new Set(data.info.players?.[t] || [])]))
+  const other = (team) => teams.find((t) => t !== team)
+  for (const inn of innings) {
+    for (const d of inn.deliveries) {
+      players[inn.team]?.add(d.batter)
+      players[inn.team]?.add(d.nonStriker)
+      players[other(inn.team)]?.add(d.bowler)
+      for (const f of d.wicket?.fielders || []) {
+        const name = typeof f === 'string' ? f : f.name
+        if (name && !f.substitute) players[other(inn.team)]?.add(name)
+      }
+    }
+  }
+  return { teams, players: Object.fromEntries(Object.entries(players).map(([t, set]) => [t, [...set].filter(Boolean)])) }
+}
+
+/**
+ * Team and player names matched to IDs: teams by name, players by name within the
+ * team's squad first and then the whole league. `overrides` ({ [name]: playerId }) wins.
+ */
+export function resolveNames(data, { teams, players }, overrides = {}) {
+  const names = cricsheetNames(data)
+  const teamIds = {}
+  const playerIds = {}
+  const unresolved = { teams: [], players: [] }
+
+  for (const teamName of names.teams) {
+    const team = teams.find((t) => norm(t.name) === norm(teamName) || norm(t.shortName) === norm(teamName))
+    if (team) teamIds[teamName] = team.id
+    else unresolved.teams.push(teamName)
+  }
+  for (const [teamName, list] of Object.entries(names.players)) {
+    const squad = players.filter((p) => p.teamId === teamIds[teamName])
+    for (const name of list) {
+      const match = overrides[name] || squad.find((p) => norm(p.name) === norm(name))?.id || players.find((p) => norm(p.name) === norm(name))?.id
+      if (match) playerIds[name] = match
+      else unresolved.players.push({ name, teamName, teamId: teamIds[teamName] || null })
+    }
+  }
+  return { teamIds, playerIds, unresolved }
+}
+
+// New player docs for names that didn't resolve, so the replay has an ID for everyone
+export function newPlayersFor(unresolved) {
+  return unresolved.players.map(({ name, teamId }) => ({
+    id: `player_${slug(name)}`,
+    teamId,
+    name,
+    role: 'All-rounder',
+    photoUrl: `https://api.dicebear.com/7.x/thumbs/svg?seed=${encodeURIComponent(name)}`,
+  }))
+}
+
+function toDelivery(d, id, playerIds) {
+  const { wides = 0, noballs = 0, byes = 0, legbyes = 0 } = d.extras
+  let extra = null
+  // The engine adds the one-run penalty for wides and no balls itself
+  if (wides) extra = { type: 'wd', runs: wides - 1 }
+  else if (noballs) extra = { type: 'nb', runs: noballs - 1 + byes + legbyes }
+  else if (byes) extra = { type: 'b', runs: byes }
+  else if (legbyes) extra = { type: 'lb', runs: legbyes }
+
+  let wicket = null
+  if (d.wicket) {
+    const kind = WICKET_KIND_MAP[d.wicket.kind] || d.wicket.kind
+    const fielder = d.wicket.kind === 'caught and bowled' ? d.bowler : d.wicket.fielders?.[0]
+    const fielderName = typeof fielder === 'string' ? fielder : fielder?.name
+    // Substitute fielders aren't in either XI, so they may not resolve
+    wicket = { kind, playerId: id(d.wicket.player_out), fielderId: (fielderName && playerIds[fielderName]) || null }
+  }
+  return { strikerId: id(d.batter), nonStrikerId: id(d.nonStriker), bowlerId: id(d.bowler), runs: d.batRuns, extra, wicket }
+}
+
+/**
+ * Replays the file into a finished match document (without an id) and its commentary entries.
+ * Rain-revised targets and super overs are replayed too; penalty runs are skipped and listed
+ * in `warnings`.
+ */
+export function cricsheetToMatch(data, { teamIds, playerIds, names = {} }) {
+  const info = data.info
+  const id = (name) => {
+    if (!playerIds[name]) throw new Error(`No player ID for ${name}.`)
+    return playerIds[name]
+  }
+  const [teamA, teamB] = (info.teams || []).map((t) => teamIds[t])
+  if (!teamA || !teamB) throw new Error('Both teams must be matched before importing.')
+  const date = String(info.dates?.[0] instanceof Date ? info.dates[0].toISOString() : info.dates?.[0] || '')
+  const warnings = []
+
+  let match = {
+    status: 'upcoming',
+    info: { date: new Date(date).toISOString(), venue: info.venue || info.city || null, teams: { a: teamA, b: teamB }, toss: null },
+    liveState: null,
+    scorecards: null,
+  }
+  const commentary = []
+
+  const innings = normalizeInnings(data)
+  innings.forEach((inn) => {
+    const first = inn.deliveries[0]
+    if (!first) return
+    if (match.liveState && !match.liveState.inningsComplete) match = { ...match, ...closeInnings(match) }
+    if (!canStartInnings(match)) {
+      warnings.push(`Skipped an extra ${inn.team} innings.`)
+      return
+    }
+    // A rain-affected chase carries its revised target and overs
+    const index = match.scorecards?.innings?.length || 0
+    const revised = index === 1 ? inn.target : null
+    match = {
+      ...match,
+      ...startInnings(match, {
+        toss: { winner: teamIds[info.toss?.winner], decision: info.toss?.decision === 'field' ? 'bowl' : 'bat' },
+        strikerId: id(first.batter),
+        nonStrikerId: id(first.nonStriker),
+        bowlerId: id(first.bowler),
+        maxOvers: revised?.overs ? Math.ceil(revised.overs) : info.overs || DEFAULT_OVERS,
+        target: revised?.runs || null,
+      }),
+    }
+    for (const d of inn.deliveries) {
+      if (d.extras.penalty) warnings.push(`Ignored ${d.extras.penalty} penalty runs in the ${inn.team} innings.`)
+      const { commentary: lines, ...fields } = applyDelivery(match, toDelivery(d, id, playerIds), names)
+      match = { ...match, ...fields }
+      commentary.push(...lines)
+    }
+  })
+
+  if (match.liveState && !match.liveState.inningsComplete) match = { ...match, ...closeInnings(match) }
+  const potm = info.player_of_match?.[0]
+  if ((match.scorecards?.innings || []).length >= 2 && info.outcome?.result !== 'no result') {
+    match = { ...match, ...completeMatch(match, { playerOfTheMatchId: potm ? playerIds[potm] || null : null, names }) }
+  } else {
+    match = { ...match, status: 'abandoned', summary: { result: 'no result', winner: null, margin: 'No result' } }
+  }
+  return { match, commentary, warnings }
+}
@@ -0,0 +1,130 @@
+// Flat tables of league data for CSV/JSON export.
+
+import { isFinished } from './matchEngine'
+import { formatNRR, matchResult } from './standings'
+
+// RFC 4180: quote fields containing commas, quotes or newlines
+function csvField(value) {
+  if (value == null) return ''
+  const text = Array.isArray(value) ? value.join(' ') : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function toCSV(rows, columns) {
+  const header = columns.map((c) => csvField(c.label)).join(',')
+  const lines = rows.map((row) => columns.map((c) => csvField(c.value(row))).join(','))
+  return [header, ...lines].join('\r\n')
+}
+
+const col = (label, value) => ({ label, value: typeof value === 'function' ? value : (row) => row[value] })
+
+/**
+ * Each export: its file name, columns and a row builder over
+ * { players, teams, matches, fixtures, pointsTable, teamName }.
+ */
+export const EXPORTS = [
+  {
+    key: 'players',
+    label: 'Players',
+    columns: [
+      col('id', 'id'),
+      col('name', 'name'),
+      col('team', (p) => p.teamName),
+      col('role', 'role'),
+      col('runs', (p) => p.batting?.runs),
+      col('batting_avg', (p) => p.batting?.avg),
+      col('strike_rate', (p) => p.batting?.sr),
+      col('highest', (p) => p.batting?.highest),
+      col('fifties', (p) => p.batting?.fifties),
+      col('hundreds', (p) => p.batting?.hundreds),
+      col('fours', (p) => p.batting?.fours),
+      col('sixes', (p) => p.batting?.sixes),
+      col('wickets', (p) => p.bowling?.wickets),
+      col('bowling_avg', (p) => p.bowling?.avg),
+      col('economy', (p) => p.bowling?.economy),
+      col('best', (p) => p.bowling?.best),
+    ],
+    rows: ({ players, teamName }) =>
+      [...players].sort((a, b) => String(a.name).localeCompare(String(b.name))).map((p) => ({ ...p, teamName: teamName(p.teamId) })),
+  },
+  {
+    key: 'fixtures',
+    label: 'Fixtures',
+    columns: [col('id', 'id'), col('date', 'date'), col('home', 'home'), col('away', 'away'), col('venue', 'venue'), col('status', 'status')],
+    rows: ({ fixtures, matches, teamName }) => {
+      // Match docs are fresher than fixtures for status and date
+      const byId = Object.fromEntries(fixtures.map((f) => [f.id, { id: f.id, date: f.date, teams: f.teams, venue: f.venue, status: f.status }]))
+      for (const m of matches) byId[m.id] = { id: m.id, date: m.info?.date, teams: m.info?.teams, venue: m.info?.venue, status: m.status }
+      return Object.values(byId)
+        .sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0))
+        .map((f) => ({ ...f, home: teamName(f.teams?.a), away: teamName(f.teams?.b) }))
+    },
+  },
+  {
+    key: 'results',
+    label: 'Results',
+    columns: [
+      col('id', 'id'),
+      col('date', 'date'),
+      col('home', 'home'),
+      col('home_score', 'homeScore'),
+      col('away', 'away'),
+      col('away_score', 'awayScore'),
+      col('result', 'result'),
+      col('winner', 'winner'),
+      col('margin', 'margin'),
+      col('player_of_the_match', 'playerOfTheMatch'),
+      col('venue', 'venue'),
+    ],
+    rows: ({ matches, teamName }) =>
+      matches
+        .filter(isFinished)
+        .sort((a, b) => new Date(a.info?.date || 0) - new Date(b.info?.date || 0))
+        .map((m) => {
+          const { a, b } = m.info?.teams || {}
+          const score = (teamId) => {
+            const inn = (m.scorecards?.innings || []).find((i) => i.teamId === teamId)
+            return inn ? `${inn.runs}/${inn.wickets} (${inn.overs})` : ''
+          }
+          return {
+            id: m.id,
+            date: m.info?.date,
+            home: teamName(a),
+            homeScore: score(a),
+            away: teamName(b),
+            awayScore: score(b),
+            result: matchResult(m),
+            winner: m.summary?.winner ? teamName(m.summary.winner) : '',
+            margin: m.summary?.margin,
+            playerOfTheMatch: m.summary?.playerOfTheMatch,
+            venue: m.info?.venue,
+          }
+        }),
+  },
+  {
+    key: 'points_table',
+    label: 'Points table',
+    columns: [
+      col('position', 'position'),
+      col('team', 'team'),
+      col('P', 'P'),
+      col('W', 'W'),
+      col('L', 'L'),
+      col('T', 'T'),
+      col('NR', 'NR'),
+      col('Pts', 'Pts'),
+      col('NRR', (r) => formatNRR(r.NRR)),
+      col('form', (r) => (r.form || []).join('')),
+    ],
+    rows: ({ pointsTable, teamName }) => pointsTable.map((r, i) => ({ ...r, position: i + 1, team: teamName(r.teamId) })),
+  },
+]
+
+export function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  URL.revokeObjectURL(url)
+}
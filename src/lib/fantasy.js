@@ -0,0 +1,189 @@
+// Fantasy scoring: versioned rule sets turned into per-player and per-team points.
+// A contest pins the rule version it was created with, so changing the rules never
+// rescores a finished contest.
+
+// scripts/load-season.mjs imports this under plain Node, so relative imports need their extension
+import { isFinished, isSuperOver } from './matchEngine.js'
+
+export const FANTASY_RULES = {
+  v1: {
+    version: 'v1',
+    run: 1,
+    four: 1,
+    six: 2,
+    wicket: 10,
+    catch: 5,
+    maiden: 5,
+  },
+  // v2 adds captaincy: the captain's points count double, the vice-captain's 1.5x
+  v2: {
+    version: 'v2',
+    run: 1,
+    four: 1,
+    six: 2,
+    wicket: 10,
+    catch: 5,
+    maiden: 5,
+    captain: 2,
+    viceCaptain: 1.5,
+  },
+}
+
+export const CURRENT_RULES_VERSION = 'v2'
+
+export function getRules(version) {
+  return FANTASY_RULES[version] || FANTASY_RULES[CURRENT_RULES_VERSION]
+}
+
+export function describeRules(rules) {
+  const captaincy = rules.captain ? ` • C ${rules.captain}x, VC ${rules.viceCaptain}x` : ''
+  return `Base scoring: 1 run=${rules.run}, wicket=${rules.wicket}, catch=${rules.catch} • Bonuses: 4=+${rules.four}, 6=+${rules.six}, maiden=+${rules.maiden}${captaincy}`
+}
+
+const emptyBreakdown = () => ({ runs: 0, fours: 0, sixes: 0, wickets: 0, catches: 0, maidens: 0, points: 0 })
+
+/**
+ * Points per player for one match, from its scorecards.
+ * Returns { [playerId]: { runs, fours, sixes, wickets, catches, maidens, points } }
+ * where each stat is the points it earned, not the raw count. Super overs don't score.
+ */
+export function scorePlayers(match, rules) {
+  const out = {}
+  const entry = (id) => (out[id] ||= emptyBreakdown())
+  const scorecards = match?.scorecards || {}
+
+  const main = (entries) => (entries || []).filter((e) => !isSuperOver(e.innings))
+
+  for (const b of main(scorecards.batsmen)) {
+    const e = entry(b.playerId)
+    e.runs += (b.runs || 0) * rules.run
+    e.fours += (b.fours || 0) * rules.four
+    e.sixes += (b.sixes || 0) * rules.six
+    if (b.dismissal?.kind === 'caught' && b.dismissal.fielderId) entry(b.dismissal.fielderId).catches += rules.catch
+  }
+  for (const b of main(scorecards.bowlers)) {
+    const e = entry(b.playerId)
+    e.wickets += (b.wickets || 0) * rules.wicket
+    e.maidens += (b.maidens || 0) * rules.maiden
+  }
+
+  for (const e of Object.values(out)) {
+    e.points = e.runs + e.fours + e.sixes + e.wickets + e.catches + e.maidens
+  }
+  return out
+}
+
+/**
+ * Total for one fantasy XI plus the points each of its players contributed,
+ * with captain/vice-captain multipliers applied when the rule set has them.
+ */
+export function scoreTeam(playerIds, playerPoints, { captainId, viceCaptainId, rules } = {}) {
+  const players = {}
+  let points = 0
+  for (const id of playerIds || []) {
+    let multiplier = 1
+    if (rules?.captain && id === captainId) multiplier = rules.captain
+    else if (rules?.viceCaptain && id === viceCaptainId) multiplier = rules.viceCaptain
+    const p = (playerPoints[id]?.points || 0) * multiplier
+    players[id] = p
+    points += p
+  }
+  return { points, players }
+}
+
+// Squad composition. Roles match the `players.role` values.
+export const SQUAD_RULES = {
+  size: 11,
+  budget: 100,
+  maxFromOneTeam: 7,
+  roles: {
+    Batsman: { min: 3, max: 6 },
+    'All-rounder': { min: 1, max: 4 },
+    Bowler: { min: 3, max: 6 },
+  },
+}
+
+const MIN_CREDITS = 7
+const MAX_CREDITS = 10.5
+const FORM_MATCHES = 5
+
+/**
+ * Credits from form: season totals scored with the fantasy rules plus, weighted double,
+ * the points from each player's last five completed matches. The pool is ranked and
+ * spread across 7–10.5 credits in half steps.
+ */
+export function assignCredits(players, matches, rules) {
+  const recent = {}
+  const counted = {}
+  const completed = matches
+    .filter((m) => isFinished(m) && m.scorecards)
+    .sort((a, b) => new Date(b.info?.date || 0) - new Date(a.info?.date || 0))
+  for (const m of completed) {
+    for (const [id, e] of Object.entries(scorePlayers(m, rules))) {
+      if ((counted[id] || 0) >= FORM_MATCHES) continue
+      counted[id] = (counted[id] || 0) + 1
+      recent[id] = (recent[id] || 0) + e.points
+    }
+  }
+
+  const form = players
+    .map((p) => {
+      const bat = p.batting || {}
+      const bowl = p.bowling || {}
+      const season = (bat.runs || 0) * rules.run + (bat.fours || 0) * rules.four + (bat.sixes || 0) * rules.six + (bowl.wickets || 0) * rules.wicket
+      return { id: p.id, form: season + 2 * (recent[p.id] || 0) }
+    })
+    .sort((a, b) => a.form - b.form)
+
+  const credits = {}
+  form.forEach((p) => {
+    // Equal form gets equal credits
+    const rank = form.findIndex((q) => q.form === p.form)
+    const pct = form.length > 1 ? rank / (form.length - 1) : 0.5
+    credits[p.id] = Math.round((MIN_CREDITS + pct * (MAX_CREDITS - MIN_CREDITS)) * 2) / 2
+  })
+  return credits
+}
+
+const countBy = (list, key) => list.reduce((acc, p) => ({ ...acc, [p[key]]: (acc[p[key]] || 0) + 1 }), {})
+
+/** Why `candidate` can't join the squad right now, or null if it can. */
+export function addBlocker(selected, candidate, credits, rules = SQUAD_RULES) {
+  if (selected.some((p) => p.id === candidate.id)) return 'Already picked'
+  if (selected.length >= rules.size) return 'Squad is full'
+  const spent = selected.reduce((sum, p) => sum + (credits[p.id] || 0), 0)
+  if (spent + (credits[candidate.id] || 0) > rules.budget) return 'Not enough credits'
+  if ((countBy(selected, 'teamId')[candidate.teamId] || 0) >= rules.maxFromOneTeam) return `Max ${rules.maxFromOneTeam} from one side`
+  const roleRule = rules.roles[candidate.role]
+  const byRole = countBy([...selected, candidate], 'role')
+  if (roleRule && byRole[candidate.role] > roleRule.max) return `Max ${roleRule.max} ${candidate.role}s`
+
+  // Keep enough open slots to still meet every role minimum
+  const slotsLeft = rules.size - selected.length - 1
+  const needed = Object.entries(rules.roles).reduce((sum, [role, r]) => sum + Math.max(0, r.min - (byRole[role] || 0)), 0)
+  if (needed > slotsLeft) return 'Other roles still need picks'
+  return null
+}
+
+/** Every rule the squad breaks; empty when it can be saved. */
+export function validateSquad(selected, { captainId, viceCaptainId }, credits, scoring, rules = SQUAD_RULES) {
+  const errors = []
+  if (selected.length !== rules.size) errors.push(`Pick exactly ${rules.size} players.`)
+  const spent = selected.reduce((sum, p) => sum + (credits[p.id] || 0), 0)
+  if (spent > rules.budget) errors.push(`Squad costs ${spent} of ${rules.budget} credits.`)
+  for (const [teamId, n] of Object.entries(countBy(selected, 'teamId'))) {
+    if (n > rules.maxFromOneTeam) errors.push(`At most ${rules.maxFromOneTeam} players from ${teamId}.`)
+  }
+  const byRole = countBy(selected, 'role')
+  for (const [role, r] of Object.entries(rules.roles)) {
+    const n = byRole[role] || 0
+    if (n < r.min || n > r.max) errors.push(`Pick ${r.min}–${r.max} ${role}s.`)
+  }
+  if (scoring?.captain) {
+    const ids = selected.map((p) => p.id)
+    if (!ids.includes(captainId)) errors.push('Choose a captain.')
+    if (!ids.includes(viceCaptainId)) errors.push('Choose a vice-captain.')
+    if (captainId && captainId === viceCaptainId) errors.push('Captain and vice-captain must differ.')
+  }
+  return errors
+}
@@ -0,0 +1,140 @@
+// App-level league data layer.
+// One Firestore listener per collection or meta doc, shared by every view and kept open
+// across tab switches. Collections are normalized into { byId, ids, list }.
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useSyncExternalStore } from 'react'
+import { onSnapshot } from 'firebase/firestore'
+
+const EMPTY_COLLECTION = { byId: {}, ids: [], list: [], loading: true, error: null }
+const EMPTY_DOC = { data: null, loading: true, error: null }
+
+const LeagueDataContext = createContext(null)
+
+// Keys are a collection name ('teams') or 'meta/<docId>'
+function createLeagueStore(dbRefs) {
+  const entries = new Map()
+
+  function open(key) {
+    let entry = entries.get(key)
+    if (entry) return entry
+    const isMeta = key.startsWith('meta/')
+    entry = { value: isMeta ? EMPTY_DOC : EMPTY_COLLECTION, listeners: new Set(), unsub: null }
+    entries.set(key, entry)
+
+    const emit = (value) => {
+      entry.value = value
+      entry.listeners.forEach((l) => l())
+    }
+    const onError = (e) => {
+      console.error(`League data subscription "${key}" failed:`, e)
+      emit({ ...entry.value, loading: false, error: String(e?.message || e) })
+    }
+
+    if (isMeta) {
+      entry.unsub = onSnapshot(dbRefs.metaDoc(key.slice(5)), (d) => emit({ data: d.data() || null, loading: false, error: null }), onError)
+    } else {
+      entry.unsub = onSnapshot(
+        dbRefs.col(key),
+        (snap) => {
+          const byId = {}
+          const ids = []
+          const list = []
+          snap.forEach((d) => {
+            const item = { id: d.id, ...d.data() }
+            byId[d.id] = item
+            ids.push(d.id)
+            list.push(item)
+          })
+          emit({ byId, ids, list, loading: false, error: null })
+        },
+        onError,
+      )
+    }
+    return entry
+  }
+
+  return {
+    subscribe(key, listener) {
+      const entry = open(key)
+      entry.listeners.add(listener)
+      return () => entry.listeners.delete(listener)
+    },
+    get(key) {
+      return entries.get(key)?.value
+    },
+    close() {
+      entries.forEach((e) => e.unsub && e.unsub())
+      entries.clear()
+    },
+  }
+}
+
+export function LeagueDataProvider({ dbRefs, children }) {
+  const store = useMemo(() => (dbRefs ? createLeagueStore(dbRefs) : null), [dbRefs])
+  useEffect(() => () => store?.close(), [store])
+  return <LeagueDataContext.Provider value={store}>{children}</LeagueDataContext.Provider>
+}
+
+// A null key (e.g. a doc name that isn't known yet) subscribes to nothing
+function useStoreValue(key, fallback) {
+  const store = useContext(LeagueDataContext)
+  const subscribe = useCallback((listener) => (store && key ? store.subscribe(key, listener) : () => {}), [store, key])
+  const getSnapshot = () => (store && key && store.get(key)) || fallback
+  return useSyncExternalStore(subscribe, getSnapshot)
+}
+
+// Raw hooks
+
+export function useCollection(name) {
+  return useStoreValue(name, EMPTY_COLLECTION)
+}
+
+export function useMetaDoc(name) {
+  return useStoreValue(name ? `meta/${name}` : null, EMPTY_DOC).data
+}
+
+// Selectors
+
+export function useTeams() {
+  return useCollection('teams').list
+}
+
+export function useTeam(id) {
+  return useCollection('teams').byId[id] || null
+}
+
+export function useTeamName() {
+  const { byId } = useCollection('teams')
+  return useCallback((id) => byId[id]?.name || id, [byId])
+}
+
+export function usePlayers() {
+  return useCollection('players').list
+}
+
+export function usePlayer(id) {
+  return useCollection('players').byId[id] || null
+}
+
+export function usePlayerName() {
+  const { byId } = useCollection('players')
+  return useCallback((id) => byId[id]?.name || id, [byId])
+}
+
+/** Players whose teamId is one of `teamIds` (a single ID or an array). */
+export function usePlayersByTeam(teamIds) {
+  const { list } = useCollection('players')
+  const key = [].concat(teamIds || []).filter(Boolean).join(',')
+  return useMemo(() => {
+    const ids = new Set(key.split(','))
+    return list.filter((p) => ids.has(p.teamId))
+  }, [list, key])
+}
+
+export function useMatches() {
+  return useCollection('matches').list
+}
+
+export function useMatch(id) {
+  return useCollection('matches').byId[id] || null
+}
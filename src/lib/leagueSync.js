@@ -0,0 +1,248 @@
+// Derived league documents, rebuilt from `matches` whenever a result is recorded.
+
+import { collection, collectionGroup, doc, getDoc, getDocs, query, serverTimestamp, setDoc, Timestamp, updateDoc, where, writeBatch } from 'firebase/firestore'
+import { computePointsTable, DEFAULT_TIE_BREAKERS } from './standings'
+import { CURRENT_RULES_VERSION, getRules, scorePlayers, scoreTeam } from './fantasy'
+import { contestPhase, leaderboardCol, rankEntries } from './contests'
+import { computePredictionTable, predictionLeaderboardCol } from './predictions'
+import { computeLeaderboards, computePlayerAggregates } from './playerStats'
+import { isPlayoff, resolvePlayoffs } from './schedule'
+
+const BATCH_SIZE = 400 // Firestore allows 500 writes per batch
+
+const listDocs = async (colRef) => {
+  const snap = await getDocs(colRef)
+  const list = []
+  snap.forEach((d) => list.push({ id: d.id, ...d.data() }))
+  return list
+}
+
+export async function recomputePointsTable(dbRefs) {
+  const [teams, matches, configSnap] = await Promise.all([
+    listDocs(dbRefs.col('teams')),
+    listDocs(dbRefs.col('matches')),
+    getDoc(dbRefs.metaDoc('league_config')),
+  ])
+  const config = configSnap.data() || {}
+  const entries = computePointsTable(matches, teams.map((t) => t.id), config)
+  await setDoc(dbRefs.metaDoc('points_table'), {
+    entries,
+    tieBreakers: config.tieBreakers || DEFAULT_TIE_BREAKERS,
+    updatedAt: serverTimestamp(),
+  })
+  return entries
+}
+
+export async function recomputeLeaderboards(dbRefs) {
+  const [matches, configSnap] = await Promise.all([listDocs(dbRefs.col('matches')), getDoc(dbRefs.metaDoc('league_config'))])
+  const { minBalls } = configSnap.data()?.leaderboards || {}
+  const boards = computeLeaderboards(matches, { minBalls })
+  await setDoc(dbRefs.metaDoc('leaderboards'), { ...boards, updatedAt: serverTimestamp() })
+  return boards
+}
+
+// Career batting/bowling on each player doc, from every completed match. Only existing docs are
+// updated: scorers may not create players, so one without a doc would sink the whole batch.
+export async function recomputePlayerAggregates(dbRefs) {
+  const [matches, playersSnap] = await Promise.all([listDocs(dbRefs.col('matches')), getDocs(dbRefs.col('players'))])
+  const aggregates = computePlayerAggregates(matches)
+  const known = new Set(playersSnap.docs.map((d) => d.id))
+  const ids = Object.keys(aggregates).filter((id) => known.has(id))
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    const batch = writeBatch(dbRefs.db)
+    for (const id of ids.slice(i, i + BATCH_SIZE)) {
+      batch.update(doc(dbRefs.col('players'), id), { ...aggregates[id], updatedAt: serverTimestamp() })
+    }
+    await batch.commit()
+  }
+  return aggregates
+}
+
+const ROW_FIELDS = ['teamId', 'teamName', 'points', 'rank', 'position', 'displayName', 'photoURL', 'rulesVersion']
+const PREDICTION_FIELDS = ['points', 'played', 'correctWinners', 'correctTopScorers', 'rank', 'position', 'displayName', 'photoURL']
+
+// Replaces the docs of a leaderboard collection (keyed by uid), writing only rows that changed
+async function writeBoard(dbRefs, boardCol, rows, same) {
+  const current = Object.fromEntries((await listDocs(boardCol)).map((row) => [row.id, row]))
+  const stale = Object.keys(current).filter((uid) => !rows.some((row) => row.uid === uid))
+  const ops = [
+    ...rows.filter((row) => !same(current[row.uid], row)).map((row) => (batch) => batch.set(doc(boardCol, row.uid), { ...row, updatedAt: serverTimestamp() })),
+    ...stale.map((uid) => (batch) => batch.delete(doc(boardCol, uid))),
+  ]
+  for (let i = 0; i < ops.length; i += BATCH_SIZE) {
+    const batch = writeBatch(dbRefs.db)
+    ops.slice(i, i + BATCH_SIZE).forEach((op) => op(batch))
+    await batch.commit()
+  }
+}
+
+// Display name and avatar from users/{uid}, fetched once per sync
+function profileCache(dbRefs) {
+  const profiles = {}
+  return (uid) => (profiles[uid] ||= getDoc(dbRefs.userDoc(uid)).then((d) => d.data() || {}))
+}
+
+function sameRow(current, next) {
+  if (!current || ROW_FIELDS.some((k) => (current[k] ?? null) !== (next[k] ?? null))) return false
+  const ids = Object.keys(next.players || {})
+  return ids.length === Object.keys(current.players || {}).length && ids.every((id) => current.players[id] === next.players[id])
+}
+
+// Rescores every entry in every contest on this match. Each entry is its own doc,
+// fantasy_contests/{contestId}/leaderboard/{uid}, carrying `rank` (shared on ties) and a unique
+// `position` for paging; only rows that changed are rewritten. meta/fantasy_scores_{matchId}
+// keeps the player points and contests.{contestId} = { rulesVersion, entryCount }.
+export async function syncFantasyScores(dbRefs, matchId) {
+  const matchSnap = await getDoc(doc(dbRefs.col('matches'), matchId))
+  if (!matchSnap.exists()) return null
+  const match = matchSnap.data()
+  const contests = await listDocs(query(dbRefs.col('fantasy_contests'), where('matchId', '==', matchId)))
+  const usersPath = `${dbRefs.userDoc('_').parent.path}/`
+  const pointsByVersion = {}
+  const teamCache = {}
+  const profile = profileCache(dbRefs)
+  const scores = {}
+
+  for (const contest of contests) {
+    const rules = getRules(contest.rulesVersion)
+    const playerPoints = (pointsByVersion[rules.version] ||= scorePlayers(match, rules))
+    const snap = await getDocs(query(collectionGroup(dbRefs.db, 'contests'), where('contestId', '==', contest.id)))
+    const entries = []
+    for (const entry of snap.docs) {
+      if (!entry.ref.path.startsWith(usersPath)) continue
+      // users/{uid}/jpl_fantasy/{matchId}/contests/{contestId}
+      const fantasyDoc = entry.ref.parent.parent
+      const uid = fantasyDoc.parent.parent.id
+      const { teamId } = entry.data()
+      const teamRef = doc(collection(fantasyDoc, 'teams'), teamId)
+      const teamSnap = await (teamCache[teamRef.path] ||= getDoc(teamRef))
+      if (!teamSnap.exists()) continue
+      const team = teamSnap.data()
+      const { points, players } = scoreTeam(team.players, playerPoints, { captainId: team.captainId, viceCaptainId: team.viceCaptainId, rules })
+      const { displayName = null, photoURL = null } = await profile(uid)
+      entries.push({ uid, teamId, teamName: team.name || null, displayName, photoURL, points, players })
+    }
+    // uid order first so tied entries keep the same positions from one sync to the next
+    entries.sort((a, b) => a.uid.localeCompare(b.uid))
+    const ranked = rankEntries(entries).map((e, i) => ({ ...e, position: i + 1, rulesVersion: rules.version }))
+
+    await writeBoard(dbRefs, leaderboardCol(dbRefs, contest.id), ranked, sameRow)
+    scores[contest.id] = { rulesVersion: rules.version, entryCount: ranked.length }
+  }
+
+  const rulesVersion = contests[0]?.rulesVersion || CURRENT_RULES_VERSION
+  await setDoc(dbRefs.metaDoc(`fantasy_scores_${matchId}`), {
+    matchId,
+    rulesVersion,
+    contests: scores,
+    playerPoints: pointsByVersion[rulesVersion] || scorePlayers(match, getRules(rulesVersion)),
+    updatedAt: serverTimestamp(),
+  })
+  return scores
+}
+
+// Moves this match's contests along open → locked → completed to match the match
+export async function syncContestStatus(dbRefs, matchId) {
+  const matchSnap = await getDoc(doc(dbRefs.col('matches'), matchId))
+  if (!matchSnap.exists()) return
+  const contests = await listDocs(query(dbRefs.col('fantasy_contests'), where('matchId', '==', matchId)))
+  for (const contest of contests) {
+    const status = contestPhase(contest, matchSnap.data())
+    if (status !== contest.status) await updateDoc(doc(dbRefs.col('fantasy_contests'), contest.id), { status, updatedAt: serverTimestamp() })
+  }
+}
+
+/**
+ * Writes generated fixtures plus an upcoming match doc for each one whose teams are known.
+ * Matches that have already started are left alone, as in scripts/load-season.mjs.
+ * With `replaceLeague`, unstarted league fixtures missing from the new list are deleted with
+ * their matches, unless a fantasy contest is on them. Resolves to the number deleted.
+ */
+export async function saveFixtures(dbRefs, fixtures, { overs, replaceLeague = false } = {}) {
+  const matches = Object.fromEntries((await listDocs(dbRefs.col('matches'))).map((m) => [m.id, m]))
+  let stale = []
+  if (replaceLeague) {
+    const keep = new Set(fixtures.map((f) => f.id))
+    const [existing, contests] = await Promise.all([listDocs(dbRefs.col('fixtures')), listDocs(dbRefs.col('fantasy_contests'))])
+    const withContests = new Set(contests.map((c) => c.matchId))
+    stale = existing.filter((f) => !isPlayoff(f.stage) && !keep.has(f.id) && !withContests.has(f.id) && (matches[f.id]?.status || 'upcoming') === 'upcoming')
+  }
+  // Two deletes per fixture
+  for (let i = 0; i < stale.length; i += BATCH_SIZE / 2) {
+    const batch = writeBatch(dbRefs.db)
+    for (const f of stale.slice(i, i + BATCH_SIZE / 2)) {
+      batch.delete(doc(dbRefs.col('fixtures'), f.id))
+      batch.delete(doc(dbRefs.col('matches'), f.id))
+    }
+    await batch.commit()
+  }
+  for (let i = 0; i < fixtures.length; i += BATCH_SIZE) {
+    const batch = writeBatch(dbRefs.db)
+    for (const f of fixtures.slice(i, i + BATCH_SIZE)) {
+      const existing = matches[f.id]
+      batch.set(doc(dbRefs.col('fixtures'), f.id), { ...f, status: existing?.status || 'upcoming', updatedAt: serverTimestamp() }, { merge: true })
+      if (!f.teams || (existing && existing.status !== 'upcoming')) continue
+      batch.set(doc(dbRefs.col('matches'), f.id), {
+        id: f.id,
+        status: 'upcoming',
+        lockAt: Timestamp.fromDate(new Date(f.date)),
+        info: { date: f.date, venue: f.venue, teams: f.teams, toss: null, stage: f.stage, ...(overs ? { overs } : {}) },
+        liveState: null,
+        scorecards: null,
+        updatedAt: serverTimestamp(),
+      })
+    }
+    await batch.commit()
+  }
+  return stale.length
+}
+
+// Fills in TBD playoff fixtures (and creates their matches) once the feeder games are decided
+export async function advancePlayoffs(dbRefs) {
+  const [fixtures, matches] = await Promise.all([listDocs(dbRefs.col('fixtures')), listDocs(dbRefs.col('matches'))])
+  const updates = resolvePlayoffs(fixtures, matches)
+  const resolved = updates.map(({ id, teams }) => ({ ...fixtures.find((f) => f.id === id), teams }))
+  if (resolved.length) await saveFixtures(dbRefs, resolved.map(({ updatedAt, status, ...f }) => f))
+  return resolved
+}
+
+// Season prediction standings, rescored from every user's picks
+export async function syncPredictionScores(dbRefs) {
+  const usersPath = `${dbRefs.userDoc('_').parent.path}/`
+  const [snap, matches] = await Promise.all([getDocs(collectionGroup(dbRefs.db, 'jpl_predictions')), listDocs(dbRefs.col('matches'))])
+  // users/{uid}/jpl_predictions/{matchId}
+  const predictions = snap.docs.filter((d) => d.ref.path.startsWith(usersPath)).map((d) => ({ ...d.data(), uid: d.ref.parent.parent.id, matchId: d.id }))
+  const profile = profileCache(dbRefs)
+  const rows = []
+  for (const row of computePredictionTable(predictions, matches)) {
+    const { displayName = null, photoURL = null } = await profile(row.uid)
+    rows.push({ ...row, displayName, photoURL })
+  }
+  const same = (current, next) => !!current && PREDICTION_FIELDS.every((k) => (current[k] ?? null) === (next[k] ?? null))
+  await writeBoard(dbRefs, predictionLeaderboardCol(dbRefs), rows, same)
+  return rows
+}
+
+// Everything that depends on a finished match. Each step runs even if an earlier one failed;
+// the error afterwards names the ones that did.
+export async function onMatchCompleted(dbRefs, matchId) {
+  const steps = [
+    ['contest status', () => syncContestStatus(dbRefs, matchId)],
+    ['points table', () => recomputePointsTable(dbRefs)],
+    ['playoffs', () => advancePlayoffs(dbRefs)],
+    ['leaderboards', () => recomputeLeaderboards(dbRefs)],
+    ['player stats', () => recomputePlayerAggregates(dbRefs)],
+    ['fantasy scores', () => syncFantasyScores(dbRefs, matchId)],
+    ['prediction scores', () => syncPredictionScores(dbRefs)],
+  ]
+  const failed = []
+  for (const [label, step] of steps) {
+    try {
+      await step()
+    } catch (e) {
+      console.error(`Updating ${label} failed:`, e)
+      failed.push(label)
+    }
+  }
+  if (failed.length) throw new Error(`Could not update: ${failed.join(', ')}.`)
+}
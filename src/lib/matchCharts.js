@@ -0,0 +1,148 @@
+// Chart series and a win-probability estimate from a match doc. Everything is derived from
+// scorecards.innings[].overHistory plus liveState.thisOver, so charts move with every ball.
+
+import { BALLS_PER_OVER, DEFAULT_OVERS, MAX_WICKETS, isFinished, isSuperOver } from './matchEngine'
+
+// Par scoring for the model: 8 an over with all ten wickets in hand
+const PAR_RUNS_PER_BALL = 8 / BALLS_PER_OVER
+// Spread of runs per ball; sets how quickly the estimate firms up as balls run out
+const RUN_VARIANCE_PER_BALL = 5
+
+const round = (n, dp = 2) => Math.round(n * 10 ** dp) / 10 ** dp
+
+/**
+ * Over-by-over progress of one innings, including the over in progress:
+ * [{ over, runs, wickets, total, totalWickets, partial }]. `over` is 1-based, or a fraction
+ * like 12.5 (12 overs and 3 balls) for the partial over so the worm ends at the live score.
+ */
+export function inningsProgress(match, index) {
+  const inn = match.scorecards?.innings?.[index]
+  if (!inn) return []
+  let total = 0
+  let totalWickets = 0
+  const points = (inn.overHistory || []).map((o) => {
+    total += o.runs
+    totalWickets += o.wickets
+    return { over: o.over, runs: o.runs, wickets: o.wickets, total, totalWickets, partial: false }
+  })
+  const live = match.liveState
+  const current = live?.innings === index && !live.inningsComplete ? live.thisOver || [] : []
+  if (current.length) {
+    const runs = current.reduce((sum, b) => sum + b.runs, 0)
+    const wickets = current.filter((b) => b.wicket).length
+    const legal = current.filter((b) => b.legal).length
+    points.push({ over: points.length + legal / BALLS_PER_OVER, runs, wickets, total: total + runs, totalWickets: totalWickets + wickets, partial: true })
+  }
+  return points
+}
+
+// Quota for an innings; rain can cut it below the scheduled overs
+const maxBallsOf = (match, index = 0) =>
+  (match.scorecards?.innings?.[index]?.maxOvers || match.info?.overs || DEFAULT_OVERS) * BALLS_PER_OVER
+
+/** Current and (in a chase) required run rate for an innings; by default the one in play, or the last one played. */
+export function runRates(match, index = match.liveState?.innings ?? (match.scorecards?.innings?.length || 0) - 1) {
+  const innings = match.scorecards?.innings || []
+  const inn = innings[index]
+  if (!inn) return null
+  const target = index % 2 ? inn.target ?? innings[index - 1].runs + 1 : null
+  const ballsLeft = maxBallsOf(match, index) - inn.balls
+  const chasing = target != null && inn.runs < target && !inn.closed && ballsLeft > 0
+  return {
+    innings: index,
+    current: inn.balls ? round((inn.runs * BALLS_PER_OVER) / inn.balls) : 0,
+    required: chasing ? round(((target - inn.runs) * BALLS_PER_OVER) / ballsLeft) : null,
+  }
+}
+
+/** Required rate after every over of the chase: [{ over, required }]. */
+export function requiredRateHistory(match) {
+  const [first, second] = match.scorecards?.innings || []
+  if (!first) return []
+  const target = second?.target ?? first.runs + 1
+  const maxBalls = maxBallsOf(match, 1)
+  return inningsProgress(match, 1)
+    .map((p) => ({ over: p.over, left: maxBalls - Math.round(p.over * BALLS_PER_OVER), need: target - p.total }))
+    .filter((p) => p.left > 0 && p.need > 0)
+    .map((p) => ({ over: p.over, required: round((p.need * BALLS_PER_OVER) / p.left) }))
+}
+
+// Standard normal CDF, logistic approximation
+const normalCdf = (z) => 1 / (1 + Math.exp(-1.702 * z))
+
+// Runs a side should still get from these balls with this many wickets in hand
+function expectedRuns(balls, wicketsInHand) {
+  return balls * PAR_RUNS_PER_BALL * Math.sqrt(Math.max(wicketsInHand, 0) / MAX_WICKETS)
+}
+
+/**
+ * Chance the side batting can score `needed` more runs. `extraVariance` widens the spread when
+ * the target itself is still a projection (during the first innings).
+ */
+export function chaseProbability(needed, ballsLeft, wicketsInHand, extraVariance = 0) {
+  if (needed <= 0) return 1
+  if (ballsLeft <= 0 || wicketsInHand <= 0) return 0
+  const spread = Math.sqrt(ballsLeft * RUN_VARIANCE_PER_BALL + extraVariance)
+  return normalCdf((expectedRuns(ballsLeft, wicketsInHand) - needed + 0.5) / spread)
+}
+
+// Chance the side batting first wins, given its score so far
+function firstInningsProbability(runs, balls, wickets, maxBalls) {
+  const left = maxBalls - balls
+  const projected = runs + expectedRuns(left, MAX_WICKETS - wickets)
+  return 1 - chaseProbability(projected + 1, maxBalls, MAX_WICKETS, left * RUN_VARIANCE_PER_BALL)
+}
+
+const clampOpen = (p) => Math.min(Math.max(p, 0.01), 0.99)
+
+/**
+ * { [teamId]: probability } for both sides, or null before the first ball.
+ * Finished matches report the result; ties, no results and super overs split evenly.
+ */
+export function winProbability(match) {
+  const innings = match.scorecards?.innings || []
+  const [first, second] = innings
+  if (!first) return null
+  const battingFirst = first.teamId
+  const battingSecond = first.bowlingTeamId || [match.info?.teams?.a, match.info?.teams?.b].find((t) => t !== battingFirst)
+  const split = (p) => ({ [battingFirst]: p, [battingSecond]: 1 - p })
+
+  if (isFinished(match)) {
+    const winner = match.summary?.winner
+    return split(winner ? (winner === battingFirst ? 1 : 0) : 0.5)
+  }
+  if (innings.some((_, i) => isSuperOver(i))) return split(0.5)
+  if (!second) {
+    return split(clampOpen(firstInningsProbability(first.runs, first.balls, first.wickets, maxBallsOf(match, 0))))
+  }
+  const target = second.target ?? first.runs + 1
+  const p = chaseProbability(target - second.runs, maxBallsOf(match, 1) - second.balls, MAX_WICKETS - second.wickets)
+  // Once the chase can't be won or lost any more, say so rather than 1%/99%
+  return split(p === 0 || p === 1 ? 1 - p : 1 - clampOpen(p))
+}
+
+/**
+ * The side batting first's win probability after every over of the match:
+ * [{ x, p }] with x running 0..2 × overs across both innings.
+ */
+export function winProbabilityHistory(match) {
+  const innings = match.scorecards?.innings || []
+  if (!innings.length) return []
+  // The x axis stays on the scheduled overs so a shortened innings just ends early
+  const maxOvers = match.info?.overs || DEFAULT_OVERS
+  const firstBalls = maxBallsOf(match, 0)
+  const points = [{ x: 0, p: clampOpen(firstInningsProbability(0, 0, 0, firstBalls)) }]
+  for (const o of inningsProgress(match, 0)) {
+    points.push({ x: o.over, p: clampOpen(firstInningsProbability(o.total, Math.round(o.over * BALLS_PER_OVER), o.totalWickets, firstBalls)) })
+  }
+  if (innings[1]) {
+    const target = innings[1].target ?? innings[0].runs + 1
+    const chaseBalls = maxBallsOf(match, 1)
+    points.push({ x: maxOvers, p: 1 - clampOpen(chaseProbability(target, chaseBalls, MAX_WICKETS)) })
+    for (const o of inningsProgress(match, 1)) {
+      const p = chaseProbability(target - o.total, chaseBalls - Math.round(o.over * BALLS_PER_OVER), MAX_WICKETS - o.totalWickets)
+      points.push({ x: maxOvers + o.over, p: p === 0 || p === 1 ? 1 - p : 1 - clampOpen(p) })
+    }
+  }
+  return points
+}
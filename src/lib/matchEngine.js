@@ -0,0 +1,436 @@
+// Ball-by-ball match engine.
+// Pure functions over the `matches/{id}` document shape so the scorer console can
+// run them inside a Firestore transaction and every viewer's onSnapshot sees the result.
+
+export const BALLS_PER_OVER = 6
+export const DEFAULT_OVERS = 20
+export const MAX_WICKETS = 10
+// A super over is one over a side, and two wickets end it
+export const SUPER_OVER_WICKETS = 2
+export const MAIN_INNINGS = 2
+
+// Finished either way: a result, or abandoned without one
+export const isFinished = (match) => match?.status === 'completed' || match?.status === 'abandoned'
+
+// Innings 0 and 1 are the match proper; anything after is a super over
+export const isSuperOver = (inningsIndex) => inningsIndex >= MAIN_INNINGS
+
+export const EXTRA_TYPES = [
+  { key: 'wd', label: 'Wide' },
+  { key: 'nb', label: 'No ball' },
+  { key: 'b', label: 'Bye' },
+  { key: 'lb', label: 'Leg bye' },
+]
+
+export const WICKET_KINDS = ['bowled', 'caught', 'lbw', 'run out', 'stumped', 'hit wicket', 'retired hurt']
+
+// Dismissals credited to the bowler
+const BOWLER_WICKETS = new Set(['bowled', 'caught', 'lbw', 'stumped', 'hit wicket'])
+
+// Dismissals that can't happen off a no ball or a wide; run outs and the like always can
+const IMPOSSIBLE_WICKETS = {
+  nb: BOWLER_WICKETS,
+  wd: new Set(['bowled', 'caught', 'lbw']),
+}
+
+/** Dismissal kinds possible on a delivery with this extra type (null for a fair ball). */
+export const wicketKindsFor = (extraType) => WICKET_KINDS.filter((kind) => !IMPOSSIBLE_WICKETS[extraType]?.has(kind))
+
+const clone = (value) => (value == null ? value : JSON.parse(JSON.stringify(value)))
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`
+
+// 14 legal balls -> 2.2 overs (cricket notation, not a decimal)
+export function oversFromBalls(balls) {
+  return Number(`${Math.floor(balls / BALLS_PER_OVER)}.${balls % BALLS_PER_OVER}`)
+}
+
+export function ballsFromOvers(overs) {
+  const whole = Math.floor(Number(overs) || 0)
+  return whole * BALLS_PER_OVER + Math.round(((Number(overs) || 0) - whole) * 10)
+}
+
+export function emptyScorecards() {
+  return { innings: [], batsmen: [], bowlers: [] }
+}
+
+export function createInnings(teamId, bowlingTeamId, maxOvers = DEFAULT_OVERS) {
+  return {
+    teamId,
+    bowlingTeamId,
+    maxOvers,
+    runs: 0,
+    wickets: 0,
+    overs: 0,
+    balls: 0,
+    extras: { wd: 0, nb: 0, b: 0, lb: 0 },
+    fallOfWickets: [],
+    partnerships: [],
+    overHistory: [],
+    closed: false,
+  }
+}
+
+function ensureBatter(scorecards, innings, playerId) {
+  let entry = scorecards.batsmen.find((b) => b.innings === innings && b.playerId === playerId)
+  if (!entry) {
+    entry = { innings, playerId, runs: 0, balls: 0, fours: 0, sixes: 0, out: false, dismissal: null }
+    scorecards.batsmen.push(entry)
+  }
+  return entry
+}
+
+function ensureBowler(scorecards, innings, playerId) {
+  let entry = scorecards.bowlers.find((b) => b.innings === innings && b.playerId === playerId)
+  if (!entry) {
+    entry = { innings, playerId, balls: 0, overs: 0, maidens: 0, runs: 0, wickets: 0, wides: 0, noBalls: 0 }
+    scorecards.bowlers.push(entry)
+  }
+  return entry
+}
+
+// Label for the "this over" strip, e.g. "•", "4", "W", "1wd", "2nb"
+function ballLabel({ batRuns, extra, wicket }) {
+  if (wicket) return 'W'
+  if (extra) return `${extra.type === 'wd' || extra.type === 'nb' ? (extra.runs + batRuns || '') : extra.runs}${extra.type}`
+  return batRuns === 0 ? '•' : String(batRuns)
+}
+
+function describeBall({ batRuns, extra, wicket }, name) {
+  if (wicket) {
+    const by = wicket.fielderId ? ` by ${name(wicket.fielderId)}` : ''
+    return `OUT! ${name(wicket.playerId)} ${wicket.kind}${wicket.kind === 'caught' || wicket.kind === 'run out' || wicket.kind === 'stumped' ? by : ''}.`
+  }
+  if (extra?.type === 'wd') return extra.runs ? `wide, ${plural(extra.runs, 'extra run')}.` : 'wide.'
+  if (extra?.type === 'nb') return `no ball${batRuns ? `, ${batRuns === 4 ? 'FOUR' : batRuns === 6 ? 'SIX' : plural(batRuns, 'run')} off the bat` : ''}.`
+  if (extra) return `${plural(extra.runs, extra.type === 'b' ? 'bye' : 'leg bye')}.`
+  if (batRuns === 4) return 'FOUR!'
+  if (batRuns === 6) return 'SIX!'
+  return batRuns === 0 ? 'no run.' : `${plural(batRuns, 'run')}.`
+}
+
+// Ball number as shown in commentary: the 3rd legal ball of the 13th over is 12.3
+function ballNumber(legalBalls, legal) {
+  const index = legal ? legalBalls - 1 : legalBalls
+  return Number(`${Math.floor(index / BALLS_PER_OVER)}.${(index % BALLS_PER_OVER) + 1}`)
+}
+
+// Runs in the last pair of innings (the match, or the latest super over) finished level
+function lastPairTied(innings) {
+  if (innings.length < MAIN_INNINGS || innings.length % 2) return false
+  const [first, second] = innings.slice(-2)
+  return second.closed && second.runs === (second.target ?? first.runs + 1) - 1
+}
+
+/** Whether the scorer can open another innings: the second, or a super over after a tie. */
+export function canStartInnings(match) {
+  if (isFinished(match)) return false
+  if (match?.liveState?.innings != null && !match.liveState.inningsComplete) return false
+  const innings = match?.scorecards?.innings || []
+  return innings.length < MAIN_INNINGS || innings.length % 2 === 1 || lastPairTied(innings)
+}
+
+/**
+ * Opens the next innings and puts the match live.
+ * `toss` is only required for the first innings; later innings bat the side that fielded.
+ * The second innings chases `target` when given (a revised target after an interruption),
+ * otherwise one more than the first innings. After a tie, innings 3 onwards are super overs.
+ */
+export function startInnings(match, { toss, strikerId, nonStrikerId, bowlerId, maxOvers = DEFAULT_OVERS, target = null }) {
+  const { a, b } = match?.info?.teams || {}
+  const scorecards = clone(match.scorecards) || emptyScorecards()
+  const index = scorecards.innings.length
+  if (index >= MAIN_INNINGS && index % 2 === 0 && !lastPairTied(scorecards.innings)) throw new Error('Both innings have already been played.')
+  if (match.liveState?.innings != null && !match.liveState.inningsComplete) throw new Error('The current innings is still in progress.')
+  if (!strikerId || !nonStrikerId || !bowlerId) throw new Error('Pick both openers and the opening bowler.')
+  if (strikerId === nonStrikerId) throw new Error('Striker and non-striker must be different players.')
+
+  const info = clone(match.info) || {}
+  let battingTeamId
+  if (index === 0) {
+    if (!toss?.winner || !toss?.decision) throw new Error('Record the toss before the first innings.')
+    info.toss = { winner: toss.winner, decision: toss.decision }
+    info.overs = Number(maxOvers) || DEFAULT_OVERS
+    const loser = toss.winner === a ? b : a
+    battingTeamId = toss.decision === 'bat' ? toss.winner : loser
+  } else {
+    // The side that batted second in the last pair bats first in a super over
+    const previous = scorecards.innings[index - 1]
+    const fielded = previous.bowlingTeamId || (previous.teamId === a ? b : a)
+    battingTeamId = index % 2 ? fielded : previous.teamId
+  }
+  const bowlingTeamId = battingTeamId === a ? b : a
+  const superOver = isSuperOver(index)
+  // A reduced second innings can't be longer than the match was scheduled for
+  const scheduled = info.overs || DEFAULT_OVERS
+  const quota = index === 0 ? info.overs : superOver ? 1 : Math.min(Number(maxOvers) || scheduled, scheduled)
+  const chase = index % 2 ? (index === 1 && target) || scorecards.innings[index - 1].runs + 1 : null
+
+  const innings = createInnings(battingTeamId, bowlingTeamId, quota)
+  if (chase != null) innings.target = chase
+  if (superOver) innings.superOver = true
+  scorecards.innings.push(innings)
+  ensureBatter(scorecards, index, strikerId)
+  ensureBatter(scorecards, index, nonStrikerId)
+  ensureBowler(scorecards, index, bowlerId)
+
+  const liveState = {
+    innings: index,
+    battingTeamId,
+    bowlingTeamId,
+    over: 0,
+    balls: 0,
+    runs: 0,
+    wickets: 0,
+    maxOvers: quota,
+    maxWickets: superOver ? SUPER_OVER_WICKETS : MAX_WICKETS,
+    target: chase,
+    strikerId,
+    nonStrikerId,
+    currentBatsmen: [strikerId, nonStrikerId],
+    currentBowler: bowlerId,
+    lastBowlerId: null,
+    thisOver: [],
+    inningsComplete: false,
+    ballSeq: match.liveState?.ballSeq || 0,
+  }
+
+  return { status: 'live', info, liveState, scorecards }
+}
+
+/**
+ * Applies one delivery to the match and returns the fields to write back.
+ *
+ * delivery: { strikerId, nonStrikerId, bowlerId, runs, extra: { type, runs } | null,
+ *             wicket: { kind, playerId, fielderId } | null }
+ * `names` maps player IDs to display names for the generated commentary. `commentary` holds
+ * the entries for this ball only (plus an end-of-over recap); they belong in the match's
+ * commentary subcollection, not on the match doc.
+ */
+export function applyDelivery(match, delivery, names = {}) {
+  const live = clone(match.liveState)
+  if (!live || live.innings == null) throw new Error('Start an innings before recording deliveries.')
+  if (live.inningsComplete) throw new Error('This innings is complete.')
+
+  const { strikerId, nonStrikerId, bowlerId } = delivery
+  if (!strikerId || !nonStrikerId || !bowlerId) throw new Error('Pick the striker, non-striker and bowler.')
+  if (strikerId === nonStrikerId) throw new Error('Striker and non-striker must be different players.')
+  if (live.thisOver.length === 0 && bowlerId === live.lastBowlerId) throw new Error('A bowler cannot bowl consecutive overs.')
+
+  const scorecards = clone(match.scorecards) || emptyScorecards()
+  const inn = scorecards.innings[live.innings]
+  const index = live.innings
+
+  const extra = delivery.extra?.type ? { type: delivery.extra.type, runs: Number(delivery.extra.runs) || 0 } : null
+  const batRuns = extra?.type === 'wd' ? 0 : Number(delivery.runs) || 0
+  const legal = !extra || extra.type === 'b' || extra.type === 'lb'
+  const penalty = extra?.type === 'wd' || extra?.type === 'nb' ? 1 : 0
+  const extraRuns = extra ? penalty + extra.runs : 0
+  const total = batRuns + extraRuns
+  // Wides are charged to the bowler in full; byes off a no ball are not
+  const bowlerRuns = batRuns + (extra?.type === 'wd' ? extraRuns : penalty)
+
+  let wicket = null
+  if (delivery.wicket?.kind) {
+    const outId = delivery.wicket.playerId || strikerId
+    if (outId !== strikerId && outId !== nonStrikerId) throw new Error('The dismissed batter must be at the crease.')
+    if (IMPOSSIBLE_WICKETS[extra?.type]?.has(delivery.wicket.kind)) {
+      throw new Error(`A batter can't be out ${delivery.wicket.kind} off a ${extra.type === 'wd' ? 'wide' : 'no ball'}.`)
+    }
+    wicket = { kind: delivery.wicket.kind, playerId: outId, fielderId: delivery.wicket.fielderId || null }
+  }
+
+  // Partnership for the current pair
+  let partnership = inn.partnerships[inn.partnerships.length - 1]
+  const samePair = partnership && !partnership.closed && partnership.batters.includes(strikerId) && partnership.batters.includes(nonStrikerId)
+  if (!samePair) {
+    partnership = { wicket: inn.wickets + 1, batters: [strikerId, nonStrikerId], runs: 0, balls: 0, closed: false }
+    inn.partnerships.push(partnership)
+  }
+  partnership.runs += total
+  if (legal) partnership.balls += 1
+
+  // Batter
+  const batter = ensureBatter(scorecards, index, strikerId)
+  ensureBatter(scorecards, index, nonStrikerId)
+  if (extra?.type !== 'wd') batter.balls += 1
+  batter.runs += batRuns
+  if (batRuns === 4) batter.fours += 1
+  if (batRuns === 6) batter.sixes += 1
+
+  // Bowler
+  const bowler = ensureBowler(scorecards, index, bowlerId)
+  if (legal) bowler.balls += 1
+  bowler.overs = oversFromBalls(bowler.balls)
+  bowler.runs += bowlerRuns
+  if (extra?.type === 'wd') bowler.wides += 1
+  if (extra?.type === 'nb') bowler.noBalls += 1
+
+  // Innings totals
+  inn.runs += total
+  if (legal) inn.balls += 1
+  inn.overs = oversFromBalls(inn.balls)
+  if (extra) {
+    if (extra.type === 'nb') {
+      inn.extras.nb += 1
+      inn.extras.b += extra.runs
+    } else {
+      inn.extras[extra.type] += extra.type === 'wd' ? extraRuns : extra.runs
+    }
+  }
+
+  let striker = strikerId
+  let nonStriker = nonStrikerId
+  const ran = batRuns + (extra ? extra.runs : 0)
+  if (ran % 2 === 1) [striker, nonStriker] = [nonStriker, striker]
+
+  if (wicket) {
+    const out = ensureBatter(scorecards, index, wicket.playerId)
+    const countsAsWicket = wicket.kind !== 'retired hurt'
+    out.out = countsAsWicket
+    out.dismissal = {
+      kind: wicket.kind,
+      bowlerId: BOWLER_WICKETS.has(wicket.kind) ? bowlerId : null,
+      fielderId: wicket.fielderId,
+    }
+    if (BOWLER_WICKETS.has(wicket.kind)) bowler.wickets += 1
+    if (countsAsWicket) {
+      inn.wickets += 1
+      inn.fallOfWickets.push({ wicket: inn.wickets, runs: inn.runs, over: inn.overs, playerId: wicket.playerId })
+    }
+    partnership.closed = true
+    if (striker === wicket.playerId) striker = null
+    if (nonStriker === wicket.playerId) nonStriker = null
+  }
+
+  const ball = { batRuns, extra, wicket }
+  live.thisOver.push({ label: ballLabel(ball), runs: total, bowlerRuns, legal, wicket: !!wicket })
+
+  const overComplete = legal && inn.balls % BALLS_PER_OVER === 0
+  let currentBowler = bowlerId
+  if (overComplete) {
+    const overBalls = live.thisOver
+    if (overBalls.reduce((sum, b) => sum + b.bowlerRuns, 0) === 0) bowler.maidens += 1
+    inn.overHistory.push({
+      over: inn.balls / BALLS_PER_OVER,
+      runs: overBalls.reduce((sum, b) => sum + b.runs, 0),
+      wickets: overBalls.filter((b) => b.wicket).length,
+      bowlerId,
+    })
+    ;[striker, nonStriker] = [nonStriker, striker]
+    live.lastBowlerId = bowlerId
+    live.thisOver = []
+    currentBowler = null
+  }
+
+  const reachedTarget = live.target != null && inn.runs >= live.target
+  const inningsComplete = inn.wickets >= (live.maxWickets || MAX_WICKETS) || inn.balls >= live.maxOvers * BALLS_PER_OVER || reachedTarget
+  inn.closed = inningsComplete
+
+  live.ballSeq = (live.ballSeq || 0) + 1
+  Object.assign(live, {
+    over: inn.overs,
+    balls: inn.balls,
+    runs: inn.runs,
+    wickets: inn.wickets,
+    strikerId: striker,
+    nonStrikerId: nonStriker,
+    currentBatsmen: [striker, nonStriker].filter(Boolean),
+    currentBowler,
+    inningsComplete,
+  })
+
+  const name = (id) => names[id] || id
+  const commentary = [
+    {
+      seq: live.ballSeq,
+      innings: index,
+      over: ballNumber(inn.balls, legal),
+      kind: wicket ? 'wicket' : batRuns === 4 ? 'four' : batRuns === 6 ? 'six' : 'ball',
+      text: `${name(bowlerId)} to ${name(strikerId)}, ${describeBall(ball, name)}`,
+    },
+  ]
+  if (overComplete) commentary.push(overRecap(scorecards, live, bowler, name))
+
+  return { status: 'live', liveState: live, scorecards, commentary }
+}
+
+const rate = (runs, balls) => ((runs * BALLS_PER_OVER) / balls).toFixed(2)
+
+// End-of-over summary: the over, the score, the bowler's figures, who's in and the rates
+function overRecap(scorecards, live, bowler, name) {
+  const inn = scorecards.innings[live.innings]
+  const over = inn.overHistory[inn.overHistory.length - 1]
+  const batters = scorecards.batsmen
+    .filter((b) => b.innings === live.innings && live.currentBatsmen.includes(b.playerId))
+    .map((b) => ({ playerId: b.playerId, runs: b.runs, balls: b.balls }))
+  const chasing = live.target != null && inn.runs < live.target && !live.inningsComplete
+  const ballsLeft = live.maxOvers * BALLS_PER_OVER - inn.balls
+  const recap = {
+    over: over.over,
+    runs: over.runs,
+    wickets: over.wickets,
+    score: `${inn.runs}/${inn.wickets}`,
+    bowler: { playerId: bowler.playerId, figures: `${bowler.overs}-${bowler.maidens}-${bowler.runs}-${bowler.wickets}` },
+    batters,
+    runRate: Number(rate(inn.runs, inn.balls)),
+    requiredRate: chasing && ballsLeft > 0 ? Number(rate(live.target - inn.runs, ballsLeft)) : null,
+  }
+  const parts = [
+    `End of over ${recap.over}: ${plural(recap.runs, 'run')}${recap.wickets ? `, ${plural(recap.wickets, 'wicket')}` : ''}.`,
+    `Score ${recap.score}.`,
+    `${name(bowler.playerId)} ${recap.bowler.figures}.`,
+    batters.length ? `${batters.map((b) => `${name(b.playerId)} ${b.runs} (${b.balls})`).join(', ')}.` : '',
+    `CRR ${rate(inn.runs, inn.balls)}${recap.requiredRate != null ? `, RRR ${recap.requiredRate.toFixed(2)}` : ''}.`,
+  ]
+  return { seq: live.ballSeq, innings: live.innings, over: recap.over, kind: 'over', text: parts.filter(Boolean).join(' '), recap }
+}
+
+// Ends the current innings early (e.g. a declared or abandoned chase)
+export function closeInnings(match) {
+  if (!match.liveState || match.liveState.innings == null) throw new Error('No innings in progress.')
+  const scorecards = clone(match.scorecards)
+  scorecards.innings[match.liveState.innings].closed = true
+  return { liveState: { ...match.liveState, inningsComplete: true, currentBowler: null }, scorecards }
+}
+
+/**
+ * Winner and margin. The chase is measured against the second innings' target, which an
+ * interruption may have revised (marked DLS). A tie goes to whoever won the last super over.
+ */
+export function resultSummary(match) {
+  const innings = match.scorecards?.innings || []
+  const [first, second] = innings
+  if (!first || !second) throw new Error('Both innings are needed to record a result.')
+  const target = second.target ?? first.runs + 1
+  const method = target !== first.runs + 1 ? ' (DLS)' : ''
+  if (second.runs >= target) {
+    return { result: 'win', winner: second.teamId, margin: `${plural(MAX_WICKETS - second.wickets, 'wicket')}${method}` }
+  }
+  if (second.runs < target - 1) {
+    return { result: 'win', winner: first.teamId, margin: `${plural(target - 1 - second.runs, 'run')}${method}` }
+  }
+  // A super over still in progress when the match is completed doesn't count
+  const settled = innings.length - (innings.length % 2)
+  if (settled > MAIN_INNINGS) {
+    const [batFirst, batSecond] = innings.slice(settled - 2, settled)
+    if (batFirst.runs !== batSecond.runs) {
+      const winner = batSecond.runs > batFirst.runs ? batSecond.teamId : batFirst.teamId
+      return { result: 'win', winner, margin: 'Super Over', superOver: true }
+    }
+    return { result: 'tie', winner: null, margin: 'Match tied (Super Over tied)', superOver: true }
+  }
+  return { result: 'tie', winner: null, margin: `Match tied${method}` }
+}
+
+export function completeMatch(match, { playerOfTheMatchId = null, names = {} } = {}) {
+  if (match.liveState && !match.liveState.inningsComplete) throw new Error('Finish the current innings first.')
+  return {
+    status: 'completed',
+    summary: {
+      ...resultSummary(match),
+      playerOfTheMatch: playerOfTheMatchId ? names[playerOfTheMatchId] || playerOfTheMatchId : null,
+      playerOfTheMatchId,
+    },
+    liveState: match.liveState ? { ...match.liveState, currentBowler: null } : null,
+  }
+}
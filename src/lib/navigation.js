@@ -0,0 +1,11 @@
+// Routing helpers shared by the views.
+
+import { useLocation, useNavigate } from 'react-router-dom'
+
+/** Goes back within the app, or to `fallback` when the page was opened from a shared link. */
+export function useBack(fallback = '/') {
+  const navigate = useNavigate()
+  const location = useLocation()
+  // The first entry of a session has key 'default'; going back from it would leave the app
+  return () => (location.key === 'default' ? navigate(fallback) : navigate(-1))
+}
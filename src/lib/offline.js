@@ -0,0 +1,50 @@
+// Connectivity and writes made while offline. Firestore's persistent cache already applies
+// offline writes locally and replays them on reconnect; this module tracks them so the UI can
+// show an online / offline / syncing indicator and doesn't sit on "Saving..." until they land.
+
+import { useSyncExternalStore } from 'react'
+
+let state = { online: typeof navigator === 'undefined' ? true : navigator.onLine, pending: 0 }
+const listeners = new Set()
+
+function update(patch) {
+  state = { ...state, ...patch }
+  listeners.forEach((l) => l())
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => update({ online: true }))
+  window.addEventListener('offline', () => update({ online: false }))
+}
+
+function subscribe(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/** 'offline' | 'syncing' | 'online' */
+export function useConnectionStatus() {
+  const { online, pending } = useSyncExternalStore(subscribe, () => state)
+  if (!online) return 'offline'
+  return pending > 0 ? 'syncing' : 'online'
+}
+
+/**
+ * Tracks a Firestore write promise. Online it's awaited as usual, so errors reach the caller.
+ * Offline it resolves straight away with { queued: true }; if the write is later rejected on
+ * sync (say the match locked in the meantime) the user is told then.
+ */
+export async function queuedWrite(promise, label = 'Your change') {
+  const queued = !state.online
+  update({ pending: state.pending + 1 })
+  const settled = promise
+    .catch((e) => {
+      if (!queued) throw e
+      console.error(e)
+      alert(`${label} couldn't be synced: ${e.message || e}`)
+    })
+    .finally(() => update({ pending: state.pending - 1 }))
+  if (queued) return { queued: true }
+  await settled
+  return { queued: false }
+}
@@ -0,0 +1,175 @@
+// Per-player figures derived from match scorecards.
+
+import { isFinished, isSuperOver } from './matchEngine'
+
+// Super overs don't count towards anyone's figures
+const mainInnings = (entries) => (entries || []).filter((e) => !isSuperOver(e.innings))
+
+/**
+ * One row per match the player featured in, newest first.
+ * batting/bowling are null when the player did not bat/bowl in that match.
+ */
+export function playerMatchLog(matches, playerId) {
+  const log = []
+  for (const m of matches) {
+    const sc = m.scorecards
+    if (!sc) continue
+    const batting = mainInnings(sc.batsmen).find((b) => b.playerId === playerId) || null
+    const bowling = mainInnings(sc.bowlers).find((b) => b.playerId === playerId) || null
+    const catches = mainInnings(sc.batsmen).filter((b) => b.dismissal?.kind === 'caught' && b.dismissal.fielderId === playerId).length
+    if (!batting && !bowling && !catches) continue
+    log.push({
+      matchId: m.id,
+      date: m.info?.date,
+      teams: m.info?.teams,
+      status: m.status,
+      batting,
+      bowling,
+      catches,
+    })
+  }
+  return log.sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0))
+}
+
+export const PLAYER_ROLES = ['Batsman', 'Bowler', 'All-rounder']
+
+// Sortable stats; `asc` stats are better when lower
+export const PLAYER_SORTS = [
+  { key: 'batting.runs', label: 'Runs' },
+  { key: 'batting.avg', label: 'Batting avg' },
+  { key: 'batting.sr', label: 'Strike rate' },
+  { key: 'batting.highest', label: 'Highest' },
+  { key: 'batting.fifties', label: '50s' },
+  { key: 'batting.hundreds', label: '100s' },
+  { key: 'batting.fours', label: '4s' },
+  { key: 'batting.sixes', label: '6s' },
+  { key: 'bowling.wickets', label: 'Wickets' },
+  { key: 'bowling.avg', label: 'Bowling avg', asc: true },
+  { key: 'bowling.economy', label: 'Economy', asc: true },
+  { key: 'name', label: 'Name', asc: true },
+]
+
+export function statValue(player, key) {
+  return key.split('.').reduce((v, k) => (v == null ? v : v[k]), player)
+}
+
+export const LEADERBOARD_SIZE = 10
+// Minimum balls faced to qualify for the best strike rate board
+export const DEFAULT_MIN_BALLS = 60
+
+/**
+ * Season leaderboards aggregated from finished matches' scorecards.
+ * Field names match the `meta/leaderboards` document.
+ */
+export function computeLeaderboards(matches, { minBalls = DEFAULT_MIN_BALLS, size = LEADERBOARD_SIZE } = {}) {
+  const batting = {}
+  const bowling = {}
+  const innings = []
+  const spells = []
+
+  for (const m of matches) {
+    if (!isFinished(m) || !m.scorecards) continue
+    for (const b of mainInnings(m.scorecards.batsmen)) {
+      const t = (batting[b.playerId] ||= { playerId: b.playerId, runs: 0, balls: 0, fours: 0, sixes: 0, innings: 0, outs: 0 })
+      t.runs += b.runs || 0
+      t.balls += b.balls || 0
+      t.fours += b.fours || 0
+      t.sixes += b.sixes || 0
+      t.innings += 1
+      if (b.out) t.outs += 1
+      innings.push({ playerId: b.playerId, matchId: m.id, runs: b.runs || 0, balls: b.balls || 0, notOut: !b.out })
+    }
+    for (const b of mainInnings(m.scorecards.bowlers)) {
+      const t = (bowling[b.playerId] ||= { playerId: b.playerId, wickets: 0, runs: 0, balls: 0 })
+      t.wickets += b.wickets || 0
+      t.runs += b.runs || 0
+      t.balls += b.balls || 0
+      spells.push({ playerId: b.playerId, matchId: m.id, wickets: b.wickets || 0, runs: b.runs || 0, best: `${b.wickets || 0}/${b.runs || 0}` })
+    }
+  }
+
+  const bats = Object.values(batting).map((t) => ({
+    ...t,
+    avg: t.outs ? Number((t.runs / t.outs).toFixed(2)) : null,
+    sr: t.balls ? Number(((t.runs * 100) / t.balls).toFixed(2)) : 0,
+  }))
+  const bowls = Object.values(bowling).map((t) => ({
+    ...t,
+    economy: t.balls ? Number(((t.runs * 6) / t.balls).toFixed(2)) : null,
+  }))
+  const top = (list, compare) => [...list].sort(compare).slice(0, size)
+
+  return {
+    topRuns: top(bats.filter((t) => t.runs > 0), (a, b) => b.runs - a.runs || b.sr - a.sr),
+    topWickets: top(bowls.filter((t) => t.wickets > 0), (a, b) => b.wickets - a.wickets || (a.economy ?? 99) - (b.economy ?? 99)),
+    mostSixes: top(bats.filter((t) => t.sixes > 0), (a, b) => b.sixes - a.sixes).map(({ playerId, sixes }) => ({ playerId, sixes })),
+    mostFours: top(bats.filter((t) => t.fours > 0), (a, b) => b.fours - a.fours).map(({ playerId, fours }) => ({ playerId, fours })),
+    bestFigures: top(spells.filter((s) => s.wickets > 0), (a, b) => b.wickets - a.wickets || a.runs - b.runs),
+    highestScores: top(innings.filter((i) => i.runs > 0), (a, b) => b.runs - a.runs || a.balls - b.balls),
+    bestStrikeRate: top(bats.filter((t) => t.balls >= minBalls), (a, b) => b.sr - a.sr).map(({ playerId, sr, runs, balls }) => ({ playerId, sr, runs, balls })),
+    minBalls,
+  }
+}
+
+/**
+ * Career figures in the shape of a player document's `batting` and `bowling` fields,
+ * for every player who appears in a finished match.
+ */
+export function computePlayerAggregates(matches) {
+  const out = {}
+  const entry = (id) =>
+    (out[id] ||= {
+      batting: { runs: 0, balls: 0, outs: 0, fifties: 0, hundreds: 0, fours: 0, sixes: 0, highest: 0 },
+      bowling: { wickets: 0, runs: 0, balls: 0, best: null, bestWickets: -1, bestRuns: 0 },
+    })
+
+  for (const m of matches) {
+    if (!isFinished(m) || !m.scorecards) continue
+    for (const b of mainInnings(m.scorecards.batsmen)) {
+      const t = entry(b.playerId).batting
+      const runs = b.runs || 0
+      t.runs += runs
+      t.balls += b.balls || 0
+      t.fours += b.fours || 0
+      t.sixes += b.sixes || 0
+      if (b.out) t.outs += 1
+      if (runs >= 100) t.hundreds += 1
+      else if (runs >= 50) t.fifties += 1
+      t.highest = Math.max(t.highest, runs)
+    }
+    for (const b of mainInnings(m.scorecards.bowlers)) {
+      const t = entry(b.playerId).bowling
+      t.wickets += b.wickets || 0
+      t.runs += b.runs || 0
+      t.balls += b.balls || 0
+      const w = b.wickets || 0
+      const r = b.runs || 0
+      if (w > t.bestWickets || (w === t.bestWickets && r < t.bestRuns)) Object.assign(t, { bestWickets: w, bestRuns: r, best: `${w}/${r}` })
+    }
+  }
+
+  const round = (n) => Number(n.toFixed(2))
+  return Object.fromEntries(
+    Object.entries(out).map(([id, { batting: bat, bowling: bowl }]) => [
+      id,
+      {
+        batting: {
+          runs: bat.runs,
+          avg: bat.outs ? round(bat.runs / bat.outs) : null,
+          sr: bat.balls ? round((bat.runs * 100) / bat.balls) : null,
+          fifties: bat.fifties,
+          hundreds: bat.hundreds,
+          fours: bat.fours,
+          sixes: bat.sixes,
+          highest: bat.highest,
+        },
+        bowling: {
+          wickets: bowl.wickets,
+          avg: bowl.wickets ? round(bowl.runs / bowl.wickets) : null,
+          economy: bowl.balls ? round((bowl.runs * 6) / bowl.balls) : null,
+          best: bowl.best,
+        },
+      },
+    ]),
+  )
+}
@@ -0,0 +1,71 @@
+// Match predictions, the light alternative to fantasy: pick the winner and, optionally, the top
+// scorer before the match goes live.
+//   users/{uid}/jpl_predictions/{matchId}     one pick per user per match
+//   prediction_leaderboard/{uid}              season standings, rebuilt after every result
+
+import { collection, doc, getDoc, serverTimestamp, setDoc } from 'firebase/firestore'
+import { isMatchOpen, rankEntries } from './contests'
+import { isFinished, isSuperOver } from './matchEngine'
+import { matchResult } from './standings'
+import { queuedWrite } from './offline'
+
+export const PREDICTION_POINTS = { winner: 10, topScorer: 15 }
+
+export const predictionsCol = (dbRefs, uid) => collection(dbRefs.userDoc(uid), 'jpl_predictions')
+export const predictionDoc = (dbRefs, uid, matchId) => doc(predictionsCol(dbRefs, uid), matchId)
+export const predictionLeaderboardCol = (dbRefs) => dbRefs.col('prediction_leaderboard')
+
+/** Everyone who made the most runs in the match proper; ties all count. */
+export function topScorers(match) {
+  const runs = {}
+  for (const b of match.scorecards?.batsmen || []) {
+    if (isSuperOver(b.innings)) continue
+    runs[b.playerId] = (runs[b.playerId] || 0) + (b.runs || 0)
+  }
+  const best = Math.max(0, ...Object.values(runs))
+  return best > 0 ? Object.keys(runs).filter((id) => runs[id] === best) : []
+}
+
+/**
+ * { points, winner, topScorer } for one pick, where winner/topScorer are true, false, or null
+ * when there's nothing to judge (no pick made, or a tie or no result). Null until the match ends.
+ */
+export function scorePrediction(prediction, match) {
+  if (!prediction || !isFinished(match)) return null
+  const result = matchResult(match)
+  if (result === 'no result') return { points: 0, winner: null, topScorer: null }
+  const winner = result === 'win' && prediction.winnerId ? prediction.winnerId === match.summary.winner : null
+  const topScorer = prediction.topScorerId ? topScorers(match).includes(prediction.topScorerId) : null
+  const points = (winner ? PREDICTION_POINTS.winner : 0) + (topScorer ? PREDICTION_POINTS.topScorer : 0)
+  return { points, winner, topScorer }
+}
+
+/**
+ * Season standings from [{ uid, matchId, winnerId, topScorerId }] and the league's matches.
+ * Rows are sorted and carry a shared `rank` and a unique `position`, like contest leaderboards.
+ */
+export function computePredictionTable(predictions, matches) {
+  const byId = Object.fromEntries(matches.map((m) => [m.id, m]))
+  const rows = {}
+  for (const p of predictions) {
+    const score = scorePrediction(p, byId[p.matchId])
+    if (!score) continue
+    const row = (rows[p.uid] ||= { uid: p.uid, points: 0, played: 0, correctWinners: 0, correctTopScorers: 0 })
+    row.played += 1
+    row.points += score.points
+    if (score.winner) row.correctWinners += 1
+    if (score.topScorer) row.correctTopScorers += 1
+  }
+  // uid order first so tied users keep the same positions from one sync to the next
+  const sorted = Object.values(rows).sort((a, b) => a.uid.localeCompare(b.uid))
+  return rankEntries(sorted).map((row, i) => ({ ...row, position: i + 1 }))
+}
+
+/** Saves the user's pick for a match; the deadline is the same one fantasy teams lock on. */
+export async function savePrediction(dbRefs, uid, matchId, { winnerId, topScorerId = null }) {
+  if (!winnerId) throw new Error('Pick a winner first.')
+  const snap = await getDoc(doc(dbRefs.col('matches'), matchId))
+  if (!isMatchOpen(snap.data())) throw new Error('This match has started. Predictions are locked.')
+  const write = setDoc(predictionDoc(dbRefs, uid, matchId), { matchId, winnerId, topScorerId: topScorerId || null, updatedAt: serverTimestamp() })
+  return queuedWrite(write, 'Your prediction')
+}
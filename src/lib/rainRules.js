@@ -0,0 +1,145 @@
+// Rain rules: revised targets after interruptions and results for matches that can't finish.
+// Targets use a DLS-style par-score method over a resource table: the share of a side's
+// run-scoring resources left with u overs to go and w wickets down. The table follows the
+// shape of the published Duckworth-Lewis model rather than the licensed DLS tables, so
+// revised targets are close to, but not exactly, what an official scorer would set.
+
+import { BALLS_PER_OVER, MAX_WICKETS, isSuperOver } from './matchEngine'
+
+const TABLE_OVERS = 50
+// Scoring potential with w wickets down, relative to all ten in hand
+const WICKET_POTENTIAL = [1, 0.93, 0.85, 0.74, 0.62, 0.49, 0.36, 0.24, 0.14, 0.06]
+// How quickly resources run out as overs are used up
+const OVERS_DECAY = 36.5
+// Average score for a full 50 overs; used when the side batting second gets more resources
+export const PAR_SCORE_50 = 245
+
+const potential = (overs, w) => WICKET_POTENTIAL[w] * (1 - Math.exp(-overs / (OVERS_DECAY * WICKET_POTENTIAL[w])))
+
+/** RESOURCE_TABLE[oversLeft][wicketsLost]: percentage of a 50-over innings' resources remaining. */
+export const RESOURCE_TABLE = Array.from({ length: TABLE_OVERS + 1 }, (_, u) =>
+  WICKET_POTENTIAL.map((_, w) => Math.round((potential(u, w) / potential(TABLE_OVERS, 0)) * 1000) / 10),
+)
+
+/** Resources left with `ballsLeft` to go and `wicketsLost` down, interpolated between whole overs. */
+export function resourcesLeft(ballsLeft, wicketsLost) {
+  if (ballsLeft <= 0 || wicketsLost >= MAX_WICKETS) return 0
+  const overs = Math.min(ballsLeft / BALLS_PER_OVER, TABLE_OVERS)
+  const lower = Math.floor(overs)
+  const upper = Math.min(lower + 1, TABLE_OVERS)
+  const row = (u) => RESOURCE_TABLE[u][wicketsLost]
+  return row(lower) + (row(upper) - row(lower)) * (overs - lower)
+}
+
+/** Fewest overs the side batting second must face for a rain-affected result. */
+export function minOversForResult(scheduledOvers) {
+  return scheduledOvers > 20 ? 20 : Math.min(5, scheduledOvers)
+}
+
+// Overs an innings started with: before the first interruption took any away
+function startingOvers(match, index) {
+  const first = (match.info?.interruptions || []).find((x) => x.innings === index)
+  return first ? first.from : match.scorecards.innings[index].maxOvers
+}
+
+/** Resources available to an innings: what it started with, less what interruptions took. */
+export function inningsResources(match, index, startOvers = startingOvers(match, index)) {
+  let available = resourcesLeft(startOvers * BALLS_PER_OVER, 0)
+  for (const x of (match.info?.interruptions || []).filter((i) => i.innings === index)) {
+    available -= resourcesLeft(x.from * BALLS_PER_OVER - x.balls, x.wickets) - resourcesLeft(x.to * BALLS_PER_OVER - x.balls, x.wickets)
+  }
+  return available
+}
+
+// Team 2's par score for `resources`, given team 1 scored `runs` with `firstResources`
+function parScore(runs, firstResources, resources) {
+  if (resources <= firstResources) return (runs * resources) / firstResources
+  return runs + (PAR_SCORE_50 * (resources - firstResources)) / 100
+}
+
+/**
+ * Target for a second innings of `overs` overs. Equal to one more than the first innings unless
+ * an interruption left the two sides with different resources.
+ */
+export function revisedTarget(match, overs) {
+  const first = match.scorecards?.innings?.[0]
+  if (!first) return null
+  const firstResources = inningsResources(match, 0)
+  const resources = inningsResources(match, 1, overs)
+  if (Math.abs(resources - firstResources) < 0.05) return first.runs + 1
+  return Math.floor(parScore(first.runs, firstResources, resources)) + 1
+}
+
+const clone = (value) => (value == null ? value : JSON.parse(JSON.stringify(value)))
+
+/**
+ * An interruption cut the innings in progress to `overs` overs. Records it, revises the target
+ * when the chase is shortened, and closes the innings if it has already used its new quota.
+ * Shortening the first innings is reflected in the target once the second starts.
+ */
+export function reviseOvers(match, overs) {
+  const next = Number(overs)
+  const live = clone(match.liveState)
+  if (!live || live.innings == null || live.inningsComplete) throw new Error('Overs can only be cut from an innings in progress.')
+  if (isSuperOver(live.innings)) throw new Error('Super overs cannot be shortened.')
+  const info = clone(match.info) || {}
+  const scorecards = clone(match.scorecards)
+  const inn = scorecards.innings[live.innings]
+  if (!Number.isInteger(next) || next < 1) throw new Error('Enter a whole number of overs.')
+  if (next >= live.maxOvers) throw new Error(`The innings already has ${live.maxOvers} overs; an interruption can only take overs away.`)
+  if (next * BALLS_PER_OVER < inn.balls) throw new Error(`${inn.overs} overs have already been bowled.`)
+
+  info.interruptions = [...(info.interruptions || []), { innings: live.innings, balls: inn.balls, wickets: inn.wickets, from: live.maxOvers, to: next }]
+  inn.maxOvers = next
+  live.maxOvers = next
+  if (live.innings === 1) {
+    live.target = inn.target = revisedTarget({ info, scorecards }, startingOvers({ info, scorecards }, 1))
+  }
+  const done = inn.balls >= next * BALLS_PER_OVER || (live.target != null && inn.runs >= live.target)
+  if (done) {
+    inn.closed = true
+    Object.assign(live, { inningsComplete: true, currentBowler: null })
+  }
+  return { info, liveState: live, scorecards }
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`
+
+/**
+ * Play can't continue. With the chase far enough along, the result goes by the par score at the
+ * stoppage; otherwise the match is abandoned as a no result. Returns the fields to write.
+ */
+export function abandonMatch(match) {
+  const innings = match.scorecards?.innings || []
+  const live = match.liveState ? { ...match.liveState, inningsComplete: true, currentBowler: null } : null
+  const scorecards = clone(match.scorecards)
+  if (live?.innings != null) scorecards.innings[live.innings].closed = true
+  const noResult = (margin) => ({ status: 'abandoned', summary: { result: 'no result', winner: null, margin }, liveState: live, scorecards })
+
+  if (!innings.length) return { ...noResult('Abandoned without a ball bowled'), scorecards: match.scorecards ?? null }
+  if (innings.length > 2) {
+    // Weather took the super over: the tie stands
+    return { status: 'completed', summary: { result: 'tie', winner: null, margin: 'Match tied (Super Over not completed)', superOver: true }, liveState: live, scorecards }
+  }
+  const [first, second] = innings
+  if (!second || match.liveState?.innings !== 1) return noResult('No result')
+  if (match.liveState.inningsComplete) throw new Error('Both innings are complete; record the result instead.')
+
+  const scheduled = match.info?.overs || first.maxOvers
+  if (second.balls < minOversForResult(scheduled) * BALLS_PER_OVER) return noResult('No result')
+  const par = currentPar(match)
+  let summary
+  if (second.runs > par) summary = { result: 'win', winner: second.teamId, margin: `${plural(MAX_WICKETS - second.wickets, 'wicket')} (DLS)` }
+  else if (second.runs < par) summary = { result: 'win', winner: first.teamId, margin: `${plural(par - second.runs, 'run')} (DLS)` }
+  else summary = { result: 'tie', winner: null, margin: 'Match tied (DLS)' }
+  return { status: 'completed', summary: { ...summary, par }, liveState: live, scorecards }
+}
+
+/** Par score right now in a chase, for the scorer to see what an abandonment would mean. */
+export function currentPar(match) {
+  const live = match.liveState
+  const [first, second] = match.scorecards?.innings || []
+  if (live?.innings !== 1 || !second || live.inningsComplete) return null
+  const used = inningsResources(match, 1) - resourcesLeft(second.maxOvers * BALLS_PER_OVER - second.balls, second.wickets)
+  return Math.floor(parScore(first.runs, inningsResources(match, 0), used))
+}
@@ -0,0 +1,163 @@
+// Season scheduling: round-robin league fixtures placed on a calendar, and the
+// playoff stages seeded from the points table.
+
+// tests/lib runs this under plain Node, so relative imports need their extension
+import { isFinished } from './matchEngine.js'
+import { matchResult } from './standings.js'
+
+export const DEFAULT_SCHEDULE = {
+  double: false,
+  startDate: null, // 'YYYY-MM-DD'
+  startTime: '19:30',
+  matchesPerDay: 1,
+  minRestDays: 2,
+  venues: [],
+  blackoutDates: [],
+}
+
+const DAY_MS = 24 * 3600 * 1000
+// On a multi-game day the earlier games start this far apart, finishing at startTime
+const SLOT_GAP_HOURS = 4
+const toDay = (ms) => new Date(ms).toISOString().slice(0, 10)
+const fromDay = (day) => Date.parse(`${day}T00:00:00Z`)
+
+/**
+ * Circle-method rounds: every team plays once per round (one sits out when the
+ * count is odd). Home and away alternate; the second leg of a double round-robin
+ * repeats the rounds with sides swapped.
+ */
+export function roundRobinRounds(teamIds, { double = false } = {}) {
+  const ids = [...teamIds]
+  if (ids.length < 2) return []
+  if (ids.length % 2) ids.push(null)
+  const n = ids.length
+  const rounds = []
+  let ring = ids.slice(1)
+  for (let r = 0; r < n - 1; r++) {
+    const order = [ids[0], ...ring]
+    const pairs = []
+    for (let i = 0; i < n / 2; i++) {
+      const x = order[i]
+      const y = order[n - 1 - i]
+      if (x == null || y == null) continue
+      // Alternate so the fixed team isn't always at home
+      pairs.push((r + i) % 2 ? { a: y, b: x } : { a: x, b: y })
+    }
+    rounds.push(pairs)
+    ring = [ring[ring.length - 1], ...ring.slice(0, -1)]
+  }
+  if (double) return [...rounds, ...rounds.map((pairs) => pairs.map(({ a, b }) => ({ a: b, b: a })))]
+  return rounds
+}
+
+/**
+ * Places every league pairing on the earliest day that isn't blacked out, has a free
+ * slot and gives both teams `minRestDays` full days off since their last game.
+ * Returns fixtures: [{ id, date, teams: { a, b }, venue, round, stage: 'league' }].
+ */
+export function scheduleSeason(teamIds, options = {}) {
+  const opts = { ...DEFAULT_SCHEDULE, ...options }
+  if (!opts.startDate) throw new Error('Pick a start date.')
+  const blackout = new Set(opts.blackoutDates)
+  const perDay = Math.max(1, Number(opts.matchesPerDay) || 1)
+  const rest = Math.max(0, Number(opts.minRestDays) || 0)
+  const [hours, minutes = 0] = String(opts.startTime || DEFAULT_SCHEDULE.startTime).split(':').map(Number)
+  const pad = (n) => String(n).padStart(2, '0')
+  if (!Number.isInteger(hours) || hours < 0 || hours > 23) throw new Error('Enter the start time as HH:MM.')
+  // Every game has to start on the same day as the last one
+  const maxPerDay = Math.floor(hours / SLOT_GAP_HOURS) + 1
+  if (perDay > maxPerDay) {
+    throw new Error(`With the last game at ${pad(hours)}:${pad(minutes)}, a day fits at most ${maxPerDay} games ${SLOT_GAP_HOURS} hours apart.`)
+  }
+
+  const slots = {} // day -> matches already placed
+  const lastPlayed = {} // teamId -> day ms
+  const fixtures = []
+  const first = fromDay(opts.startDate)
+
+  roundRobinRounds(teamIds, opts).forEach((pairs, round) => {
+    for (const { a, b } of pairs) {
+      let day = first
+      for (;;) {
+        const key = toDay(day)
+        const rested = [a, b].every((t) => lastPlayed[t] == null || day - lastPlayed[t] > rest * DAY_MS)
+        if (!blackout.has(key) && (slots[key] || 0) < perDay && rested) break
+        day += DAY_MS
+      }
+      const key = toDay(day)
+      const slot = slots[key] || 0
+      slots[key] = slot + 1
+      lastPlayed[a] = lastPlayed[b] = day
+      const hour = hours - (perDay - 1 - slot) * SLOT_GAP_HOURS
+      const index = fixtures.length
+      fixtures.push({
+        // Same IDs as the season file, so saving lands on the fixtures it loaded
+        id: `match_${index + 1}`,
+        date: new Date(`${key}T${pad(hour)}:${pad(minutes)}:00`).toISOString(),
+        teams: { a, b },
+        venue: opts.venues.length ? opts.venues[index % opts.venues.length] : null,
+        round: round + 1,
+        stage: 'league',
+      })
+    }
+  })
+  return fixtures
+}
+
+// Page-playoff format: the top two get a second chance through Qualifier 2
+export const PLAYOFF_STAGES = [
+  { stage: 'qualifier1', label: 'Qualifier 1', teams: { a: { seed: 1 }, b: { seed: 2 } } },
+  { stage: 'eliminator', label: 'Eliminator', teams: { a: { seed: 3 }, b: { seed: 4 } } },
+  { stage: 'qualifier2', label: 'Qualifier 2', teams: { a: { from: 'qualifier1', take: 'loser' }, b: { from: 'eliminator', take: 'winner' } } },
+  { stage: 'final', label: 'Final', teams: { a: { from: 'qualifier1', take: 'winner' }, b: { from: 'qualifier2', take: 'winner' } } },
+]
+
+export const playoffId = (stage) => `playoff_${stage}`
+export const isPlayoff = (stage) => !!stage && stage !== 'league'
+
+/**
+ * Playoff fixtures after the league, two days apart. Seeded slots take teams from the
+ * points table; the rest stay TBD (`teams` null) until `resolvePlayoffs` fills them.
+ */
+export function playoffFixtures(pointsTable, { startDate, startTime = DEFAULT_SCHEDULE.startTime, venues = [], gapDays = 2 } = {}) {
+  if (!startDate) throw new Error('Pick a start date for the playoffs.')
+  if ((pointsTable || []).length < 4) throw new Error('Playoffs need at least four teams in the points table.')
+  return PLAYOFF_STAGES.map((s, i) => {
+    const seeded = s.teams.a.seed ? { a: pointsTable[s.teams.a.seed - 1].teamId, b: pointsTable[s.teams.b.seed - 1].teamId } : null
+    return {
+      id: playoffId(s.stage),
+      date: new Date(`${toDay(fromDay(startDate) + i * gapDays * DAY_MS)}T${startTime}:00`).toISOString(),
+      teams: seeded,
+      venue: venues.length ? venues[i % venues.length] : null,
+      stage: s.stage,
+    }
+  })
+}
+
+/**
+ * Winner/loser of a finished playoff match, or null while it's undecided. Without a winner
+ * (rained off, or a tie the super over couldn't settle) the higher seed, listed first, goes through.
+ */
+function outcome(match, take) {
+  if (!isFinished(match)) return null
+  const { a, b } = match.info?.teams || {}
+  const winner = matchResult(match) === 'win' ? match.summary.winner : a
+  return take === 'winner' ? winner : winner === a ? b : a
+}
+
+/**
+ * Playoff fixtures whose teams are now known from earlier results.
+ * Returns [{ id, teams }] only for fixtures that changed.
+ */
+export function resolvePlayoffs(fixtures, matches) {
+  const byStage = Object.fromEntries(matches.filter((m) => isPlayoff(m.info?.stage)).map((m) => [m.info.stage, m]))
+  const updates = []
+  for (const s of PLAYOFF_STAGES) {
+    const fixture = fixtures.find((f) => f.id === playoffId(s.stage))
+    if (!fixture || fixture.teams || s.teams.a.seed) continue
+    const a = outcome(byStage[s.teams.a.from], s.teams.a.take)
+    const b = outcome(byStage[s.teams.b.from], s.teams.b.take)
+    if (a && b) updates.push({ id: fixture.id, teams: { a, b } })
+  }
+  return updates
+}
@@ -0,0 +1,156 @@
+// Points table and net run rate computed from `matches` documents.
+
+import { BALLS_PER_OVER, DEFAULT_OVERS, MAX_WICKETS, ballsFromOvers, isFinished, isSuperOver } from './matchEngine.js'
+
+export const DEFAULT_POINTS = { win: 2, tie: 1, noResult: 1, loss: 0 }
+
+// Applied in order after points. Override via `meta/league_config.tieBreakers`.
+export const TIE_BREAKERS = {
+  NRR: { label: 'Net run rate', compare: (a, b) => b.NRR - a.NRR },
+  W: { label: 'Most wins', compare: (a, b) => b.W - a.W },
+  L: { label: 'Fewest losses', compare: (a, b) => a.L - b.L },
+  headToHead: { label: 'Head-to-head', compare: (a, b, ctx) => (ctx.h2h[`${b.teamId}:${a.teamId}`] || 0) - (ctx.h2h[`${a.teamId}:${b.teamId}`] || 0) },
+  runsFor: { label: 'Runs scored', compare: (a, b) => b.runsFor - a.runsFor },
+}
+export const DEFAULT_TIE_BREAKERS = ['NRR', 'W', 'headToHead']
+
+const FORM_LENGTH = 5
+
+function inningsBalls(innings, quotaBalls) {
+  // An all-out side is charged its full quota of overs for NRR
+  if ((innings.wickets || 0) >= MAX_WICKETS) return quotaBalls
+  return innings.balls ?? ballsFromOvers(innings.overs)
+}
+
+// 'win' | 'tie' | 'no result' for a finished match; older docs only carry `winner`
+export function matchResult(match) {
+  const summary = match.summary || {}
+  if (summary.result) return summary.result
+  return summary.winner ? 'win' : 'no result'
+}
+
+/**
+ * Runs and balls each innings counts for in NRR. Super overs don't count. When rain revised the
+ * target, the side batting first is credited with the par score (target - 1, or the par at the
+ * stoppage) off the overs the chasing side had, as the playing conditions require.
+ */
+function nrrInnings(match, quotaBalls) {
+  const innings = (match.scorecards?.innings || []).filter((_, i) => !isSuperOver(i))
+  const rows = innings.map((inn) => ({ inn, runs: inn.runs || 0, balls: inningsBalls(inn, (inn.maxOvers || 0) * BALLS_PER_OVER || quotaBalls) }))
+  const [first, second] = innings
+  if (!second) return rows
+  const chaseBalls = (second.maxOvers || 0) * BALLS_PER_OVER || quotaBalls
+  if (match.summary?.par != null) {
+    rows[0] = { ...rows[0], runs: match.summary.par, balls: second.balls ?? ballsFromOvers(second.overs) }
+  } else if (second.target != null && (second.target !== first.runs + 1 || match.info?.interruptions?.length)) {
+    rows[0] = { ...rows[0], runs: second.target - 1, balls: chaseBalls }
+  }
+  return rows
+}
+
+function emptyRow(teamId) {
+  return { teamId, P: 0, W: 0, L: 0, T: 0, NR: 0, Pts: 0, NRR: 0, runsFor: 0, ballsFaced: 0, runsAgainst: 0, ballsBowled: 0, form: [] }
+}
+
+/**
+ * Builds sorted standings for `teamIds` from every finished league match (playoffs don't count).
+ * Abandoned matches count as no results.
+ * config: { points: { win, tie, noResult, loss }, tieBreakers: ['NRR', 'W', ...] }
+ */
+export function computePointsTable(matches, teamIds, config = {}) {
+  const points = { ...DEFAULT_POINTS, ...(config.points || {}) }
+  const tieBreakers = (config.tieBreakers || DEFAULT_TIE_BREAKERS).filter((k) => TIE_BREAKERS[k])
+  const rows = Object.fromEntries(teamIds.map((id) => [id, emptyRow(id)]))
+  const row = (id) => (rows[id] ||= emptyRow(id))
+  const h2h = {}
+
+  const completed = matches
+    .filter((m) => isFinished(m) && m.info?.teams?.a && m.info?.teams?.b && (m.info.stage || 'league') === 'league')
+    .sort((x, y) => new Date(x.info?.date || 0) - new Date(y.info?.date || 0))
+
+  for (const m of completed) {
+    const { a, b } = m.info.teams
+    const result = matchResult(m)
+    const quotaBalls = (m.info?.overs || m.liveState?.maxOvers || DEFAULT_OVERS) * BALLS_PER_OVER
+
+    for (const id of [a, b]) {
+      const r = row(id)
+      r.P += 1
+      if (result === 'no result') {
+        r.NR += 1
+        r.Pts += points.noResult
+        r.form.push('NR')
+      } else if (result === 'tie') {
+        r.T += 1
+        r.Pts += points.tie
+        r.form.push('T')
+      } else if (m.summary.winner === id) {
+        r.W += 1
+        r.Pts += points.win
+        r.form.push('W')
+      } else {
+        r.L += 1
+        r.Pts += points.loss
+        r.form.push('L')
+      }
+    }
+
+    if (result === 'win') {
+      const loser = m.summary.winner === a ? b : a
+      const key = `${m.summary.winner}:${loser}`
+      h2h[key] = (h2h[key] || 0) + 1
+    }
+
+    // No-results are left out of NRR entirely
+    if (result === 'no result') continue
+    for (const { inn, runs, balls } of nrrInnings(m, quotaBalls)) {
+      const batting = inn.teamId
+      const bowling = inn.bowlingTeamId || (batting === a ? b : a)
+      row(batting).runsFor += runs
+      row(batting).ballsFaced += balls
+      row(bowling).runsAgainst += runs
+      row(bowling).ballsBowled += balls
+    }
+  }
+
+  const entries = Object.values(rows).map((r) => {
+    const forRate = r.ballsFaced ? (r.runsFor * BALLS_PER_OVER) / r.ballsFaced : 0
+    const againstRate = r.ballsBowled ? (r.runsAgainst * BALLS_PER_OVER) / r.ballsBowled : 0
+    return { ...r, NRR: Number((forRate - againstRate).toFixed(3)), form: r.form.slice(-FORM_LENGTH).reverse() }
+  })
+
+  const ctx = { h2h }
+  entries.sort((x, y) => {
+    if (y.Pts !== x.Pts) return y.Pts - x.Pts
+    for (const key of tieBreakers) {
+      const diff = TIE_BREAKERS[key].compare(x, y, ctx)
+      if (diff) return diff
+    }
+    return String(x.teamId).localeCompare(String(y.teamId))
+  })
+  return entries
+}
+
+export function formatNRR(nrr) {
+  const n = Number(nrr) || 0
+  return `${n > 0 ? '+' : ''}${n.toFixed(3)}`
+}
+
+/**
+ * Record between two teams over every finished meeting, playoffs included:
+ * { played, wins: { [teamId]: n }, ties, noResults, recent } with `recent` newest first.
+ */
+export function headToHead(matches, teamA, teamB, { exclude = null, recentCount = 5 } = {}) {
+  const pair = [teamA, teamB]
+  const meetings = matches
+    .filter((m) => m.id !== exclude && isFinished(m) && pair.includes(m.info?.teams?.a) && pair.includes(m.info?.teams?.b) && m.info.teams.a !== m.info.teams.b)
+    .sort((x, y) => new Date(y.info?.date || 0) - new Date(x.info?.date || 0))
+  const record = { played: meetings.length, wins: { [teamA]: 0, [teamB]: 0 }, ties: 0, noResults: 0 }
+  for (const m of meetings) {
+    const result = matchResult(m)
+    if (result === 'win') record.wins[m.summary.winner] += 1
+    else if (result === 'tie') record.ties += 1
+    else record.noResults += 1
+  }
+  return { ...record, recent: meetings.slice(0, recentCount) }
+}
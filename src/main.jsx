@@ -1,19 +1,27 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
-import { BrowserRouter, Routes, Route } from 'react-router-dom'
+import { RouterProvider, createBrowserRouter } from 'react-router-dom'
 import App from './App'
 import Test from './Test'
 import JPLApp from './JPLApp'
 import './index.css'
 
+// A data router so JPLApp can use <ScrollRestoration>; JPLApp owns every other path
+const router = createBrowserRouter([
+  { path: '/legacy', element: <App /> },
+  { path: '/test', element: <Test /> },
+  { path: '*', element: <JPLApp /> },
+])
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <BrowserRouter>
-      <Routes>
-        <Route path="/" element={<JPLApp />} />
-        <Route path="/legacy" element={<App />} />
-        <Route path="/test" element={<Test />} />
-      </Routes>
-    </BrowserRouter>
+    <RouterProvider router={router} />
   </React.StrictMode>,
 )
+
+// Dev builds aren't hashed, so only production gets the app-shell cache
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((e) => console.warn('Service worker registration failed.', e))
+  })
+}
@@ -0,0 +1,520 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { onSnapshot } from 'firebase/firestore'
+import { Plus } from 'lucide-react'
+import * as Dialog from '@radix-ui/react-dialog'
+import { useSearchParams } from 'react-router-dom'
+import {
+  ADMIN_LOG_PAGE_SIZE,
+  adminLogQuery,
+  adminWrite,
+  contestDeleteBlocker,
+  contestFields,
+  contestValues,
+  fixtureDeleteBlocker,
+  fixtureFields,
+  fixtureValues,
+  playerDeleteBlocker,
+  playerFields,
+  playerValues,
+  slug,
+  teamDeleteBlocker,
+  teamFields,
+  teamValues,
+  uniqueId,
+  validateContest,
+  validateFixture,
+  validatePlayer,
+  validateTeam,
+} from '../lib/admin'
+import { PLAYER_ROLES } from '../lib/playerStats'
+import { useCollection, useMatches, usePlayers, useTeamName, useTeams } from '../lib/leagueData'
+
+const card = 'rounded-xl bg-slate-800/60 border border-slate-700 p-4'
+const inputClass = 'mt-1 w-full rounded-lg bg-slate-900/60 border text-white text-sm p-2'
+
+const TABS = [
+  ['teams', 'Teams'],
+  ['players', 'Players'],
+  ['fixtures', 'Fixtures'],
+  ['contests', 'Contests'],
+  ['history', 'History'],
+]
+
+function Field({ label, error, children }) {
+  return (
+    <label className="block">
+      <span className="text-slate-400 text-xs">{label}</span>
+      {children}
+      {error && <span className="block mt-1 text-red-300 text-[11px]">{error}</span>}
+    </label>
+  )
+}
+
+const fieldClass = (error) => `${inputClass} ${error ? 'border-red-500/60' : 'border-slate-700'}`
+
+function TextField({ label, name, form, type = 'text', ...rest }) {
+  return (
+    <Field label={label} error={form.errors[name]}>
+      <input type={type} value={form.values[name]} onChange={(e) => form.set(name, e.target.value)} className={fieldClass(form.errors[name])} {...rest} />
+    </Field>
+  )
+}
+
+function SelectField({ label, name, form, options, placeholder }) {
+  return (
+    <Field label={label} error={form.errors[name]}>
+      <select value={form.values[name]} onChange={(e) => form.set(name, e.target.value)} className={fieldClass(form.errors[name])}>
+        {placeholder != null && <option value="">{placeholder}</option>}
+        {options.map(([value, text]) => (
+          <option key={value} value={value}>{text}</option>
+        ))}
+      </select>
+    </Field>
+  )
+}
+
+// Form state with errors shown once the admin has tried to save, then kept current as they type
+function useForm(initial, validate) {
+  const [values, setValues] = useState(initial)
+  const [touched, setTouched] = useState(false)
+  const errors = touched ? validate(values) : {}
+  return {
+    values,
+    errors,
+    set: (name, value) => setValues((v) => ({ ...v, [name]: value })),
+    // Returns the values when they're valid, otherwise shows the errors and returns null
+    submit: () => {
+      setTouched(true)
+      return Object.keys(validate(values)).length ? null : values
+    },
+  }
+}
+
+// Confirms a delete, listing every document that goes with it, or explains why it can't go
+function DeleteDialog({ open, onOpenChange, deletion, onConfirm }) {
+  const { label, blocker, removes = [] } = deletion
+  return (
+    <Dialog.Root open={open} onOpenChange={onOpenChange}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-50 bg-slate-950/70" />
+        <Dialog.Content className="fixed z-50 left-1/2 top-1/2 w-[90vw] max-w-sm -translate-x-1/2 -translate-y-1/2 rounded-xl bg-slate-900 border border-slate-700 p-4 space-y-3">
+          <Dialog.Title className="text-white font-semibold">{blocker ? `${label} can't be deleted` : `Delete ${label}?`}</Dialog.Title>
+          <Dialog.Description className="text-slate-300 text-sm">
+            {blocker || "This removes the following and can't be undone. The History tab keeps a record of it."}
+          </Dialog.Description>
+          {!blocker && (
+            <ul className="list-disc pl-5 text-slate-300 text-xs space-y-1">
+              {removes.map((line) => (
+                <li key={line}>{line}</li>
+              ))}
+            </ul>
+          )}
+          <div className="flex gap-2">
+            <Dialog.Close className="flex-1 py-2 rounded-lg border border-slate-600 text-slate-300 text-sm">{blocker ? 'Close' : 'Cancel'}</Dialog.Close>
+            {!blocker && (
+              <button onClick={onConfirm} className="flex-1 py-2 rounded-lg bg-red-500 hover:bg-red-400 text-white font-semibold text-sm">
+                Delete
+              </button>
+            )}
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
+
+// The shared shell of every editor: title, fields, save, delete and cancel.
+// `deletion` describes what a delete removes, or why it's blocked, for the confirm dialog.
+function EditorCard({ title, busy, onSave, onDelete, deletion, onCancel, note, children }) {
+  const [confirming, setConfirming] = useState(false)
+  const confirmDelete = () => {
+    setConfirming(false)
+    onDelete()
+  }
+
+  return (
+    <div className={`${card} space-y-3`}>
+      <div className="text-white font-semibold">{title}</div>
+      {note && <div className="text-amber-300 text-xs">{note}</div>}
+      {children}
+      <div className="flex gap-2">
+        {onSave && (
+          <button onClick={onSave} disabled={busy} className="flex-1 py-2 rounded-lg bg-amber-500 hover:bg-amber-400 text-slate-900 font-semibold text-sm disabled:opacity-60">
+            {busy ? 'Saving...' : 'Save'}
+          </button>
+        )}
+        <button onClick={onCancel} disabled={busy} className="flex-1 py-2 rounded-lg border border-slate-600 text-slate-300 text-sm disabled:opacity-60">
+          {onSave ? 'Cancel' : 'Close'}
+        </button>
+      </div>
+      {onDelete && (
+        <>
+          <button onClick={() => setConfirming(true)} disabled={busy} className="w-full py-2 rounded-lg border border-red-500/40 text-red-300 text-sm disabled:opacity-60">
+            Delete
+          </button>
+          <DeleteDialog open={confirming} onOpenChange={setConfirming} deletion={deletion} onConfirm={confirmDelete} />
+        </>
+      )}
+    </div>
+  )
+}
+
+// Runs an admin write with the console's busy flag and error handling; resolves true on success
+function useAdminAction(dbRefs, user) {
+  const [busy, setBusy] = useState(false)
+  const run = async (change) => {
+    setBusy(true)
+    try {
+      const saved = await adminWrite(dbRefs, user, change)
+      if (!saved) alert('Nothing changed.')
+      return saved
+    } catch (e) {
+      console.error(e)
+      alert(e.message || 'Failed to save the change.')
+      return false
+    } finally {
+      setBusy(false)
+    }
+  }
+  return { busy, run }
+}
+
+function TeamEditor({ dbRefs, user, team, onDone }) {
+  const teams = useTeams()
+  const players = usePlayers()
+  const matches = useMatches()
+  const form = useForm(teamValues(team), (v) => validateTeam(v, { teams, id: team?.id }))
+  const { busy, run } = useAdminAction(dbRefs, user)
+
+  const save = async () => {
+    const values = form.submit()
+    if (!values) return
+    const id = team?.id || uniqueId(`team_${slug(values.name)}`, teams.map((t) => t.id))
+    const data = { ...teamFields(values), ...(team ? {} : { id }) }
+    if (await run({ action: team ? 'update' : 'create', label: data.name, before: team, writes: [{ col: 'teams', id, data }] })) onDone()
+  }
+
+  const remove = async () => {
+    if (await run({ action: 'delete', label: team.name, before: team, writes: [{ col: 'teams', id: team.id, data: null }] })) onDone()
+  }
+
+  const deletion = team && { label: team.name, blocker: teamDeleteBlocker(team.id, { players, matches }), removes: [`The team ${team.name}`] }
+
+  return (
+    <EditorCard title={team ? `Edit ${team.name}` : 'New team'} busy={busy} onSave={save} onDelete={team ? remove : null} deletion={deletion} onCancel={onDone}>
+      <TextField label="Name" name="name" form={form} maxLength={40} />
+      <TextField label="Logo URL (blank for a generated logo)" name="logoUrl" form={form} type="url" />
+      <div className="grid grid-cols-2 gap-2">
+        {['primary', 'secondary'].map((name) => (
+          <Field key={name} label={`${name === 'primary' ? 'Primary' : 'Secondary'} colour`} error={form.errors[name]}>
+            <div className="flex gap-2 items-center">
+              <input type="color" value={/^#[0-9a-f]{6}$/i.test(form.values[name]) ? form.values[name] : '#000000'} onChange={(e) => form.set(name, e.target.value)} className="mt-1 h-9 w-10 rounded bg-transparent" />
+              <input value={form.values[name]} onChange={(e) => form.set(name, e.target.value)} className={fieldClass(form.errors[name])} />
+            </div>
+          </Field>
+        ))}
+      </div>
+      <TextField label="Slogan" name="slogan" form={form} maxLength={120} />
+    </EditorCard>
+  )
+}
+
+function PlayerEditor({ dbRefs, user, player, onDone }) {
+  const teams = useTeams()
+  const players = usePlayers()
+  const matches = useMatches()
+  const form = useForm(playerValues(player), (v) => validatePlayer(v, { teams, players, id: player?.id }))
+  const { busy, run } = useAdminAction(dbRefs, user)
+
+  const save = async () => {
+    const values = form.submit()
+    if (!values) return
+    const id = player?.id || uniqueId(`player_${slug(values.name)}`, players.map((p) => p.id))
+    const data = { ...playerFields(values, id), ...(player ? {} : { id }) }
+    if (await run({ action: player ? 'update' : 'create', label: data.name, before: player, writes: [{ col: 'players', id, data }] })) onDone()
+  }
+
+  const remove = async () => {
+    if (await run({ action: 'delete', label: player.name, before: player, writes: [{ col: 'players', id: player.id, data: null }] })) onDone()
+  }
+
+  const deletion = player && { label: player.name, blocker: playerDeleteBlocker(player.id, { matches }), removes: [`The player ${player.name}`] }
+
+  return (
+    <EditorCard title={player ? `Edit ${player.name}` : 'New player'} busy={busy} onSave={save} onDelete={player ? remove : null} deletion={deletion} onCancel={onDone}>
+      <TextField label="Name" name="name" form={form} maxLength={60} />
+      <div className="grid grid-cols-2 gap-2">
+        <SelectField label="Team" name="teamId" form={form} placeholder="—" options={teams.map((t) => [t.id, t.name])} />
+        <SelectField label="Role" name="role" form={form} options={PLAYER_ROLES.map((r) => [r, r])} />
+      </div>
+      <TextField label="Photo URL (blank for a generated avatar)" name="photoUrl" form={form} type="url" />
+    </EditorCard>
+  )
+}
+
+function FixtureEditor({ dbRefs, user, match, onDone }) {
+  const teams = useTeams()
+  const matches = useMatches()
+  const { byId: fixturesById, list: fixtures } = useCollection('fixtures')
+  const { list: contests } = useCollection('fantasy_contests')
+  const teamName = useTeamName()
+  const form = useForm(fixtureValues(match, fixturesById[match?.id]), (v) => validateFixture(v, { teams }))
+  const { busy, run } = useAdminAction(dbRefs, user)
+  // Once the scorer has started, the match belongs to the scorer console
+  const locked = match && match.status !== 'upcoming'
+  const label = (values) => `${teamName(values.a)} vs ${teamName(values.b)}`
+
+  const save = async () => {
+    const values = form.submit()
+    if (!values) return
+    const day = new Date(values.date).toISOString().slice(0, 10).replace(/-/g, '')
+    const id = match?.id || uniqueId(`match_${day}_${values.a}_${values.b}`, [...matches, ...fixtures].map((m) => m.id))
+    const { fixture, match: matchData } = fixtureFields(values, id, match)
+    const writes = [
+      { col: 'matches', id, data: matchData },
+      { col: 'fixtures', id, data: fixture },
+    ]
+    if (await run({ action: match ? 'update' : 'create', label: label(values), before: match, writes })) onDone()
+  }
+
+  // Empty contests on the match go with it
+  const matchContests = match ? contests.filter((c) => c.matchId === match.id) : []
+
+  const remove = async () => {
+    const writes = [
+      { col: 'matches', id: match.id, data: null },
+      { col: 'fixtures', id: match.id, data: null },
+      ...matchContests.map((c) => ({ col: 'fantasy_contests', id: c.id, data: null })),
+    ]
+    if (await run({ action: 'delete', label: label(form.values), before: match, writes })) onDone()
+  }
+
+  const deletion = match && {
+    label: label(form.values),
+    blocker: fixtureDeleteBlocker(match, { contests }),
+    removes: [`The match ${label(form.values)} and its fixture`, ...matchContests.map((c) => `The contest ${c.name}, which nobody has joined`)],
+  }
+
+  const teamOptions = teams.map((t) => [t.id, t.name])
+  const { a, b } = form.values
+  return (
+    <EditorCard
+      title={match ? 'Edit fixture' : 'New fixture'}
+      note={locked ? `This match is ${match.status}. Fixture details can only be changed before it starts.` : null}
+      busy={busy}
+      onSave={locked ? null : save}
+      onDelete={match && !locked ? remove : null}
+      deletion={deletion}
+      onCancel={onDone}
+    >
+      <fieldset disabled={locked} className="space-y-3">
+        <div className="grid grid-cols-2 gap-2">
+          <TextField label="Date & time" name="date" form={form} type="datetime-local" />
+          <TextField label="Overs per side" name="overs" form={form} type="number" min={1} max={50} />
+        </div>
+        <TextField label="Venue" name="venue" form={form} />
+        <div className="grid grid-cols-2 gap-2">
+          <SelectField label="Team A" name="a" form={form} placeholder="—" options={teamOptions} />
+          <SelectField label="Team B" name="b" form={form} placeholder="—" options={teamOptions} />
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <SelectField label="Toss won by" name="tossWinner" form={form} placeholder="Not yet" options={[a, b].filter(Boolean).map((id) => [id, teamName(id)])} />
+          <SelectField label="Elected to" name="tossDecision" form={form} options={[['bat', 'Bat'], ['bowl', 'Bowl']]} />
+        </div>
+      </fieldset>
+    </EditorCard>
+  )
+}
+
+function ContestEditor({ dbRefs, user, contest, onDone }) {
+  const matches = useMatches()
+  const { list: contests } = useCollection('fantasy_contests')
+  const teamName = useTeamName()
+  const form = useForm(contestValues(contest), (v) => validateContest(v, { matches, contest }))
+  const { busy, run } = useAdminAction(dbRefs, user)
+  const matchOptions = matches
+    .filter((m) => m.status === 'upcoming' || m.id === contest?.matchId)
+    .map((m) => [m.id, `${teamName(m.info?.teams?.a)} vs ${teamName(m.info?.teams?.b)} • ${new Date(m.info?.date).toLocaleDateString()}`])
+
+  const save = async () => {
+    const values = form.submit()
+    if (!values) return
+    const id = contest?.id || uniqueId(`contest_${values.matchId}_${slug(values.name)}`, contests.map((c) => c.id))
+    const data = contestFields(values, id, contest)
+    if (await run({ action: contest ? 'update' : 'create', label: data.name, before: contest, writes: [{ col: 'fantasy_contests', id, data }] })) onDone()
+  }
+
+  const remove = async () => {
+    if (await run({ action: 'delete', label: contest.name, before: contest, writes: [{ col: 'fantasy_contests', id: contest.id, data: null }] })) onDone()
+  }
+
+  const deletion = contest && { label: contest.name, blocker: contestDeleteBlocker(contest), removes: [`The contest ${contest.name}`] }
+
+  return (
+    <EditorCard title={contest ? `Edit ${contest.name}` : 'New contest'} busy={busy} onSave={save} onDelete={contest ? remove : null} deletion={deletion} onCancel={onDone}>
+      <TextField label="Name" name="name" form={form} maxLength={60} />
+      {contest ? (
+        <div className="text-slate-400 text-xs">
+          Match: {matchOptions.find(([id]) => id === contest.matchId)?.[1] || contest.matchId} • {contest.entryCount || 0} joined • {contest.status}
+        </div>
+      ) : (
+        <SelectField label="Match" name="matchId" form={form} placeholder="—" options={matchOptions} />
+      )}
+      <TextField label="Max entries (blank for no limit)" name="maxEntries" form={form} type="number" min={1} />
+      <TextField label="Prize" name="prizeInfo" form={form} maxLength={200} />
+    </EditorCard>
+  )
+}
+
+function RecordList({ items, onNew, newLabel }) {
+  return (
+    <div className="space-y-2">
+      <button onClick={onNew} className="w-full flex items-center justify-center gap-1 py-2 rounded-lg border border-amber-400/40 text-amber-300 text-sm">
+        <Plus size={16} /> {newLabel}
+      </button>
+      {items.length === 0 && <div className="text-slate-400 text-sm">Nothing here yet.</div>}
+      {items.map((item) => (
+        <button key={item.id} onClick={item.onOpen} className={`${card} w-full text-left hover:border-slate-500 transition`}>
+          <div className="text-white text-sm">{item.title}</div>
+          {item.subtitle && <div className="text-slate-400 text-xs">{item.subtitle}</div>}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+const formatValue = (v) => (v == null || v === '' ? '—' : typeof v === 'object' ? JSON.stringify(v) : String(v))
+
+function History({ dbRefs }) {
+  const [count, setCount] = useState(ADMIN_LOG_PAGE_SIZE)
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    if (!dbRefs) return undefined
+    return onSnapshot(
+      adminLogQuery(dbRefs, count),
+      (snap) => {
+        setEntries(snap.docs.map((d) => ({ id: d.id, ...d.data() })))
+        setLoading(false)
+      },
+      (e) => {
+        console.error('Change history subscription failed:', e)
+        setLoading(false)
+      },
+    )
+  }, [dbRefs, count])
+
+  return (
+    <div className="space-y-2">
+      {!loading && entries.length === 0 && <div className="text-slate-400 text-sm">No admin changes yet.</div>}
+      {entries.map((e) => (
+        <div key={e.id} className={card}>
+          <div className="flex justify-between gap-2 text-xs">
+            <span className="text-white">
+              {e.by} {e.action}d <span className="text-amber-300">{e.label}</span>
+            </span>
+            <span className="text-slate-500 shrink-0">{e.at?.toDate?.().toLocaleString() || 'just now'}</span>
+          </div>
+          <div className="text-slate-500 text-[11px]">
+            {e.collection}/{e.docId}
+          </div>
+          {e.changes?.length > 0 && (
+            <div className="mt-2 space-y-0.5 text-[11px]">
+              {e.changes.map((c) => (
+                <div key={c.field} className="text-slate-300 break-all">
+                  <span className="text-slate-400">{c.field}:</span> {e.action === 'update' && <>{formatValue(c.from)} → </>}
+                  {formatValue(c.to)}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+      {entries.length === count && (
+        <button onClick={() => setCount((n) => n + ADMIN_LOG_PAGE_SIZE)} className="w-full py-2 rounded-lg border border-slate-600 text-slate-300 text-sm">
+          Show more
+        </button>
+      )}
+    </div>
+  )
+}
+
+// /admin?tab=players&edit=player_7 (or edit=new): the tab and open record live in the URL
+export default function AdminConsole({ dbRefs, user }) {
+  const [params, setParams] = useSearchParams()
+  const tab = TABS.some(([key]) => key === params.get('tab')) ? params.get('tab') : 'teams'
+  const editing = params.get('edit')
+  const setTab = (key) => setParams(key === 'teams' ? {} : { tab: key }, { replace: true })
+  const open = (id) => setParams({ ...(tab === 'teams' ? {} : { tab }), edit: id })
+  const close = () => setParams(tab === 'teams' ? {} : { tab }, { replace: true })
+
+  const teams = useTeams()
+  const players = usePlayers()
+  const matches = useMatches()
+  const { list: contests } = useCollection('fantasy_contests')
+  const teamName = useTeamName()
+
+  const lists = useMemo(
+    () => ({
+      teams: [...teams].sort((x, y) => x.name.localeCompare(y.name)).map((t) => ({ id: t.id, title: t.name, subtitle: t.slogan })),
+      players: [...players]
+        .sort((x, y) => teamName(x.teamId).localeCompare(teamName(y.teamId)) || x.name.localeCompare(y.name))
+        .map((p) => ({ id: p.id, title: p.name, subtitle: `${teamName(p.teamId)} • ${p.role}` })),
+      fixtures: [...matches]
+        .sort((x, y) => new Date(x.info?.date || 0) - new Date(y.info?.date || 0))
+        .map((m) => ({
+          id: m.id,
+          title: `${teamName(m.info?.teams?.a)} vs ${teamName(m.info?.teams?.b)}`,
+          subtitle: `${m.info?.date ? new Date(m.info.date).toLocaleString() : '—'} • ${m.info?.venue || 'TBC'} • ${m.status}`,
+        })),
+      contests: contests.map((c) => ({ id: c.id, title: c.name, subtitle: `${c.entryCount || 0} joined • ${c.status}${c.isPublic === false ? ' • private' : ''}` })),
+    }),
+    [teams, players, matches, contests, teamName],
+  )
+
+  const editors = {
+    teams: [TeamEditor, 'team', teams],
+    players: [PlayerEditor, 'player', players],
+    fixtures: [FixtureEditor, 'match', matches],
+    contests: [ContestEditor, 'contest', contests],
+  }
+  let editor = null
+  if (editing && editors[tab]) {
+    const [Editor, prop, list] = editors[tab]
+    const record = editing === 'new' ? null : list.find((x) => x.id === editing)
+    // Until the record has loaded (or if it's gone), the list shows instead
+    if (record !== undefined) editor = <Editor key={editing} dbRefs={dbRefs} user={user} onDone={close} {...{ [prop]: record }} />
+  }
+
+  return (
+    <div className="p-4 pb-24 space-y-3">
+      <div className={card}>
+        <div className="text-white font-semibold">Admin</div>
+        <div className="text-slate-400 text-xs mt-1">Edit league data. Every change is recorded in History.</div>
+      </div>
+      <div className="flex gap-2 overflow-x-auto pb-1">
+        {TABS.map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setTab(key)}
+            className={`shrink-0 text-sm px-3 py-2 rounded-lg border ${tab === key ? 'bg-amber-500/10 border-amber-400/40 text-amber-300' : 'border-slate-700 text-slate-300'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {tab === 'history' ? (
+        <History dbRefs={dbRefs} />
+      ) : (
+        editor || (
+          <RecordList
+            items={lists[tab].map((item) => ({ ...item, onOpen: () => open(item.id) }))}
+            onNew={() => open('new')}
+            newLabel={`New ${tab.slice(0, -1)}`}
+          />
+        )
+      )}
+    </div>
+  )
+}
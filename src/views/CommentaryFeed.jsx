@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from 'react'
+import { getDocs, onSnapshot } from 'firebase/firestore'
+import { COMMENTARY_FILTERS, COMMENTARY_PAGE_SIZE, commentaryPage } from '../lib/commentary'
+import { usePlayerName } from '../lib/leagueData'
+
+const rowsOf = (snap) => snap.docs.map((d) => ({ id: d.id, ...d.data() }))
+
+// Same shape as the contest leaderboard: the newest page is live, older pages load on demand
+function useCommentary(dbRefs, matchId, filter, pageSize) {
+  const [first, setFirst] = useState({ rows: [], last: null, loading: true })
+  const [more, setMore] = useState({ rows: [], last: null, done: false })
+  const [loadingMore, setLoadingMore] = useState(false)
+
+  useEffect(() => {
+    if (!dbRefs || !matchId) return undefined
+    setFirst({ rows: [], last: null, loading: true })
+    setMore({ rows: [], last: null, done: false })
+    return onSnapshot(
+      commentaryPage(dbRefs, matchId, { filter, pageSize }),
+      (snap) => setFirst({ rows: rowsOf(snap), last: snap.docs[snap.docs.length - 1] || null, loading: false }),
+      (e) => {
+        console.error('Commentary subscription failed:', e)
+        setFirst((f) => ({ ...f, loading: false }))
+      },
+    )
+  }, [dbRefs, matchId, filter, pageSize])
+
+  const loadMore = async () => {
+    const after = more.last || first.last
+    if (!after || loadingMore) return
+    setLoadingMore(true)
+    try {
+      const snap = await getDocs(commentaryPage(dbRefs, matchId, { filter, after, pageSize }))
+      setMore((m) => ({ rows: [...m.rows, ...rowsOf(snap)], last: snap.docs[snap.docs.length - 1] || m.last, done: snap.size < pageSize }))
+    } catch (e) {
+      console.error(e)
+      alert('Could not load older commentary.')
+    } finally {
+      setLoadingMore(false)
+    }
+  }
+
+  // A live first page can grow into rows already fetched as "more"
+  const rows = [...first.rows, ...more.rows.filter((r) => !first.rows.some((f) => f.id === r.id))]
+  const hasMore = first.rows.length === pageSize && !more.done
+  return { rows, loading: first.loading, hasMore, loadMore, loadingMore }
+}
+
+function OverRecap({ entry, name }) {
+  const { recap } = entry
+  if (!recap) return <div className="text-slate-300">{entry.text}</div>
+  return (
+    <div className="rounded-lg bg-slate-900/60 border border-slate-700 p-3 space-y-1">
+      <div className="flex justify-between text-white font-medium">
+        <span>End of over {recap.over}</span>
+        <span>{recap.score}</span>
+      </div>
+      <div className="text-slate-300">
+        {recap.runs} run{recap.runs === 1 ? '' : 's'}
+        {recap.wickets > 0 && `, ${recap.wickets} wicket${recap.wickets === 1 ? '' : 's'}`} • {name(recap.bowler.playerId)} {recap.bowler.figures}
+      </div>
+      {recap.batters.length > 0 && (
+        <div className="text-slate-400">{recap.batters.map((b) => `${name(b.playerId)} ${b.runs} (${b.balls})`).join(' • ')}</div>
+      )}
+      <div className="text-amber-300">
+        CRR {recap.runRate.toFixed(2)}
+        {recap.requiredRate != null && ` • RRR ${recap.requiredRate.toFixed(2)}`}
+      </div>
+    </div>
+  )
+}
+
+function Entry({ entry, name }) {
+  if (entry.kind === 'over') return <OverRecap entry={entry} name={name} />
+  const tone =
+    entry.kind === 'wicket' ? 'text-red-300' : entry.kind === 'four' || entry.kind === 'six' ? 'text-amber-300' : entry.kind === 'note' ? 'text-slate-400 italic' : 'text-slate-300'
+  return (
+    <div className="flex gap-2">
+      <span className="text-slate-500 w-8 shrink-0 text-right">{entry.kind === 'note' ? '' : entry.over}</span>
+      <span className={tone}>{entry.text}</span>
+    </div>
+  )
+}
+
+export default function CommentaryFeed({ dbRefs, matchId, pageSize = COMMENTARY_PAGE_SIZE }) {
+  const [filter, setFilter] = useState('all')
+  const { rows, loading, hasMore, loadMore, loadingMore } = useCommentary(dbRefs, matchId, filter, pageSize)
+  const name = usePlayerName()
+
+  return (
+    <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4">
+      <div className="text-white font-semibold mb-2">Commentary</div>
+      <div className="flex gap-2 overflow-x-auto pb-1">
+        {COMMENTARY_FILTERS.map((f) => (
+          <button
+            key={f.key}
+            onClick={() => setFilter(f.key)}
+            className={`shrink-0 text-xs px-3 py-1 rounded-full border ${filter === f.key ? 'bg-amber-500/20 border-amber-400/40 text-amber-300' : 'border-slate-600 text-slate-300'}`}
+          >
+            {f.label}
+          </button>
+        ))}
+      </div>
+      <div className="mt-3 space-y-2 text-xs">
+        {!loading && rows.length === 0 && <div className="text-slate-400">Nothing here yet.</div>}
+        {rows.map((entry) => (
+          <Entry key={entry.id} entry={entry} name={name} />
+        ))}
+      </div>
+      {hasMore && (
+        <button onClick={loadMore} disabled={loadingMore} className="mt-3 w-full py-2 rounded-lg border border-slate-600 text-slate-300 text-sm disabled:opacity-60">
+          {loadingMore ? 'Loading...' : 'Older commentary'}
+        </button>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,149 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { doc, getDocs, onSnapshot } from 'firebase/firestore'
+import { LEADERBOARD_PAGE_SIZE, leaderboardAround, leaderboardCol, leaderboardPage } from '../lib/contests'
+import { avatarUrl } from '../lib/account'
+
+const rowsOf = (snap) => snap.docs.map((d) => ({ id: d.id, ...d.data() }))
+
+// Hooks below take a memoized leaderboard collection ref (fantasy contest or season predictions)
+
+/** Live leaderboard doc for one user, or null if they aren't scored yet. */
+export function useBoardRow(boardCol, uid) {
+  const [row, setRow] = useState(null)
+  useEffect(() => {
+    if (!boardCol || !uid) return undefined
+    return onSnapshot(
+      doc(boardCol, uid),
+      (d) => setRow(d.exists() ? { id: d.id, ...d.data() } : null),
+      (e) => console.error('Leaderboard entry subscription failed:', e),
+    )
+  }, [boardCol, uid])
+  return row
+}
+
+export function useLeaderboardRow(dbRefs, contestId, uid) {
+  const boardCol = useMemo(() => (dbRefs && contestId ? leaderboardCol(dbRefs, contestId) : null), [dbRefs, contestId])
+  return useBoardRow(boardCol, uid)
+}
+
+// First page is live; "Show more" pages are fetched once with a cursor
+function useLeaderboard(boardCol) {
+  const [first, setFirst] = useState({ rows: [], last: null, loading: true })
+  const [more, setMore] = useState({ rows: [], last: null, done: false })
+  const [loadingMore, setLoadingMore] = useState(false)
+
+  useEffect(() => {
+    if (!boardCol) return undefined
+    setMore({ rows: [], last: null, done: false })
+    return onSnapshot(
+      leaderboardPage(boardCol),
+      (snap) => setFirst({ rows: rowsOf(snap), last: snap.docs[snap.docs.length - 1] || null, loading: false }),
+      (e) => {
+        console.error('Leaderboard subscription failed:', e)
+        setFirst((f) => ({ ...f, loading: false }))
+      },
+    )
+  }, [boardCol])
+
+  const loadMore = async () => {
+    const after = more.last || first.last
+    if (!after || loadingMore) return
+    setLoadingMore(true)
+    try {
+      const snap = await getDocs(leaderboardPage(boardCol, after))
+      setMore((m) => ({ rows: [...m.rows, ...rowsOf(snap)], last: snap.docs[snap.docs.length - 1] || m.last, done: snap.size < LEADERBOARD_PAGE_SIZE }))
+    } catch (e) {
+      console.error(e)
+      alert('Could not load more entries.')
+    } finally {
+      setLoadingMore(false)
+    }
+  }
+
+  const rows = [...first.rows, ...more.rows.filter((r) => !first.rows.some((f) => f.id === r.id))]
+  const hasMore = first.rows.length === LEADERBOARD_PAGE_SIZE && !more.done
+  return { rows, loading: first.loading, hasMore, loadMore, loadingMore }
+}
+
+function useAroundMe(boardCol, position) {
+  const [rows, setRows] = useState([])
+  useEffect(() => {
+    if (!boardCol || !position) {
+      setRows([])
+      return undefined
+    }
+    return onSnapshot(
+      leaderboardAround(boardCol, position),
+      (snap) => setRows(rowsOf(snap)),
+      (e) => console.error('Leaderboard window subscription failed:', e),
+    )
+  }, [boardCol, position])
+  return rows
+}
+
+function EntryRow({ entry, isMe, detail }) {
+  return (
+    <div className={`rounded-xl p-3 border ${isMe ? 'bg-amber-500/10 border-amber-400/40' : 'bg-slate-800/60 border-slate-700'}`}>
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3 min-w-0">
+          <span className="text-slate-400 text-sm w-6 text-right">{entry.rank}</span>
+          <img src={entry.photoURL || avatarUrl(entry.uid)} alt="" className="w-8 h-8 rounded-full bg-slate-700 shrink-0" />
+          <div className="min-w-0">
+            <div className="text-white text-sm truncate">
+              {entry.displayName || 'Guest player'}
+              {isMe && <span className="text-amber-300"> (you)</span>}
+            </div>
+            {detail(entry) && <div className="text-slate-400 text-[11px] truncate">{detail(entry)}</div>}
+          </div>
+        </div>
+        <div className="text-amber-400 font-semibold shrink-0">{entry.points || 0} pts</div>
+      </div>
+    </div>
+  )
+}
+
+/** Paged leaderboard with the user's neighbourhood pinned. `detail` gives each row's subtitle. */
+export function Leaderboard({ boardCol, user, myRow, emptyText, detail = () => null }) {
+  const { rows, loading, hasMore, loadMore, loadingMore } = useLeaderboard(boardCol)
+  const around = useAroundMe(boardCol, myRow?.position)
+  // Pin the user's neighbourhood when they're further down than what's loaded
+  const showAround = myRow && !rows.some((r) => r.id === myRow.id) && around.length > 0
+
+  return (
+    <div>
+      <div className="text-white font-semibold mb-2">Leaderboard</div>
+      {showAround && (
+        <div className="mb-3 grid gap-2">
+          <div className="text-slate-400 text-xs">Around you</div>
+          {around.map((e) => (
+            <EntryRow key={e.id} entry={e} isMe={e.uid === user?.uid} detail={detail} />
+          ))}
+        </div>
+      )}
+      <div className="grid gap-2">
+        {!loading && rows.length === 0 && <div className="text-slate-400 text-sm">{emptyText}</div>}
+        {rows.map((e) => (
+          <EntryRow key={e.id} entry={e} isMe={e.uid === user?.uid} detail={detail} />
+        ))}
+      </div>
+      {hasMore && (
+        <button onClick={loadMore} disabled={loadingMore} className="mt-3 w-full py-2 rounded-lg border border-slate-600 text-slate-300 text-sm disabled:opacity-60">
+          {loadingMore ? 'Loading...' : 'Show more'}
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default function ContestLeaderboard({ dbRefs, contest, user, myRow }) {
+  const boardCol = useMemo(() => leaderboardCol(dbRefs, contest.id), [dbRefs, contest.id])
+  return (
+    <Leaderboard
+      boardCol={boardCol}
+      user={user}
+      myRow={myRow}
+      emptyText="No scores yet. Join the contest and watch this update live."
+      detail={(e) => e.teamName}
+    />
+  )
+}
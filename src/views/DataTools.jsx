@@ -0,0 +1,270 @@
+import React, { useState } from 'react'
+import { Download, Upload } from 'lucide-react'
+import { doc, serverTimestamp, writeBatch } from 'firebase/firestore'
+import { migrateCommentary, saveCommentary } from '../lib/commentary'
+import { migrateInviteCodes } from '../lib/contests'
+import { cricsheetToMatch, newPlayersFor, parseCricsheet, resolveNames } from '../lib/cricsheet'
+import { EXPORTS, downloadFile, toCSV } from '../lib/exportData'
+import { recomputeLeaderboards, recomputePlayerAggregates, recomputePointsTable } from '../lib/leagueSync'
+import { useCollection, useMatches, useMetaDoc, usePlayers, useTeamName, useTeams } from '../lib/leagueData'
+import SeasonScheduler from './SeasonScheduler'
+
+const card = 'rounded-xl bg-slate-800/60 border border-slate-700 p-4'
+const selectClass = 'rounded-lg bg-slate-900/60 border border-slate-700 text-white text-xs p-1.5'
+
+const day = (date) => new Date(date).toISOString().slice(0, 10)
+
+// Reuse the fixture's match doc when the file is for a scheduled game
+function matchIdFor(match, matches) {
+  const { a, b } = match.info.teams
+  const existing = matches.find(
+    (m) => m.info?.date && day(m.info.date) === day(match.info.date) && [m.info.teams?.a, m.info.teams?.b].sort().join() === [a, b].sort().join(),
+  )
+  return existing?.id || `match_cs_${day(match.info.date).replace(/-/g, '')}_${a}_${b}`
+}
+
+function ImportCard({ dbRefs }) {
+  const teams = useTeams()
+  const players = usePlayers()
+  const matches = useMatches()
+  const teamName = useTeamName()
+  const [files, setFiles] = useState([])
+  const [overrides, setOverrides] = useState({})
+  const [busy, setBusy] = useState(false)
+  const [log, setLog] = useState([])
+
+  const readFiles = async (list) => {
+    const parsed = []
+    for (const file of list) {
+      try {
+        parsed.push({ name: file.name, data: parseCricsheet(await file.text(), file.name) })
+      } catch (e) {
+        parsed.push({ name: file.name, error: e.message })
+      }
+    }
+    setFiles(parsed)
+    setLog([])
+  }
+
+  const runImport = async () => {
+    if (!dbRefs) return
+    setBusy(true)
+    const messages = []
+    try {
+      let knownPlayers = players
+      for (const file of files.filter((f) => f.data)) {
+        const { teamIds, playerIds, unresolved } = resolveNames(file.data, { teams, players: knownPlayers }, overrides)
+        if (unresolved.teams.length) {
+          messages.push(`${file.name}: unknown team ${unresolved.teams.join(', ')}; skipped.`)
+          continue
+        }
+        const created = newPlayersFor(unresolved)
+        for (const p of created) playerIds[p.name] = p.id
+        knownPlayers = [...knownPlayers, ...created]
+        const names = Object.fromEntries(knownPlayers.map((p) => [p.id, p.name]))
+
+        const { match, commentary, warnings } = cricsheetToMatch(file.data, { teamIds, playerIds, names })
+        const matchId = matchIdFor(match, matches)
+        const current = matches.find((m) => m.id === matchId)
+        if (current?.status === 'live') {
+          messages.push(`${file.name}: ${matchId} is being scored live; skipped.`)
+          continue
+        }
+
+        const batch = writeBatch(dbRefs.db)
+        for (const p of created) batch.set(doc(dbRefs.col('players'), p.id), { ...p, createdAt: serverTimestamp() })
+        batch.set(doc(dbRefs.col('matches'), matchId), { ...match, id: matchId, importedFrom: file.name, updatedAt: serverTimestamp() })
+        batch.set(doc(dbRefs.col('fixtures'), matchId), { id: matchId, date: match.info.date, teams: match.info.teams, venue: match.info.venue, status: match.status })
+        await batch.commit()
+        await saveCommentary(dbRefs, matchId, commentary)
+        messages.push(`${file.name}: imported as ${matchId}${created.length ? `, ${created.length} new players` : ''}.`, ...warnings.map((w) => `${file.name}: ${w}`))
+      }
+      await recomputePointsTable(dbRefs)
+      await recomputeLeaderboards(dbRefs)
+      await recomputePlayerAggregates(dbRefs)
+      setFiles([])
+    } catch (e) {
+      console.error(e)
+      messages.push(e.message || 'Import failed.')
+      alert('Import failed.')
+    } finally {
+      setLog(messages)
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className={card}>
+      <div className="text-white font-semibold">Import Cricsheet scoresheets</div>
+      <div className="text-slate-400 text-xs mt-1">JSON or YAML. Teams must already exist; unknown players are created unless you match them.</div>
+      <label className="mt-3 flex items-center justify-center gap-2 rounded-lg border border-dashed border-slate-600 py-3 text-slate-300 text-sm cursor-pointer">
+        <Upload size={16} /> Choose files
+        <input type="file" multiple accept=".json,.yaml,.yml" className="hidden" onChange={(e) => readFiles([...e.target.files])} />
+      </label>
+
+      <div className="mt-3 space-y-3">
+        {files.map((file) => {
+          if (file.error) return <div key={file.name} className="text-red-300 text-xs">{file.name}: {file.error}</div>
+          const { teamIds, unresolved } = resolveNames(file.data, { teams, players }, overrides)
+          return (
+            <div key={file.name} className="rounded-lg bg-slate-900/40 border border-slate-700 p-3 text-xs space-y-2">
+              <div className="text-white">{file.name}</div>
+              <div className="text-slate-400">
+                {(file.data.info.teams || []).map((t) => (teamIds[t] ? teamName(teamIds[t]) : `${t} (unknown)`)).join(' vs ')} • {String(file.data.info.dates?.[0] ?? '')}
+              </div>
+              {unresolved.players.map((u) => (
+                <div key={u.name} className="flex items-center justify-between gap-2">
+                  <span className="text-slate-300 truncate">{u.name}</span>
+                  <select value={overrides[u.name] || ''} onChange={(e) => setOverrides((o) => ({ ...o, [u.name]: e.target.value || undefined }))} className={selectClass}>
+                    <option value="">Create new player</option>
+                    {players
+                      .filter((p) => p.teamId === u.teamId)
+                      .map((p) => (
+                        <option key={p.id} value={p.id}>{p.name}</option>
+                      ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          )
+        })}
+      </div>
+
+      {files.some((f) => f.data) && (
+        <button
+          onClick={runImport}
+          disabled={busy}
+          className="mt-3 w-full py-2 rounded-lg bg-emerald-600 hover:bg-emerald-500 text-white text-sm font-semibold disabled:opacity-60"
+        >
+          {busy ? 'Importing...' : `Import ${files.filter((f) => f.data).length} match${files.filter((f) => f.data).length === 1 ? '' : 'es'}`}
+        </button>
+      )}
+      {log.length > 0 && (
+        <div className="mt-3 space-y-1 text-xs text-slate-300">
+          {log.map((line, i) => (
+            <div key={i}>{line}</div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function ExportCard() {
+  const players = usePlayers()
+  const teams = useTeams()
+  const matches = useMatches()
+  const fixtures = useCollection('fixtures').list
+  const pointsTable = useMetaDoc('points_table')?.entries || []
+  const teamName = useTeamName()
+  const source = { players, teams, matches, fixtures, pointsTable, teamName }
+  const stamp = new Date().toISOString().slice(0, 10)
+
+  const exportOne = (e, format) => {
+    const rows = e.rows(source)
+    if (format === 'csv') downloadFile(`jpl_${e.key}_${stamp}.csv`, toCSV(rows, e.columns), 'text/csv')
+    else downloadFile(`jpl_${e.key}_${stamp}.json`, JSON.stringify(rows, null, 2), 'application/json')
+  }
+
+  const exportAll = () => {
+    const all = Object.fromEntries(EXPORTS.map((e) => [e.key, e.rows(source)]))
+    downloadFile(`jpl_season_${stamp}.json`, JSON.stringify(all, null, 2), 'application/json')
+  }
+
+  return (
+    <div className={card}>
+      <div className="text-white font-semibold">Export</div>
+      <div className="mt-3 space-y-2">
+        {EXPORTS.map((e) => (
+          <div key={e.key} className="flex items-center justify-between">
+            <span className="text-slate-200 text-sm">{e.label}</span>
+            <span className="flex gap-2">
+              {['csv', 'json'].map((format) => (
+                <button key={format} onClick={() => exportOne(e, format)} className="flex items-center gap-1 text-xs px-3 py-1 rounded-full border border-slate-600 text-slate-200">
+                  <Download size={12} /> {format.toUpperCase()}
+                </button>
+              ))}
+            </span>
+          </div>
+        ))}
+      </div>
+      <button onClick={exportAll} className="mt-3 w-full py-2 rounded-lg border border-amber-400/40 text-amber-300 text-sm">
+        Everything as JSON
+      </button>
+    </div>
+  )
+}
+
+function CommentaryMigrationCard({ dbRefs }) {
+  const matches = useMatches()
+  const [busy, setBusy] = useState(false)
+  const pending = matches.filter((m) => Array.isArray(m.commentary)).length
+  if (!pending) return null
+
+  const run = async () => {
+    setBusy(true)
+    try {
+      await migrateCommentary(dbRefs)
+    } catch (e) {
+      console.error(e)
+      alert('Moving commentary failed.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className={card}>
+      <div className="text-white font-semibold">Commentary</div>
+      <div className="text-slate-400 text-xs mt-1">
+        {pending} match{pending === 1 ? '' : 'es'} still keep commentary on the match doc. Move it into the paged feed.
+      </div>
+      <button onClick={run} disabled={busy} className="mt-3 w-full py-2 rounded-lg border border-amber-400/40 text-amber-300 text-sm disabled:opacity-60">
+        {busy ? 'Moving...' : 'Move commentary'}
+      </button>
+    </div>
+  )
+}
+
+function InviteMigrationCard({ dbRefs }) {
+  const contests = useCollection('fantasy_contests').list
+  const [busy, setBusy] = useState(false)
+  const pending = contests.filter((c) => c.inviteCode).length
+  if (!pending) return null
+
+  const run = async () => {
+    setBusy(true)
+    try {
+      await migrateInviteCodes(dbRefs)
+    } catch (e) {
+      console.error(e)
+      alert('Moving invite codes failed.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className={card}>
+      <div className="text-white font-semibold">Private leagues</div>
+      <div className="text-slate-400 text-xs mt-1">
+        {pending} private league{pending === 1 ? '' : 's'} still show their invite code to everyone. Move the codes somewhere only their holders can read.
+      </div>
+      <button onClick={run} disabled={busy} className="mt-3 w-full py-2 rounded-lg border border-amber-400/40 text-amber-300 text-sm disabled:opacity-60">
+        {busy ? 'Moving...' : 'Move invite codes'}
+      </button>
+    </div>
+  )
+}
+
+export default function DataTools({ dbRefs }) {
+  return (
+    <div className="p-4 pb-24 space-y-3">
+      <SeasonScheduler dbRefs={dbRefs} />
+      <ImportCard dbRefs={dbRefs} />
+      <ExportCard />
+      <CommentaryMigrationCard dbRefs={dbRefs} />
+      <InviteMigrationCard dbRefs={dbRefs} />
+    </div>
+  )
+}
@@ -0,0 +1,621 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { ArrowLeft, Lock } from 'lucide-react'
+import { Route, Routes, useNavigate, useParams, useSearchParams } from 'react-router-dom'
+import { collection, doc, onSnapshot } from 'firebase/firestore'
+import { describeRules, getRules } from '../lib/fantasy'
+import { isFinished } from '../lib/matchEngine'
+import { PREDICTION_POINTS, predictionLeaderboardCol } from '../lib/predictions'
+import {
+  MAX_TEAMS_PER_MATCH,
+  contestPhase,
+  createPrivateLeague,
+  enterContest,
+  findContestByCode,
+  formatCountdown,
+  isContestOpen,
+  isMatchOpen,
+  matchStartsAt,
+  myInviteCodes,
+  normalizeInviteCode,
+  saveTeam,
+} from '../lib/contests'
+import { useCollection, useMatch, useMatches, usePlayerName, useTeamName } from '../lib/leagueData'
+import { useConnectionStatus } from '../lib/offline'
+import { useBack } from '../lib/navigation'
+import TeamBuilder from './TeamBuilder'
+import ContestLeaderboard, { Leaderboard, useBoardRow, useLeaderboardRow } from './ContestLeaderboard'
+
+const card = 'rounded-xl bg-slate-800/60 border border-slate-700 p-4'
+const inputClass = 'rounded-lg bg-slate-900/60 border border-slate-700 text-white text-sm p-2'
+
+// Live view of users/{uid}/jpl_fantasy: saved teams and contest entries, keyed by match id,
+// and the private league codes the user has used, keyed by contest id
+function useMyFantasy(dbRefs, uid) {
+  const [matchIds, setMatchIds] = useState([])
+  const [teams, setTeams] = useState({})
+  const [entries, setEntries] = useState({})
+  const [inviteCodes, setInviteCodes] = useState({})
+
+  useEffect(() => {
+    if (!dbRefs || !uid) return
+    return onSnapshot(
+      collection(dbRefs.userDoc(uid), 'jpl_fantasy'),
+      (snap) => {
+        setMatchIds(snap.docs.map((d) => d.id))
+        setInviteCodes(Object.assign({}, ...snap.docs.map((d) => d.data().inviteCodes || {})))
+      },
+      (e) => console.error(e),
+    )
+  }, [dbRefs, uid])
+
+  const key = matchIds.join(',')
+  useEffect(() => {
+    if (!dbRefs || !uid || !key) return
+    const unsubs = key.split(',').flatMap((matchId) => {
+      const root = doc(collection(dbRefs.userDoc(uid), 'jpl_fantasy'), matchId)
+      const listen = (name, set) =>
+        onSnapshot(
+          collection(root, name),
+          (snap) => set((prev) => ({ ...prev, [matchId]: snap.docs.map((d) => ({ id: d.id, ...d.data() })) })),
+          (e) => console.error(e),
+        )
+      return [listen('teams', setTeams), listen('contests', setEntries)]
+    })
+    return () => unsubs.forEach((u) => u())
+  }, [dbRefs, uid, key])
+
+  return { teams, entries, inviteCodes }
+}
+
+// Re-renders on a timer so deadlines lock without a reload
+function useNow(intervalMs = 1000) {
+  const [now, setNow] = useState(Date.now())
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), intervalMs)
+    return () => clearInterval(id)
+  }, [intervalMs])
+  return now
+}
+
+const PHASE_BADGES = {
+  open: 'bg-emerald-500/20 text-emerald-300',
+  locked: 'bg-amber-500/20 text-amber-300',
+  completed: 'bg-slate-700 text-slate-300',
+}
+
+function PhaseBadge({ phase }) {
+  return <span className={`text-[10px] px-2 py-0.5 rounded-full ${PHASE_BADGES[phase]}`}>{phase.toUpperCase()}</span>
+}
+
+function Deadline({ match }) {
+  const now = useNow()
+  const startsAt = matchStartsAt(match)
+  if (!isMatchOpen(match, now)) {
+    return (
+      <div className="flex items-center gap-1 text-slate-400 text-xs">
+        <Lock size={12} /> Teams locked
+      </div>
+    )
+  }
+  if (!startsAt) return null
+  return <div className="text-emerald-300 text-xs">Locks in {formatCountdown(startsAt.getTime() - now)}</div>
+}
+
+function BackButton({ onClick, label }) {
+  return (
+    <button onClick={onClick} className="flex items-center gap-1 text-slate-300 text-sm">
+      <ArrowLeft size={16} /> {label}
+    </button>
+  )
+}
+
+function MatchHeading({ match }) {
+  const teamName = useTeamName()
+  return (
+    <div>
+      <div className="text-white font-semibold">
+        {teamName(match?.info?.teams?.a)} vs {teamName(match?.info?.teams?.b)}
+      </div>
+      <div className="text-slate-400 text-xs">
+        {match?.info?.date ? new Date(match.info.date).toLocaleString() : '—'} • {match?.info?.venue}
+      </div>
+      <Deadline match={match} />
+    </div>
+  )
+}
+
+function MatchTeams({ dbRefs, user, matchId, contest, myTeams, onBack }) {
+  const match = useMatch(matchId)
+  const playerName = usePlayerName()
+  const [editing, setEditing] = useState(null) // team id, 'new' or null
+  const [saving, setSaving] = useState(false)
+  const open = isMatchOpen(match, useNow())
+
+  const save = async (squad) => {
+    if (!dbRefs || !user) return
+    setSaving(true)
+    try {
+      const existing = myTeams.find((t) => t.id === editing)
+      const { queued } = await saveTeam(dbRefs, user.uid, matchId, editing === 'new' ? null : editing, { ...squad, name: existing?.name })
+      setEditing(null)
+      if (queued) alert("You're offline. The team is saved on this device and will sync when you reconnect.")
+    } catch (e) {
+      console.error(e)
+      alert(e.message || 'Failed to save team.')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (editing) {
+    return (
+      <div className="p-4 pb-24 space-y-3">
+        <BackButton onClick={() => setEditing(null)} label="My teams" />
+        <div className={card}>
+          <MatchHeading match={match} />
+          <div className="mt-3">
+            <TeamBuilder
+              key={editing}
+              contest={contest}
+              match={match}
+              initial={myTeams.find((t) => t.id === editing)}
+              onSave={save}
+              saving={saving}
+              disabled={!open}
+            />
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="p-4 pb-24 space-y-3">
+      <BackButton onClick={onBack} label="Back" />
+      <div className={card}>
+        <MatchHeading match={match} />
+        <div className="mt-1 text-slate-400 text-xs">
+          {myTeams.length}/{MAX_TEAMS_PER_MATCH} teams saved{open ? '' : ' • locked'}
+        </div>
+      </div>
+      {myTeams.map((t) => (
+        <div key={t.id} className={card}>
+          <div className="flex items-center justify-between">
+            <div className="text-white font-semibold">{t.name}</div>
+            <button onClick={() => setEditing(t.id)} className="text-xs px-3 py-1 rounded-full border border-slate-600 text-slate-200">
+              {open ? 'Edit' : 'View'}
+            </button>
+          </div>
+          <div className="mt-1 text-slate-400 text-xs">
+            C {playerName(t.captainId)} • VC {playerName(t.viceCaptainId)} • {t.budgetUsed} cr
+          </div>
+        </div>
+      ))}
+      {open && myTeams.length < MAX_TEAMS_PER_MATCH && (
+        <button onClick={() => setEditing('new')} className="w-full py-3 rounded-lg bg-emerald-600 hover:bg-emerald-500 text-white font-semibold">
+          Create team
+        </button>
+      )}
+    </div>
+  )
+}
+
+// A private league's code: from the link that opened it, one the user joined with, or the creator's own
+function useInviteCode(dbRefs, uid, contest, knownCode) {
+  const [params] = useSearchParams()
+  const [ownCode, setOwnCode] = useState(null)
+  const isCreator = contest.isPublic === false && contest.createdBy === uid
+  useEffect(() => {
+    if (!dbRefs || !isCreator) return undefined
+    let cancelled = false
+    myInviteCodes(dbRefs, uid)
+      .then((codes) => !cancelled && setOwnCode(codes[contest.id] || null))
+      .catch((e) => console.error(e))
+    return () => {
+      cancelled = true
+    }
+  }, [dbRefs, uid, contest.id, isCreator])
+  return params.get('code') || knownCode || ownCode
+}
+
+function ContestDetail({ dbRefs, user, contest, myTeams, myEntry, knownCode, onManageTeams, onBack }) {
+  const match = useMatch(contest.matchId)
+  const inviteCode = useInviteCode(dbRefs, user?.uid, contest, knownCode)
+  const playerName = usePlayerName()
+  const mine = useLeaderboardRow(dbRefs, contest.id, user?.uid)
+  const [teamId, setTeamId] = useState(myEntry?.teamId || myTeams[0]?.id || '')
+  const [saving, setSaving] = useState(false)
+  // Joining checks entry counts on the server, so unlike team edits it can't be queued
+  const offline = useConnectionStatus() === 'offline'
+  const now = useNow()
+  const phase = contestPhase(contest, match, now)
+  // A full contest still lets existing entrants swap teams until lock
+  const open = isContestOpen(contest, match, now) || (!!myEntry && phase === 'open')
+  const needsCode = contest.isPublic === false && contest.createdBy !== user?.uid && !myEntry && !inviteCode
+
+  useEffect(() => {
+    if (!teamId && myTeams[0]) setTeamId(myTeams[0].id)
+  }, [myTeams, teamId])
+
+  const enter = async () => {
+    if (!dbRefs || !user || !teamId) return
+    setSaving(true)
+    try {
+      await enterContest(dbRefs, user.uid, contest, teamId, inviteCode)
+    } catch (e) {
+      console.error(e)
+      alert(e.message || 'Failed to join contest.')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="p-4 pb-24 space-y-3">
+      <BackButton onClick={onBack} label="Contests" />
+      <div className={card}>
+        <div className="flex items-center justify-between">
+          <div className="text-white font-semibold">{contest.name}</div>
+          <div className="flex gap-1">
+            {!contest.isPublic && <span className="text-[10px] px-2 py-0.5 rounded-full bg-amber-500/20 text-amber-300">PRIVATE</span>}
+            <PhaseBadge phase={phase} />
+          </div>
+        </div>
+        <div className="mt-2">
+          <MatchHeading match={match} />
+        </div>
+        {!contest.isPublic && inviteCode && (
+          <div className="mt-2 text-slate-300 text-xs">
+            Invite code <span className="font-mono text-amber-300 text-sm">{inviteCode}</span>
+          </div>
+        )}
+        <div className="mt-2 text-slate-400 text-xs">
+          {contest.entryCount || 0}
+          {contest.maxEntries ? `/${contest.maxEntries}` : ''} entries
+        </div>
+        <div className="mt-1 text-slate-400 text-xs">{describeRules(getRules(contest.rulesVersion))}</div>
+      </div>
+
+      <div className={card}>
+        <div className="flex items-center justify-between">
+          <div className="text-white font-semibold">Your entry</div>
+          {mine && <div className="text-amber-400 font-semibold">#{mine.rank} • {mine.points} pts</div>}
+        </div>
+        {open && needsCode ? (
+          <div className="mt-2 text-slate-400 text-sm">This is a private league. Join it with its invite code from the Lobby.</div>
+        ) : open ? (
+          myTeams.length > 0 ? (
+            <div className="mt-3 flex gap-2">
+              <select value={teamId} onChange={(e) => setTeamId(e.target.value)} className={`${inputClass} flex-1`}>
+                {myTeams.map((t) => (
+                  <option key={t.id} value={t.id}>{t.name}</option>
+                ))}
+              </select>
+              <button
+                onClick={enter}
+                disabled={saving || offline || !teamId || teamId === myEntry?.teamId}
+                className="px-4 rounded-lg bg-emerald-600 hover:bg-emerald-500 text-white text-sm font-semibold disabled:opacity-60"
+              >
+                {saving ? 'Saving...' : offline ? 'Offline' : myEntry ? 'Switch' : 'Join'}
+              </button>
+            </div>
+          ) : (
+            <div className="mt-2 text-slate-400 text-sm">Create a team for this match to join.</div>
+          )
+        ) : (
+          <div className="mt-2 flex items-center gap-1 text-slate-400 text-sm">
+            <Lock size={14} /> {myEntry ? `Entered with ${myTeams.find((t) => t.id === myEntry.teamId)?.name || 'your team'}` : phase === 'open' ? 'This contest is full.' : 'Entries are closed.'}
+          </div>
+        )}
+        {phase === 'open' && (
+          <button onClick={onManageTeams} className="mt-3 text-xs text-amber-300">
+            Manage my teams ({myTeams.length}/{MAX_TEAMS_PER_MATCH})
+          </button>
+        )}
+        {mine && (
+          <div className="mt-3 grid grid-cols-2 gap-x-4 gap-y-1 text-xs">
+            {Object.entries(mine.players || {})
+              .sort((a, b) => b[1] - a[1])
+              .map(([pid, pts]) => (
+                <div key={pid} className="flex justify-between text-slate-300">
+                  <span className="truncate">{playerName(pid)}</span>
+                  <span className="text-amber-300">{pts}</span>
+                </div>
+              ))}
+          </div>
+        )}
+      </div>
+
+      <ContestLeaderboard dbRefs={dbRefs} contest={contest} user={user} myRow={mine} />
+    </div>
+  )
+}
+
+function ContestRow({ contest, joined, onOpen }) {
+  const match = useMatch(contest.matchId)
+  const phase = contestPhase(contest, match, useNow())
+  return (
+    <button onClick={onOpen} className="w-full text-left rounded-lg bg-slate-900/40 border border-slate-700 p-3 hover:border-slate-500 transition">
+      <div className="flex items-center justify-between">
+        <div className="text-white text-sm font-medium">{contest.name}</div>
+        <div className="flex gap-1">
+          {joined && <span className="text-[10px] px-2 py-0.5 rounded-full bg-emerald-600 text-white">JOINED</span>}
+          <PhaseBadge phase={phase} />
+        </div>
+      </div>
+      <div className="text-slate-400 text-xs">
+        {contest.entryCount || 0}
+        {contest.maxEntries ? `/${contest.maxEntries}` : ''} entries{contest.isPublic ? '' : ' • private'}
+      </div>
+    </button>
+  )
+}
+
+function Lobby({ dbRefs, user, contests, entries, teams, onOpenContest, onManageTeams }) {
+  const matches = useMatches()
+  const now = useNow()
+  const [code, setCode] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const upcoming = useMemo(
+    () => matches.filter((m) => !isFinished(m)).sort((a, b) => new Date(a.info?.date || 0) - new Date(b.info?.date || 0)),
+    [matches],
+  )
+  const joinedIds = new Set(Object.values(entries).flat().map((e) => e.contestId))
+  // Private leagues show only to their creator and members
+  const visible = contests.filter((c) => c.isPublic !== false || c.createdBy === user?.uid || joinedIds.has(c.id))
+
+  const joinByCode = async () => {
+    if (!dbRefs || !code.trim()) return
+    setBusy(true)
+    try {
+      const contestId = await findContestByCode(dbRefs, code)
+      if (!contestId) alert('No league found for that code.')
+      else onOpenContest(contestId, normalizeInviteCode(code))
+    } catch (e) {
+      console.error(e)
+      alert('Failed to look up league.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const createLeague = async (match) => {
+    if (!dbRefs || !user) return
+    const name = window.prompt('League name', 'Friends league')
+    if (name == null) return
+    setBusy(true)
+    try {
+      const contest = await createPrivateLeague(dbRefs, user.uid, { matchId: match.id, name: name.trim() })
+      onOpenContest(contest.id)
+    } catch (e) {
+      console.error(e)
+      alert('Failed to create league.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className={card}>
+        <div className="text-white font-semibold mb-2">Join a private league</div>
+        <div className="flex gap-2">
+          <input value={code} onChange={(e) => setCode(e.target.value)} placeholder="Invite code" className={`${inputClass} flex-1 uppercase font-mono`} />
+          <button onClick={joinByCode} disabled={busy || !code.trim()} className="px-4 rounded-lg bg-amber-500 text-slate-900 text-sm font-semibold disabled:opacity-60">
+            Find
+          </button>
+        </div>
+      </div>
+
+      {upcoming.length === 0 && <div className="text-slate-400 text-sm">No upcoming matches.</div>}
+      {upcoming.map((m) => {
+        const matchContests = visible.filter((c) => c.matchId === m.id)
+        const myTeams = teams[m.id] || []
+        return (
+          <div key={m.id} className={card}>
+            <MatchHeading match={m} />
+            <div className="mt-3 space-y-2">
+              {matchContests.length === 0 && <div className="text-slate-400 text-sm">No contests for this match yet.</div>}
+              {matchContests.map((c) => (
+                <ContestRow key={c.id} contest={c} joined={joinedIds.has(c.id)} onOpen={() => onOpenContest(c.id)} />
+              ))}
+            </div>
+            {isMatchOpen(m, now) && (
+              <div className="mt-3 flex gap-2">
+                <button onClick={() => onManageTeams(m.id)} className="flex-1 text-xs py-2 rounded-lg border border-slate-600 text-slate-200">
+                  My teams ({myTeams.length}/{MAX_TEAMS_PER_MATCH})
+                </button>
+                <button onClick={() => createLeague(m)} disabled={busy} className="flex-1 text-xs py-2 rounded-lg border border-amber-400/40 text-amber-300 disabled:opacity-60">
+                  Create private league
+                </button>
+              </div>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+function MyContestRow({ dbRefs, user, contest, teamName, onOpen }) {
+  const match = useMatch(contest.matchId)
+  const mine = useLeaderboardRow(dbRefs, contest.id, user?.uid)
+  const phase = contestPhase(contest, match, useNow())
+  return (
+    <button onClick={onOpen} className={`w-full text-left ${card} hover:border-slate-500 transition`}>
+      <div className="flex items-center justify-between">
+        <div className="min-w-0">
+          <div className="text-white font-semibold truncate">{contest.name}</div>
+          <div className="text-slate-400 text-xs truncate">
+            {phase === 'open' ? 'Open' : phase === 'locked' ? 'Locked' : 'Completed'} • {teamName}
+          </div>
+        </div>
+        <div className="text-right">
+          <div className="text-amber-400 font-semibold">{mine ? `#${mine.rank}` : '—'}</div>
+          <div className="text-slate-400 text-[11px]">
+            {mine ? `${mine.points} pts of ${contest.entryCount || 0}` : `${contest.entryCount || 0} entries`}
+          </div>
+        </div>
+      </div>
+    </button>
+  )
+}
+
+function ContestRoute({ dbRefs, user, contestsById, contestsLoading, teams, entries, inviteCodes }) {
+  const { contestId } = useParams()
+  const navigate = useNavigate()
+  const onBack = useBack('/fantasy')
+  const contest = contestsById[contestId]
+  if (!contest) {
+    return (
+      <div className="p-4 space-y-3">
+        <BackButton onClick={onBack} label="Contests" />
+        {!contestsLoading && <div className="text-slate-400 text-sm">This contest doesn't exist.</div>}
+      </div>
+    )
+  }
+  const matchEntries = entries[contest.matchId] || []
+  return (
+    <ContestDetail
+      key={contest.id}
+      dbRefs={dbRefs}
+      user={user}
+      contest={contest}
+      myTeams={teams[contest.matchId] || []}
+      myEntry={matchEntries.find((e) => e.contestId === contest.id)}
+      knownCode={inviteCodes[contest.id]}
+      onManageTeams={() => navigate(`/fantasy/match/${contest.matchId}/teams`)}
+      onBack={onBack}
+    />
+  )
+}
+
+function MatchTeamsRoute({ dbRefs, user, contests, teams }) {
+  const { matchId } = useParams()
+  const onBack = useBack('/fantasy')
+  // The builder needs a contest for its scoring rules; any contest on the match will do
+  const contest = contests.find((c) => c.matchId === matchId) || null
+  return <MatchTeams dbRefs={dbRefs} user={user} matchId={matchId} contest={contest} myTeams={teams[matchId] || []} onBack={onBack} />
+}
+
+// Season predictions: matches still open for picks, the user's standing and the leaderboard
+function Predictions({ dbRefs, user }) {
+  const navigate = useNavigate()
+  const matches = useMatches()
+  const now = useNow()
+  const boardCol = useMemo(() => (dbRefs ? predictionLeaderboardCol(dbRefs) : null), [dbRefs])
+  const mine = useBoardRow(boardCol, user?.uid)
+  const open = matches.filter((m) => isMatchOpen(m, now)).sort((a, b) => new Date(a.info?.date || 0) - new Date(b.info?.date || 0))
+
+  return (
+    <div className="space-y-3">
+      <div className={card}>
+        <div className="text-white font-semibold">Predictions</div>
+        <div className="text-slate-400 text-xs mt-1">
+          Pick the winner (+{PREDICTION_POINTS.winner}) and the top scorer (+{PREDICTION_POINTS.topScorer}) before each match goes live.
+        </div>
+        {mine && (
+          <div className="mt-2 text-sm text-slate-300">
+            You're #{mine.rank} with <span className="text-amber-300 font-semibold">{mine.points} pts</span> from {mine.played} match{mine.played === 1 ? '' : 'es'}
+          </div>
+        )}
+      </div>
+      {open.map((m) => (
+        <button key={m.id} onClick={() => navigate(`/match/${m.id}`)} className={`${card} w-full text-left hover:border-slate-500 transition`}>
+          <MatchHeading match={m} />
+          <div className="mt-2 text-amber-300 text-xs">Make your pick →</div>
+        </button>
+      ))}
+      {boardCol && (
+        <Leaderboard
+          boardCol={boardCol}
+          user={user}
+          myRow={mine}
+          emptyText="No predictions scored yet. Standings appear after the first result."
+          detail={(e) => `${e.correctWinners} winner${e.correctWinners === 1 ? '' : 's'} • ${e.correctTopScorers} top scorer${e.correctTopScorers === 1 ? '' : 's'} • ${e.played} played`}
+        />
+      )}
+    </div>
+  )
+}
+
+const HOME_TABS = ['lobby', 'mine', 'predictions']
+
+function FantasyHome({ dbRefs, user, contests, contestsById, teams, entries }) {
+  const navigate = useNavigate()
+  // The tab lives in the URL so Back returns to the list the user was on
+  const [params, setParams] = useSearchParams()
+  const tab = HOME_TABS.includes(params.get('tab')) ? params.get('tab') : 'lobby'
+  const setTab = (key) => setParams(key === 'lobby' ? {} : { tab: key }, { replace: true })
+  // A league found by its code carries the code along, since the contest doc doesn't have it
+  const openContest = (contestId, code = null) => navigate(code ? `/fantasy/${contestId}?code=${code}` : `/fantasy/${contestId}`)
+
+  const myEntries = Object.values(entries)
+    .flat()
+    .filter((e) => contestsById[e.contestId])
+  const teamLabel = (e) => (teams[e.matchId] || []).find((t) => t.id === e.teamId)?.name || 'Team'
+
+  return (
+    <div className="p-4 pb-24 space-y-3">
+      <div className="grid grid-cols-3 gap-2">
+        {[
+          ['lobby', 'Lobby'],
+          ['mine', `My Contests (${myEntries.length})`],
+          ['predictions', 'Predictions'],
+        ].map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setTab(key)}
+            className={`text-sm py-2 rounded-lg border ${tab === key ? 'bg-amber-500/10 border-amber-400/40 text-amber-300' : 'border-slate-700 text-slate-300'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'predictions' ? (
+        <Predictions dbRefs={dbRefs} user={user} />
+      ) : tab === 'lobby' ? (
+        <Lobby
+          dbRefs={dbRefs}
+          user={user}
+          contests={contests}
+          entries={entries}
+          teams={teams}
+          onOpenContest={openContest}
+          onManageTeams={(matchId) => navigate(`/fantasy/match/${matchId}/teams`)}
+        />
+      ) : (
+        <div className="space-y-2">
+          {myEntries.length === 0 && <div className="text-slate-400 text-sm">You haven't joined any contests yet.</div>}
+          {myEntries.map((e) => (
+            <MyContestRow
+              key={e.contestId}
+              dbRefs={dbRefs}
+              user={user}
+              contest={contestsById[e.contestId]}
+              teamName={teamLabel(e)}
+              onOpen={() => openContest(e.contestId)}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Routes under /fantasy: the lobby, /fantasy/:contestId and /fantasy/match/:matchId/teams
+export default function FantasyView({ dbRefs, user }) {
+  const { byId: contestsById, list: contests, loading: contestsLoading } = useCollection('fantasy_contests')
+  const { teams, entries, inviteCodes } = useMyFantasy(dbRefs, user?.uid)
+  const shared = { dbRefs, user, contests, contestsById, teams, entries, inviteCodes }
+
+  return (
+    <Routes>
+      <Route index element={<FantasyHome {...shared} />} />
+      <Route path="match/:matchId/teams" element={<MatchTeamsRoute {...shared} />} />
+      <Route path=":contestId" element={<ContestRoute {...shared} contestsLoading={contestsLoading} />} />
+    </Routes>
+  )
+}
@@ -0,0 +1,18 @@
+import React from 'react'
+import { Bell, BellRing } from 'lucide-react'
+import { useAlertSettings } from '../lib/alertSettings'
+
+/** Follow toggle for a team or player; `kind` is 'teams' or 'players'. */
+export default function FollowButton({ kind, id }) {
+  const alerts = useAlertSettings()
+  if (!alerts || !id) return null
+  const following = alerts.isFollowing(kind, id)
+  return (
+    <button
+      onClick={() => alerts.toggleFollow(kind, id)}
+      className={`flex items-center gap-1 text-xs px-3 py-1 rounded-full border ${following ? 'border-amber-400/40 bg-amber-500/10 text-amber-300' : 'border-slate-600 text-slate-200'}`}
+    >
+      {following ? <BellRing size={12} /> : <Bell size={12} />} {following ? 'Following' : 'Follow'}
+    </button>
+  )
+}
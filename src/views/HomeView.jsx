@@ -0,0 +1,42 @@
+import React, { Suspense, lazy } from 'react'
+import { useConnectionStatus } from '../lib/offline'
+
+// The 3D runtime is most of the bundle, so it loads after the rest of the page
+const Spline = lazy(() => import('@splinetool/react-spline'))
+
+function HomeHero() {
+  const connection = useConnectionStatus()
+  return (
+    <div className="relative w-full h-[52vh] sm:h-[58vh] overflow-hidden rounded-b-3xl">
+      <div className="absolute inset-0">
+        {/* The Spline scene is remote; offline, a plain gradient stands in unless it's already cached */}
+        {connection === 'offline' ? (
+          <div className="h-full w-full bg-gradient-to-br from-amber-500/30 via-slate-900 to-emerald-500/20" />
+        ) : (
+          <Suspense fallback={null}>
+            <Spline scene="https://prod.spline.design/4Tf9WOIaWs6LOezG/scene.splinecode" />
+          </Suspense>
+        )}
+      </div>
+      <div className="absolute inset-0 bg-gradient-to-t from-black/70 via-black/30 to-transparent" />
+      <div className="absolute bottom-6 left-6 right-6">
+        <h1 className="text-3xl sm:text-4xl font-extrabold text-white drop-shadow">Jain Premier League • Season 9</h1>
+        <p className="mt-2 text-slate-200">Real-time scores, fantasy, and rich stats — live and instant.</p>
+      </div>
+    </div>
+  )
+}
+
+export default function HomeView() {
+  return (
+    <>
+      <HomeHero />
+      <div className="max-w-md mx-auto p-4 space-y-4">
+        <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4">
+          <div className="text-white font-semibold">Welcome to JPL Season 9</div>
+          <div className="text-slate-300 text-sm mt-1">Switch to Scores for live action or build your XI in Fantasy.</div>
+        </div>
+      </div>
+    </>
+  )
+}
@@ -0,0 +1,76 @@
+import React, { useEffect, useRef, useState } from 'react'
+import * as Toast from '@radix-ui/react-toast'
+import { X } from 'lucide-react'
+import { useNavigate } from 'react-router-dom'
+import { matchEvents, wantsAlert } from '../lib/alerts'
+import { useAlertSettings } from '../lib/alertSettings'
+import { useMatches, usePlayerName, useTeamName } from '../lib/leagueData'
+
+const MAX_TOASTS = 4
+
+// Browser notifications only when the tab is in the background; in front, the toast is enough
+function notify(event, onOpen) {
+  if (!document.hidden || typeof Notification === 'undefined' || Notification.permission !== 'granted') return
+  const n = new Notification(event.title, { body: event.body, tag: event.id, icon: '/flame-icon.svg' })
+  n.onclick = () => {
+    window.focus()
+    onOpen(event.matchId)
+    n.close()
+  }
+}
+
+/** Watches every match for events on followed teams and players and raises toasts. */
+export default function MatchAlerts() {
+  const matches = useMatches()
+  const playerName = usePlayerName()
+  const teamName = useTeamName()
+  const { settings } = useAlertSettings()
+  const navigate = useNavigate()
+  const [toasts, setToasts] = useState([])
+  const previous = useRef(null) // matchId -> last seen doc
+
+  useEffect(() => {
+    const byId = Object.fromEntries(matches.map((m) => [m.id, m]))
+    // The first snapshot is the baseline, not news
+    if (!previous.current) {
+      if (matches.length) previous.current = byId
+      return
+    }
+    const names = { player: playerName, team: teamName }
+    const events = matches.flatMap((m) => matchEvents(previous.current[m.id], m, names)).filter((e) => wantsAlert(e, settings))
+    previous.current = byId
+    if (!events.length) return
+    const openMatch = (matchId) => navigate(`/match/${matchId}`)
+    if (settings.browser) events.forEach((e) => notify(e, openMatch))
+    setToasts((list) => [...list.filter((t) => !events.some((e) => e.id === t.id)), ...events].slice(-MAX_TOASTS))
+  }, [matches])
+
+  const dismiss = (id) => setToasts((list) => list.filter((t) => t.id !== id))
+
+  return (
+    <Toast.Provider swipeDirection="right" duration={8000}>
+      {toasts.map((t) => (
+        <Toast.Root
+          key={t.id}
+          onOpenChange={(open) => !open && dismiss(t.id)}
+          className="rounded-xl bg-slate-800/95 backdrop-blur border border-amber-400/40 p-3 shadow-lg flex items-start gap-3"
+        >
+          <button
+            onClick={() => {
+              navigate(`/match/${t.matchId}`)
+              dismiss(t.id)
+            }}
+            className="flex-1 min-w-0 text-left"
+          >
+            <Toast.Title className="text-amber-300 text-xs font-semibold">{t.title}</Toast.Title>
+            <Toast.Description className="text-white text-sm">{t.body}</Toast.Description>
+          </button>
+          <Toast.Close aria-label="Dismiss" className="text-slate-400">
+            <X size={14} />
+          </Toast.Close>
+        </Toast.Root>
+      ))}
+      <Toast.Viewport className="fixed top-12 left-0 right-0 z-40 mx-auto max-w-md p-3 flex flex-col gap-2 outline-none" />
+    </Toast.Provider>
+  )
+}
@@ -0,0 +1,194 @@
+import React from 'react'
+import { inningsProgress, requiredRateHistory, runRates, winProbability, winProbabilityHistory } from '../lib/matchCharts'
+import { DEFAULT_OVERS, MAIN_INNINGS } from '../lib/matchEngine'
+
+const W = 300
+const H = 140
+const PAD = { left: 26, right: 6, top: 8, bottom: 18 }
+const INNINGS_COLORS = [
+  { stroke: 'stroke-amber-400', fill: 'fill-amber-400', text: 'text-amber-300' },
+  { stroke: 'stroke-emerald-400', fill: 'fill-emerald-400', text: 'text-emerald-300' },
+]
+
+const niceMax = (n, step) => Math.max(step, Math.ceil(n / step) * step)
+
+// Plot area with a y-axis grid and over labels every `xStep`
+function Frame({ xMax, yMax, yTicks, xStep = 5, yFormat = (v) => v, children }) {
+  const x = (v) => PAD.left + (v / xMax) * (W - PAD.left - PAD.right)
+  const y = (v) => H - PAD.bottom - (v / yMax) * (H - PAD.top - PAD.bottom)
+  const xs = []
+  for (let v = 0; v <= xMax; v += xStep) xs.push(v)
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto">
+      {yTicks.map((v) => (
+        <g key={v}>
+          <line x1={PAD.left} x2={W - PAD.right} y1={y(v)} y2={y(v)} className="stroke-slate-700" strokeWidth="0.5" />
+          <text x={PAD.left - 4} y={y(v) + 3} textAnchor="end" className="fill-slate-500 text-[8px]">{yFormat(v)}</text>
+        </g>
+      ))}
+      {xs.map((v) => (
+        <text key={v} x={x(v)} y={H - 5} textAnchor="middle" className="fill-slate-500 text-[8px]">{v}</text>
+      ))}
+      {children({ x, y })}
+    </svg>
+  )
+}
+
+const ticks = (max, count = 4) => Array.from({ length: count + 1 }, (_, i) => Math.round((max / count) * i))
+const path = (points, x, y) => points.map((p, i) => `${i ? 'L' : 'M'}${x(p[0]).toFixed(1)},${y(p[1]).toFixed(1)}`).join(' ')
+
+function Legend({ items }) {
+  return (
+    <div className="flex flex-wrap gap-3 text-[11px] mt-1">
+      {items.map((item) => (
+        <span key={item.label} className={item.className}>● {item.label}</span>
+      ))}
+    </div>
+  )
+}
+
+function Worm({ progress, maxOvers, labels }) {
+  const yMax = niceMax(Math.max(0, ...progress.flat().map((p) => p.total)), 40)
+  return (
+    <Frame xMax={maxOvers} yMax={yMax} yTicks={ticks(yMax)}>
+      {({ x, y }) =>
+        progress.map((points, i) => (
+          <g key={i}>
+            <path d={path([[0, 0], ...points.map((p) => [p.over, p.total])], x, y)} className={`${INNINGS_COLORS[i].stroke} fill-none`} strokeWidth="2" />
+            {points
+              .filter((p) => p.wickets)
+              .map((p, n) => (
+                <circle key={n} cx={x(p.over)} cy={y(p.total)} r={2 + p.wickets} className="fill-red-500 stroke-slate-900" strokeWidth="1">
+                  <title>{`${labels[i]}: ${p.wickets} wicket${p.wickets === 1 ? '' : 's'} in over ${Math.ceil(p.over)}`}</title>
+                </circle>
+              ))}
+          </g>
+        ))
+      }
+    </Frame>
+  )
+}
+
+function Manhattan({ progress, maxOvers }) {
+  const yMax = niceMax(Math.max(0, ...progress.flat().map((p) => p.runs)), 6)
+  const groups = progress.length || 1
+  return (
+    <Frame xMax={maxOvers} yMax={yMax} yTicks={ticks(yMax, 3)}>
+      {({ x, y }) => {
+        const slot = (x(1) - x(0)) / groups
+        const bar = Math.max(slot - 1, 1)
+        return progress.map((points, i) =>
+          // The nth point is the nth over, in progress or not
+          points.map((p, n) => {
+            const left = x(n) + i * slot + 0.5
+            return (
+              <g key={`${i}-${n}`}>
+                <rect x={left} y={y(p.runs)} width={bar} height={y(0) - y(p.runs)} className={INNINGS_COLORS[i].fill} opacity={p.partial ? 0.5 : 0.85} />
+                {Array.from({ length: p.wickets }, (_, w) => (
+                  <circle key={w} cx={left + bar / 2} cy={y(p.runs) - 4 - w * 5} r="2" className="fill-red-500" />
+                ))}
+              </g>
+            )
+          }),
+        )
+      }}
+    </Frame>
+  )
+}
+
+function RunRateChart({ progress, required, maxOvers, inningsIndex }) {
+  const current = progress.filter((p) => p.over > 0).map((p) => [p.over, p.total / p.over])
+  const yMax = niceMax(Math.max(6, ...current.map((p) => p[1]), ...required.map((r) => r.required)), 4)
+  return (
+    <Frame xMax={maxOvers} yMax={yMax} yTicks={ticks(yMax)}>
+      {({ x, y }) => (
+        <>
+          {current.length > 0 && <path d={path(current, x, y)} className={`${INNINGS_COLORS[inningsIndex].stroke} fill-none`} strokeWidth="2" />}
+          {required.length > 0 && <path d={path(required.map((r) => [r.over, r.required]), x, y)} className="stroke-red-400 fill-none" strokeWidth="1.5" strokeDasharray="4 3" />}
+        </>
+      )}
+    </Frame>
+  )
+}
+
+function WinProbability({ match, teamName }) {
+  const odds = winProbability(match)
+  const history = winProbabilityHistory(match)
+  if (!odds) return null
+  const [first] = match.scorecards.innings
+  const [teamA, teamB] = Object.keys(odds)
+  const maxOvers = match.info?.overs || DEFAULT_OVERS
+  const pct = (p) => `${Math.round(p * 100)}%`
+  return (
+    <div>
+      <div className="flex justify-between text-xs">
+        <span className="text-amber-300">{teamName(teamA)} {pct(odds[teamA])}</span>
+        <span className="text-emerald-300">{pct(odds[teamB])} {teamName(teamB)}</span>
+      </div>
+      <div className="mt-1 h-2 rounded-full bg-emerald-400/80 overflow-hidden">
+        <div className="h-full bg-amber-400 transition-all" style={{ width: pct(odds[teamA]) }} />
+      </div>
+      {history.length > 1 && (
+        <Frame xMax={maxOvers * 2} xStep={maxOvers / 2} yMax={1} yTicks={[0, 0.5, 1]} yFormat={pct}>
+          {({ x, y }) => (
+            <>
+              <line x1={x(maxOvers)} x2={x(maxOvers)} y1={y(0)} y2={y(1)} className="stroke-slate-600" strokeDasharray="2 2" />
+              <path d={path(history.map((h) => [h.x, h.p]), x, y)} className="stroke-amber-400 fill-none" strokeWidth="2" />
+            </>
+          )}
+        </Frame>
+      )}
+      <div className="text-slate-500 text-[11px]">
+        Chance of {teamName(first.teamId)} winning, from the target, balls left and wickets in hand.
+      </div>
+    </div>
+  )
+}
+
+export default function MatchCharts({ match, teamName }) {
+  // Super overs are decided on the scorecard; the charts cover the two main innings
+  const innings = (match.scorecards?.innings || []).slice(0, MAIN_INNINGS)
+  if (!innings.length) return null
+  const maxOvers = match.info?.overs || DEFAULT_OVERS
+  const progress = innings.map((_, i) => inningsProgress(match, i))
+  const labels = innings.map((inn) => teamName(inn.teamId))
+  const legend = labels.map((label, i) => ({ label, className: INNINGS_COLORS[i].text }))
+  const rates = runRates(match, Math.min(match.liveState?.innings ?? innings.length - 1, innings.length - 1))
+  const current = progress[rates.innings] || []
+  const required = rates.innings === 1 ? requiredRateHistory(match) : []
+  const section = 'rounded-xl bg-slate-800/60 border border-slate-700 p-4'
+
+  return (
+    <div className="space-y-3">
+      <div className={section}>
+        <div className="text-white font-semibold text-sm mb-2">Win probability</div>
+        <WinProbability match={match} teamName={teamName} />
+      </div>
+      <div className={section}>
+        <div className="text-white font-semibold text-sm">Worm</div>
+        <Worm progress={progress} maxOvers={maxOvers} labels={labels} />
+        <Legend items={[...legend, { label: 'Wickets', className: 'text-red-400' }]} />
+      </div>
+      <div className={section}>
+        <div className="text-white font-semibold text-sm">Runs per over</div>
+        <Manhattan progress={progress} maxOvers={maxOvers} />
+        <Legend items={[...legend, { label: 'Wickets', className: 'text-red-400' }]} />
+      </div>
+      <div className={section}>
+        <div className="flex items-center justify-between">
+          <div className="text-white font-semibold text-sm">Run rate</div>
+          <div className="text-xs text-slate-300">
+            CRR <span className="text-white font-semibold">{rates.current.toFixed(2)}</span>
+            {rates.required != null && (
+              <>
+                {' '}• RRR <span className="text-red-300 font-semibold">{rates.required.toFixed(2)}</span>
+              </>
+            )}
+          </div>
+        </div>
+        <RunRateChart progress={current} required={required} maxOvers={maxOvers} inningsIndex={rates.innings} />
+        <Legend items={[{ label: `${labels[rates.innings]} run rate`, className: INNINGS_COLORS[rates.innings].text }, ...(required.length ? [{ label: 'Required', className: 'text-red-400' }] : [])]} />
+      </div>
+    </div>
+  )
+}
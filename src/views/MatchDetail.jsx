@@ -0,0 +1,276 @@
+import React, { useEffect, useState } from 'react'
+import { ArrowLeft } from 'lucide-react'
+import { useParams, useSearchParams } from 'react-router-dom'
+import { ballsFromOvers, isFinished, isSuperOver } from '../lib/matchEngine'
+import { useCollection, useMatch, usePlayerName, useTeamName } from '../lib/leagueData'
+import { useBack } from '../lib/navigation'
+import CommentaryFeed from './CommentaryFeed'
+import MatchCharts from './MatchCharts'
+import MatchPreview, { PredictionCard } from './MatchPreview'
+
+function dismissalText(batter, name) {
+  const d = batter.dismissal
+  if (!d) return batter.balls || batter.runs ? 'not out' : 'did not bat'
+  const b = d.bowlerId ? name(d.bowlerId) : ''
+  const f = d.fielderId ? name(d.fielderId) : ''
+  switch (d.kind) {
+    case 'caught':
+      return d.fielderId === d.bowlerId ? `c & b ${b}` : `c ${f} b ${b}`
+    case 'bowled':
+      return `b ${b}`
+    case 'lbw':
+      return `lbw b ${b}`
+    case 'stumped':
+      return `st ${f} b ${b}`
+    case 'hit wicket':
+      return `hit wicket b ${b}`
+    case 'run out':
+      return f ? `run out (${f})` : 'run out'
+    default:
+      return d.kind
+  }
+}
+
+const strikeRate = (runs, balls) => (balls ? ((runs * 100) / balls).toFixed(1) : '—')
+const economy = (runs, balls) => (balls ? ((runs * 6) / balls).toFixed(2) : '—')
+
+function Table({ head, rows }) {
+  return (
+    <table className="w-full text-xs">
+      <thead>
+        <tr className="text-slate-400">
+          {head.map((h, i) => (
+            <th key={h} className={`py-1 font-normal ${i === 0 ? 'text-left' : 'text-right'}`}>{h}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((cells, r) => (
+          <tr key={r} className="border-t border-slate-700/60">
+            {cells.map((c, i) => (
+              <td key={i} className={`py-1.5 ${i === 0 ? 'text-left' : 'text-right text-slate-300'}`}>{c}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+function InningsCard({ match, index, name, teamName }) {
+  const inn = match.scorecards.innings[index]
+  const batsmen = (match.scorecards.batsmen || []).filter((b) => b.innings === index)
+  const bowlers = (match.scorecards.bowlers || []).filter((b) => b.innings === index)
+  const extras = inn.extras || {}
+  const extrasTotal = (extras.wd || 0) + (extras.nb || 0) + (extras.b || 0) + (extras.lb || 0)
+  const live = match.liveState
+  const atCrease = live?.innings === index && !live.inningsComplete ? live.currentBatsmen || [] : []
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4">
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-white font-semibold">{teamName(inn.teamId)}</div>
+          <div className="text-white font-semibold">
+            {inn.runs}/{inn.wickets} <span className="text-slate-400 text-sm">({inn.overs} ov)</span>
+          </div>
+        </div>
+        {batsmen.length > 0 ? (
+          <Table
+            head={['Batter', 'R', 'B', '4s', '6s', 'SR']}
+            rows={batsmen.map((b) => [
+              <div key="n">
+                <div className="text-white">
+                  {name(b.playerId)}
+                  {atCrease.includes(b.playerId) && <span className="text-amber-400">{b.playerId === live.strikerId ? ' *' : ''}</span>}
+                </div>
+                <div className="text-slate-400 text-[11px]">{atCrease.includes(b.playerId) ? 'batting' : dismissalText(b, name)}</div>
+              </div>,
+              <span key="r" className="text-white font-medium">{b.runs}</span>,
+              b.balls,
+              b.fours,
+              b.sixes,
+              strikeRate(b.runs, b.balls),
+            ])}
+          />
+        ) : (
+          <div className="text-slate-400 text-xs">No batting card recorded.</div>
+        )}
+        <div className="mt-2 flex justify-between text-xs text-slate-300">
+          <span>Extras</span>
+          <span>
+            {extrasTotal} (wd {extras.wd || 0}, nb {extras.nb || 0}, b {extras.b || 0}, lb {extras.lb || 0})
+          </span>
+        </div>
+      </div>
+
+      {(inn.fallOfWickets || []).length > 0 && (
+        <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4">
+          <div className="text-white font-semibold mb-2 text-sm">Fall of wickets</div>
+          <div className="text-slate-300 text-xs leading-relaxed">
+            {inn.fallOfWickets.map((f) => `${f.wicket}-${f.runs} (${name(f.playerId)}, ${f.over} ov)`).join(' • ')}
+          </div>
+        </div>
+      )}
+
+      {bowlers.length > 0 && (
+        <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4">
+          <Table
+            head={['Bowler', 'O', 'M', 'R', 'W', 'Econ']}
+            rows={bowlers.map((b) => {
+              const balls = b.balls ?? ballsFromOvers(b.overs)
+              return [
+                <span key="n" className="text-white">{name(b.playerId)}</span>,
+                b.overs,
+                b.maidens,
+                b.runs,
+                <span key="w" className="text-white font-medium">{b.wickets}</span>,
+                economy(b.runs, balls),
+              ]
+            })}
+          />
+        </div>
+      )}
+
+      {(inn.partnerships || []).length > 0 && (
+        <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4">
+          <div className="text-white font-semibold mb-2 text-sm">Partnerships</div>
+          <div className="space-y-1 text-xs">
+            {inn.partnerships.map((p, i) => (
+              <div key={i} className="flex justify-between text-slate-300">
+                <span>
+                  {p.wicket}. {p.batters.map(name).join(' & ')}
+                </span>
+                <span className="text-white">
+                  {p.runs} <span className="text-slate-400">({p.balls})</span>
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default function MatchDetail({ dbRefs, user }) {
+  const { matchId } = useParams()
+  const match = useMatch(matchId)
+  const onBack = useBack('/scores')
+  const { loading } = useCollection('matches')
+  const name = usePlayerName()
+  const teamName = useTeamName()
+  const innings = match?.scorecards?.innings || []
+  const [active, setActive] = useState(Math.max(innings.length - 1, 0))
+  const [params, setParams] = useSearchParams()
+  const view = params.get('view') === 'charts' ? 'charts' : 'scorecard'
+  const setView = (key) => setParams(key === 'charts' ? { view: 'charts' } : {}, { replace: true })
+  const { a, b } = match?.info?.teams || {}
+
+  // Follow the live innings as the second one starts
+  useEffect(() => {
+    setActive(Math.max(innings.length - 1, 0))
+  }, [innings.length])
+
+  if (!match) {
+    return (
+      <div className="p-4 space-y-3">
+        <button onClick={onBack} className="flex items-center gap-1 text-slate-300 text-sm">
+          <ArrowLeft size={16} /> Match Center
+        </button>
+        {!loading && <div className="text-slate-400 text-sm">This match doesn't exist.</div>}
+      </div>
+    )
+  }
+  const { info = {}, summary, status } = match
+
+  return (
+    <div className="p-4 pb-24 space-y-4">
+      <button onClick={onBack} className="flex items-center gap-1 text-slate-300 text-sm">
+        <ArrowLeft size={16} /> Match Center
+      </button>
+
+      <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4">
+        <div className="flex items-center justify-between">
+          <span className="text-slate-300 text-sm">{new Date(info.date).toLocaleString()}</span>
+          <span className={`text-xs px-2 py-1 rounded-full ${isFinished(match) ? 'bg-slate-700 text-slate-300' : status === 'upcoming' ? 'bg-emerald-500/20 text-emerald-300' : 'bg-amber-500/20 text-amber-300'}`}>{status?.toUpperCase()}</span>
+        </div>
+        <div className="mt-2 text-white text-lg font-semibold">
+          {teamName(a)} vs {teamName(b)}
+        </div>
+        <div className="mt-1 text-slate-400 text-xs">{info.venue}</div>
+        {info.toss && (
+          <div className="mt-1 text-slate-400 text-xs">
+            Toss: {teamName(info.toss.winner)} elected to {info.toss.decision}
+          </div>
+        )}
+        {summary && (
+          <div className="mt-3 text-amber-300 text-sm">
+            {summary.winner ? `${teamName(summary.winner)} ${summary.superOver ? 'won the Super Over' : `won by ${summary.margin}`}` : summary.margin}
+            {summary.par != null && <div className="text-slate-300 text-xs mt-1">Par score when play stopped: {summary.par}</div>}
+            {summary.playerOfTheMatch && <div className="text-slate-300 text-xs mt-1">Player of the match: {summary.playerOfTheMatch}</div>}
+          </div>
+        )}
+        {(info.interruptions || []).map((x, i) => (
+          <div key={i} className="mt-1 text-slate-400 text-xs">
+            Rain: {teamName(innings[x.innings]?.teamId)} innings cut from {x.from} to {x.to} overs at {x.wickets} down after {Math.floor(x.balls / 6)}.{x.balls % 6} ov
+          </div>
+        ))}
+        {innings[1]?.target != null && innings[1].target !== innings[0].runs + 1 && (
+          <div className="mt-1 text-slate-400 text-xs">
+            Revised target: {innings[1].target} from {innings[1].maxOvers} overs (DLS)
+          </div>
+        )}
+        {status === 'live' && match.liveState?.target != null && !match.liveState.inningsComplete && (
+          <div className="mt-3 text-amber-300 text-sm">
+            Need {Math.max(match.liveState.target - match.liveState.runs, 0)} from {match.liveState.maxOvers * 6 - match.liveState.balls} balls
+          </div>
+        )}
+      </div>
+
+      {status === 'upcoming' && <MatchPreview dbRefs={dbRefs} user={user} match={match} />}
+
+      {innings.length === 0 ? (
+        <div className="text-slate-400 text-sm">The scorecard will appear once the match starts.</div>
+      ) : (
+        <>
+          <PredictionCard dbRefs={dbRefs} user={user} match={match} />
+          <div className="grid grid-cols-2 gap-2">
+            {[
+              ['scorecard', 'Scorecard'],
+              ['charts', 'Charts'],
+            ].map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => setView(key)}
+                className={`text-sm py-2 rounded-lg border ${view === key ? 'bg-amber-500/10 border-amber-400/40 text-amber-300' : 'border-slate-700 text-slate-300'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {view === 'charts' ? (
+            <MatchCharts match={match} teamName={teamName} />
+          ) : (
+            <>
+              <div className="grid grid-flow-col auto-cols-fr rounded-xl bg-slate-900/70 border border-slate-700 p-1 text-sm">
+                {innings.map((inn, i) => (
+                  <button
+                    key={i}
+                    onClick={() => setActive(i)}
+                    className={`py-2 rounded-lg ${active === i ? 'bg-amber-500/10 text-amber-300' : 'text-slate-300'}`}
+                  >
+                    {isSuperOver(i) && <span className="block text-[10px] uppercase text-slate-500">Super Over</span>}
+                    {teamName(inn.teamId)} {inn.runs}/{inn.wickets}
+                  </button>
+                ))}
+              </div>
+              <InningsCard match={match} index={Math.min(active, innings.length - 1)} name={name} teamName={teamName} />
+            </>
+          )}
+          <CommentaryFeed dbRefs={dbRefs} matchId={matchId} />
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,207 @@
+import React, { useEffect, useState } from 'react'
+import { onSnapshot } from 'firebase/firestore'
+import { Link } from 'react-router-dom'
+import { Lock } from 'lucide-react'
+import { isMatchOpen, matchStartsAt } from '../lib/contests'
+import { PREDICTION_POINTS, predictionDoc, savePrediction, scorePrediction } from '../lib/predictions'
+import { headToHead } from '../lib/standings'
+import { useMatches, usePlayerName, usePlayersByTeam, useTeamName } from '../lib/leagueData'
+
+const card = 'rounded-xl bg-slate-800/60 border border-slate-700 p-4'
+const inputClass = 'mt-1 w-full rounded-lg bg-slate-900/60 border border-slate-700 text-white text-sm p-2'
+
+// The user's own pick for this match, live
+function usePrediction(dbRefs, uid, matchId) {
+  const [state, setState] = useState({ prediction: null, loading: true })
+  useEffect(() => {
+    if (!dbRefs || !uid || !matchId) return undefined
+    return onSnapshot(
+      predictionDoc(dbRefs, uid, matchId),
+      (d) => setState({ prediction: d.exists() ? d.data() : null, loading: false }),
+      (e) => {
+        console.error('Prediction subscription failed:', e)
+        setState((s) => ({ ...s, loading: false }))
+      },
+    )
+  }, [dbRefs, uid, matchId])
+  return state
+}
+
+function PickForm({ dbRefs, user, match, prediction }) {
+  const { a, b } = match.info?.teams || {}
+  const teamName = useTeamName()
+  const players = usePlayersByTeam([a, b])
+  const [winnerId, setWinnerId] = useState(prediction?.winnerId || null)
+  const [topScorerId, setTopScorerId] = useState(prediction?.topScorerId || '')
+  const [saving, setSaving] = useState(false)
+  const startsAt = matchStartsAt(match)
+
+  // Keep the form in step when the saved pick arrives after the first render
+  useEffect(() => {
+    setWinnerId(prediction?.winnerId || null)
+    setTopScorerId(prediction?.topScorerId || '')
+  }, [prediction?.winnerId, prediction?.topScorerId])
+
+  const save = async () => {
+    setSaving(true)
+    try {
+      const { queued } = await savePrediction(dbRefs, user.uid, match.id, { winnerId, topScorerId })
+      if (queued) alert("You're offline. Your prediction will be saved when you reconnect.")
+    } catch (e) {
+      console.error(e)
+      alert(e.message || 'Could not save your prediction.')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const changed = winnerId !== (prediction?.winnerId || null) || topScorerId !== (prediction?.topScorerId || '')
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-2">
+        {[a, b].map((id) => (
+          <button
+            key={id}
+            onClick={() => setWinnerId(id)}
+            className={`py-2 rounded-lg border text-sm ${winnerId === id ? 'bg-amber-500/10 border-amber-400/40 text-amber-300' : 'border-slate-700 text-slate-300'}`}
+          >
+            {teamName(id)}
+          </button>
+        ))}
+      </div>
+      <label className="block">
+        <span className="text-slate-400 text-xs">Top scorer (optional, +{PREDICTION_POINTS.topScorer})</span>
+        <select value={topScorerId} onChange={(e) => setTopScorerId(e.target.value)} className={inputClass}>
+          <option value="">No pick</option>
+          {[a, b].map((teamId) => (
+            <optgroup key={teamId} label={teamName(teamId)}>
+              {players
+                .filter((p) => p.teamId === teamId)
+                .map((p) => (
+                  <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+            </optgroup>
+          ))}
+        </select>
+      </label>
+      <button
+        onClick={save}
+        disabled={saving || !winnerId || !changed}
+        className="w-full py-2 rounded-lg bg-amber-500 hover:bg-amber-400 text-slate-900 font-semibold text-sm disabled:opacity-60 disabled:cursor-not-allowed"
+      >
+        {saving ? 'Saving...' : prediction ? 'Update prediction' : 'Save prediction'}
+      </button>
+      {startsAt && <div className="text-slate-400 text-[11px]">Picks lock at {startsAt.toLocaleString()} or when the match goes live.</div>}
+    </div>
+  )
+}
+
+const MARKS = { true: { text: '✓', className: 'text-emerald-300' }, false: { text: '✗', className: 'text-red-300' } }
+
+function Mark({ value }) {
+  const mark = MARKS[value]
+  return mark ? <span className={mark.className}> {mark.text}</span> : null
+}
+
+// A locked or scored pick
+function PickSummary({ match, prediction }) {
+  const teamName = useTeamName()
+  const name = usePlayerName()
+  const score = scorePrediction(prediction, match)
+  return (
+    <div className="space-y-1 text-sm">
+      <div className="text-slate-300">
+        Winner: <span className="text-white">{teamName(prediction.winnerId)}</span>
+        <Mark value={score?.winner} />
+      </div>
+      {prediction.topScorerId && (
+        <div className="text-slate-300">
+          Top scorer: <span className="text-white">{name(prediction.topScorerId)}</span>
+          <Mark value={score?.topScorer} />
+        </div>
+      )}
+      {score ? (
+        <div className="text-amber-300 font-semibold">{score.points} pts</div>
+      ) : (
+        <div className="flex items-center gap-1 text-slate-400 text-xs">
+          <Lock size={12} /> Locked. Scored when the match ends.
+        </div>
+      )}
+    </div>
+  )
+}
+
+/** The user's prediction for a match: a pick form while open, then what they picked and how it scored. */
+export function PredictionCard({ dbRefs, user, match }) {
+  const { prediction, loading } = usePrediction(dbRefs, user?.uid, match.id)
+  const open = isMatchOpen(match)
+  if (loading || (!open && !prediction)) return null
+  return (
+    <div className={card}>
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-white font-semibold">Your prediction</div>
+        <Link to="/fantasy?tab=predictions" className="text-amber-300 text-xs">
+          Leaderboard
+        </Link>
+      </div>
+      {open ? <PickForm dbRefs={dbRefs} user={user} match={match} prediction={prediction} /> : <PickSummary match={match} prediction={prediction} />}
+    </div>
+  )
+}
+
+function HeadToHead({ match }) {
+  const matches = useMatches()
+  const teamName = useTeamName()
+  const { a, b } = match.info?.teams || {}
+  if (!a || !b) return null
+  const record = headToHead(matches, a, b, { exclude: match.id })
+
+  return (
+    <div className={card}>
+      <div className="text-white font-semibold mb-2">Head to head</div>
+      {record.played === 0 ? (
+        <div className="text-slate-400 text-sm">First meeting between these sides.</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-3 text-center">
+            <div>
+              <div className="text-amber-300 text-xl font-semibold">{record.wins[a]}</div>
+              <div className="text-slate-400 text-xs truncate">{teamName(a)}</div>
+            </div>
+            <div>
+              <div className="text-white text-xl font-semibold">{record.played}</div>
+              <div className="text-slate-400 text-xs">Played</div>
+            </div>
+            <div>
+              <div className="text-emerald-300 text-xl font-semibold">{record.wins[b]}</div>
+              <div className="text-slate-400 text-xs truncate">{teamName(b)}</div>
+            </div>
+          </div>
+          {(record.ties > 0 || record.noResults > 0) && (
+            <div className="mt-1 text-center text-slate-400 text-xs">
+              {record.ties} tied • {record.noResults} no result
+            </div>
+          )}
+          <div className="mt-3 space-y-1">
+            {record.recent.map((m) => (
+              <Link key={m.id} to={`/match/${m.id}`} className="flex justify-between gap-2 text-xs text-slate-300 hover:text-white">
+                <span className="text-slate-500 shrink-0">{new Date(m.info.date).toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' })}</span>
+                <span className="truncate text-right">{m.summary?.winner ? `${teamName(m.summary.winner)} • ${m.summary.margin}` : m.summary?.margin || 'No result'}</span>
+              </Link>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+/** Pre-match card for an upcoming match: the user's prediction and the sides' record. */
+export default function MatchPreview({ dbRefs, user, match }) {
+  return (
+    <div className="space-y-4">
+      <PredictionCard dbRefs={dbRefs} user={user} match={match} />
+      <HeadToHead match={match} />
+    </div>
+  )
+}
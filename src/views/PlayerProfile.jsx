@@ -0,0 +1,116 @@
+import React, { useMemo } from 'react'
+import { ArrowLeft } from 'lucide-react'
+import { useParams } from 'react-router-dom'
+import { playerMatchLog } from '../lib/playerStats'
+import { useMatches, usePlayer, useTeam, useTeamName } from '../lib/leagueData'
+import { useBack } from '../lib/navigation'
+import FollowButton from './FollowButton'
+
+function Stat({ label, value }) {
+  return (
+    <div className="rounded-lg bg-slate-900/40 border border-slate-700 p-2 text-center">
+      <div className="text-white font-semibold">{value ?? '—'}</div>
+      <div className="text-slate-400 text-[11px]">{label}</div>
+    </div>
+  )
+}
+
+export default function PlayerProfile() {
+  const { playerId } = useParams()
+  const onBack = useBack('/players')
+  const player = usePlayer(playerId)
+  const team = useTeam(player?.teamId)
+  const teamName = useTeamName()
+  const matches = useMatches()
+
+  const log = useMemo(() => playerMatchLog(matches, playerId), [matches, playerId])
+
+  if (!player) {
+    return (
+      <div className="p-4">
+        <button onClick={onBack} className="flex items-center gap-1 text-slate-300 text-sm">
+          <ArrowLeft size={16} /> Players
+        </button>
+      </div>
+    )
+  }
+
+  const bat = player.batting || {}
+  const bowl = player.bowling || {}
+
+  return (
+    <div className="p-4 pb-24 space-y-4">
+      <button onClick={onBack} className="flex items-center gap-1 text-slate-300 text-sm">
+        <ArrowLeft size={16} /> Players
+      </button>
+
+      <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4 flex items-center gap-4">
+        <img src={player.photoUrl} alt={player.name} className="w-20 h-20 rounded-xl bg-slate-900" />
+        <div className="min-w-0">
+          <div className="text-white text-lg font-semibold">{player.name}</div>
+          <div className="text-slate-300 text-sm">{player.role}</div>
+          <div className="text-slate-400 text-xs mt-1">{team?.name || player.teamId}</div>
+        </div>
+        <div className="ml-auto self-start">
+          <FollowButton kind="players" id={playerId} />
+        </div>
+      </div>
+
+      <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4">
+        <div className="text-white font-semibold mb-3">Batting</div>
+        <div className="grid grid-cols-4 gap-2">
+          <Stat label="Runs" value={bat.runs} />
+          <Stat label="Avg" value={bat.avg} />
+          <Stat label="SR" value={bat.sr} />
+          <Stat label="HS" value={bat.highest} />
+          <Stat label="50s" value={bat.fifties} />
+          <Stat label="100s" value={bat.hundreds} />
+          <Stat label="4s" value={bat.fours} />
+          <Stat label="6s" value={bat.sixes} />
+        </div>
+      </div>
+
+      <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4">
+        <div className="text-white font-semibold mb-3">Bowling</div>
+        <div className="grid grid-cols-4 gap-2">
+          <Stat label="Wkts" value={bowl.wickets} />
+          <Stat label="Avg" value={bowl.avg} />
+          <Stat label="Econ" value={bowl.economy} />
+          <Stat label="Best" value={bowl.best} />
+        </div>
+      </div>
+
+      <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4">
+        <div className="text-white font-semibold mb-3">Match by match</div>
+        {log.length === 0 && <div className="text-slate-400 text-sm">No match appearances recorded yet.</div>}
+        <div className="space-y-2">
+          {log.map((row) => {
+            const opponent = row.teams?.a === player.teamId ? row.teams?.b : row.teams?.a
+            return (
+              <div key={row.matchId} className="flex items-center justify-between text-xs border-t border-slate-700/60 pt-2 first:border-0 first:pt-0">
+                <div>
+                  <div className="text-white">vs {teamName(opponent)}</div>
+                  <div className="text-slate-400">{row.date ? new Date(row.date).toLocaleDateString() : '—'}</div>
+                </div>
+                <div className="text-right text-slate-300">
+                  {row.batting && (
+                    <div>
+                      {row.batting.runs}
+                      {row.batting.out ? '' : '*'} ({row.batting.balls})
+                    </div>
+                  )}
+                  {row.bowling && (
+                    <div>
+                      {row.bowling.wickets}/{row.bowling.runs} ({row.bowling.overs} ov)
+                    </div>
+                  )}
+                  {row.catches > 0 && <div>{row.catches} ct</div>}
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,108 @@
+import React, { useMemo, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { ArrowDown, ArrowUp, Search } from 'lucide-react'
+import { PLAYER_ROLES, PLAYER_SORTS, statValue } from '../lib/playerStats'
+import { usePlayers, useTeamName, useTeams } from '../lib/leagueData'
+
+const selectClass = 'rounded-lg bg-slate-900/60 border border-slate-700 text-white text-sm p-2'
+
+export default function PlayersView() {
+  const players = usePlayers()
+  const teams = useTeams()
+  const teamName = useTeamName()
+  const [search, setSearch] = useState('')
+  const [teamId, setTeamId] = useState('')
+  const [role, setRole] = useState('')
+  const [sortKey, setSortKey] = useState('batting.runs')
+  const [descending, setDescending] = useState(true)
+  const navigate = useNavigate()
+
+  const changeSort = (key) => {
+    setSortKey(key)
+    setDescending(!PLAYER_SORTS.find((s) => s.key === key)?.asc)
+  }
+
+  const visible = useMemo(() => {
+    const text = search.trim().toLowerCase()
+    const list = players.filter(
+      (p) => (!teamId || p.teamId === teamId) && (!role || p.role === role) && (!text || p.name?.toLowerCase().includes(text)),
+    )
+    const dir = descending ? -1 : 1
+    return [...list].sort((a, b) => {
+      const x = statValue(a, sortKey)
+      const y = statValue(b, sortKey)
+      if (x == null) return 1
+      if (y == null) return -1
+      if (typeof x === 'string') return x.localeCompare(y) * dir
+      return (x - y) * dir
+    })
+  }, [players, search, teamId, role, sortKey, descending])
+
+  const sortLabel = PLAYER_SORTS.find((s) => s.key === sortKey)?.label
+
+  return (
+    <div className="p-4 pb-24 space-y-3">
+      <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-3 space-y-2">
+        <div className="flex items-center gap-2 rounded-lg bg-slate-900/60 border border-slate-700 px-2">
+          <Search size={16} className="text-slate-400" />
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search players"
+            className="w-full bg-transparent text-white text-sm py-2 outline-none"
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <select value={teamId} onChange={(e) => setTeamId(e.target.value)} className={selectClass}>
+            <option value="">All teams</option>
+            {teams.map((t) => (
+              <option key={t.id} value={t.id}>{t.name}</option>
+            ))}
+          </select>
+          <select value={role} onChange={(e) => setRole(e.target.value)} className={selectClass}>
+            <option value="">All roles</option>
+            {PLAYER_ROLES.map((r) => (
+              <option key={r} value={r}>{r}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex gap-2">
+          <select value={sortKey} onChange={(e) => changeSort(e.target.value)} className={`${selectClass} flex-1`}>
+            {PLAYER_SORTS.map((s) => (
+              <option key={s.key} value={s.key}>Sort: {s.label}</option>
+            ))}
+          </select>
+          <button onClick={() => setDescending((d) => !d)} className="px-3 rounded-lg border border-slate-700 text-slate-200" aria-label="Toggle sort direction">
+            {descending ? <ArrowDown size={16} /> : <ArrowUp size={16} />}
+          </button>
+        </div>
+      </div>
+
+      <div className="text-slate-400 text-xs">{visible.length} players</div>
+
+      <div className="grid gap-2">
+        {visible.map((p) => (
+          <button
+            key={p.id}
+            onClick={() => navigate(`/players/${p.id}`)}
+            className="text-left rounded-xl bg-slate-800/60 border border-slate-700 p-3 flex items-center gap-3 hover:border-slate-500 transition"
+          >
+            <img src={p.photoUrl} alt={p.name} className="w-10 h-10 rounded-lg bg-slate-900" />
+            <div className="flex-1 min-w-0">
+              <div className="text-white text-sm font-medium truncate">{p.name}</div>
+              <div className="text-slate-400 text-xs truncate">
+                {p.role} • {teamName(p.teamId)}
+              </div>
+            </div>
+            {sortKey !== 'name' && (
+              <div className="text-right">
+                <div className="text-amber-400 font-semibold text-sm">{statValue(p, sortKey) ?? '—'}</div>
+                <div className="text-slate-400 text-[11px]">{sortLabel}</div>
+              </div>
+            )}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
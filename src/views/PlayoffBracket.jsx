@@ -0,0 +1,76 @@
+import React from 'react'
+import { isFinished } from '../lib/matchEngine'
+import { PLAYOFF_STAGES, playoffId } from '../lib/schedule'
+import { matchResult } from '../lib/standings'
+import { useCollection, useMatches, useTeamName } from '../lib/leagueData'
+
+// Where each TBD slot comes from, e.g. "Loser Q1"
+const SHORT = { qualifier1: 'Q1', eliminator: 'Eliminator', qualifier2: 'Q2' }
+const sourceLabel = (slot) => (slot.seed ? `Seed ${slot.seed}` : `${slot.take === 'winner' ? 'Winner' : 'Loser'} ${SHORT[slot.from]}`)
+
+function Slot({ teamId, placeholder, winner }) {
+  const teamName = useTeamName()
+  return (
+    <div className={`flex items-center justify-between px-3 py-1.5 text-sm ${winner ? 'text-emerald-300 font-semibold' : teamId ? 'text-white' : 'text-slate-500 italic'}`}>
+      <span className="truncate">{teamId ? teamName(teamId) : placeholder}</span>
+    </div>
+  )
+}
+
+function StageCard({ stage, fixture, match, onOpen }) {
+  const teams = match?.info?.teams || fixture?.teams
+  // No winner (rained off, or an unsettled tie): the higher seed, listed first, goes through
+  const decided = isFinished(match) && matchResult(match) === 'win'
+  const winner = isFinished(match) ? (decided ? match.summary.winner : teams?.a) : null
+  const clickable = !!match && !!onOpen
+  return (
+    <div
+      role={clickable ? 'button' : undefined}
+      tabIndex={clickable ? 0 : undefined}
+      onClick={clickable ? () => onOpen(match.id) : undefined}
+      onKeyDown={clickable ? (e) => e.key === 'Enter' && onOpen(match.id) : undefined}
+      className={`rounded-xl bg-slate-800/60 border border-slate-700 overflow-hidden ${clickable ? 'cursor-pointer hover:border-slate-500 transition' : ''}`}
+    >
+      <div className="flex items-center justify-between px-3 py-1.5 bg-slate-900/60 text-xs">
+        <span className="text-amber-300 font-semibold">{stage.label}</span>
+        <span className="text-slate-400">{fixture?.date ? new Date(fixture.date).toLocaleDateString([], { day: 'numeric', month: 'short' }) : ''}</span>
+      </div>
+      <Slot teamId={teams?.a} placeholder={sourceLabel(stage.teams.a)} winner={winner && winner === teams?.a} />
+      <div className="border-t border-slate-700/60" />
+      <Slot teamId={teams?.b} placeholder={sourceLabel(stage.teams.b)} winner={winner && winner === teams?.b} />
+      {isFinished(match) && match.summary?.margin && (
+        <div className="px-3 pb-2 text-[11px] text-slate-400">
+          {match.summary.margin}
+          {!decided && ' • higher seed goes through'}
+        </div>
+      )}
+    </div>
+  )
+}
+
+/** Page-playoff bracket; renders nothing until playoff fixtures exist. */
+export default function PlayoffBracket({ onOpenMatch }) {
+  const fixtures = useCollection('fixtures').byId
+  const matches = useMatches()
+  if (!PLAYOFF_STAGES.some((s) => fixtures[playoffId(s.stage)])) return null
+
+  const cell = (stage) => {
+    const s = PLAYOFF_STAGES.find((p) => p.stage === stage)
+    const id = playoffId(stage)
+    return <StageCard stage={s} fixture={fixtures[id]} match={matches.find((m) => m.id === id)} onOpen={onOpenMatch} />
+  }
+
+  return (
+    <div>
+      <h2 className="text-lg font-semibold text-white">Playoffs</h2>
+      <div className="mt-3 grid grid-cols-3 gap-2 items-center">
+        <div className="space-y-2">
+          {cell('qualifier1')}
+          {cell('eliminator')}
+        </div>
+        <div>{cell('qualifier2')}</div>
+        <div>{cell('final')}</div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,190 @@
+import React, { useState } from 'react'
+import { LogOut, Mail, RefreshCw } from 'lucide-react'
+import { avatarUrl, saveProfile, sendEmailLink, signInWithGoogle, signOutToGuest } from '../lib/account'
+import { ALERT_TYPES } from '../lib/alerts'
+import { useAlertSettings } from '../lib/alertSettings'
+import { usePlayerName, useTeamName } from '../lib/leagueData'
+
+const card = 'rounded-xl bg-slate-800/60 border border-slate-700 p-4'
+const inputClass = 'w-full rounded-lg bg-slate-900/60 border border-slate-700 text-white text-sm p-2'
+
+const randomSeed = () => Math.random().toString(36).slice(2, 10)
+
+function SignInCard({ auth, onSignedIn }) {
+  const [email, setEmail] = useState('')
+  const [sentTo, setSentTo] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  const run = async (action) => {
+    setBusy(true)
+    try {
+      await action()
+    } catch (e) {
+      console.error(e)
+      if (e.code !== 'auth/popup-closed-by-user') alert(e.message || 'Sign-in failed.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const google = () =>
+    run(async () => {
+      await signInWithGoogle(auth)
+      onSignedIn()
+    })
+
+  const emailLink = (e) => {
+    e.preventDefault()
+    const address = email.trim()
+    if (!address) return
+    run(async () => {
+      await sendEmailLink(auth, address)
+      setSentTo(address)
+    })
+  }
+
+  return (
+    <div className={card}>
+      <div className="text-white font-semibold">Save your account</div>
+      <div className="text-slate-400 text-xs mt-1">
+        You're playing as a guest. Sign in to keep your fantasy teams and contest entries if you clear this browser, and to play on other devices.
+      </div>
+      <button
+        onClick={google}
+        disabled={busy}
+        className="mt-3 w-full py-2 rounded-lg bg-white text-slate-900 text-sm font-semibold disabled:opacity-60"
+      >
+        Continue with Google
+      </button>
+      {sentTo ? (
+        <div className="mt-3 text-emerald-300 text-sm">Check {sentTo} for a sign-in link. Open it on this device to keep your teams.</div>
+      ) : (
+        <form onSubmit={emailLink} className="mt-3 flex gap-2">
+          <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="you@example.com" className={inputClass} />
+          <button type="submit" disabled={busy} className="shrink-0 flex items-center gap-1 px-3 rounded-lg border border-slate-600 text-slate-200 text-sm disabled:opacity-60">
+            <Mail size={14} /> Email link
+          </button>
+        </form>
+      )}
+    </div>
+  )
+}
+
+function Toggle({ label, checked, onChange }) {
+  return (
+    <label className="flex items-center justify-between text-sm text-slate-200">
+      {label}
+      <input type="checkbox" checked={checked} onChange={(e) => onChange(e.target.checked)} />
+    </label>
+  )
+}
+
+function AlertsCard() {
+  const { settings, toggleFollow, setEvent, setBrowser } = useAlertSettings()
+  const teamName = useTeamName()
+  const playerName = usePlayerName()
+  const supported = typeof Notification !== 'undefined'
+  const followed = [...settings.teams.map((id) => ['teams', id, teamName(id)]), ...settings.players.map((id) => ['players', id, playerName(id)])]
+
+  const changeBrowser = async (on) => {
+    if (on && Notification.permission !== 'granted' && (await Notification.requestPermission()) !== 'granted') {
+      alert('Notifications are blocked for this site. Allow them in your browser settings.')
+      return
+    }
+    setBrowser(on)
+  }
+
+  return (
+    <div className={card}>
+      <div className="text-white font-semibold">Match alerts</div>
+      <div className="text-slate-400 text-xs mt-1">Follow teams and players from their pages to hear about them here.</div>
+      <div className="mt-3 flex flex-wrap gap-2">
+        {followed.length === 0 && <span className="text-slate-500 text-xs">Not following anyone yet.</span>}
+        {followed.map(([kind, id, name]) => (
+          <button key={id} onClick={() => toggleFollow(kind, id)} className="text-xs px-3 py-1 rounded-full border border-amber-400/40 text-amber-300" title="Unfollow">
+            {name} ✕
+          </button>
+        ))}
+      </div>
+      <div className="mt-4 space-y-2">
+        {ALERT_TYPES.map((t) => (
+          <Toggle key={t.key} label={t.label} checked={!!settings.events[t.key]} onChange={(on) => setEvent(t.key, on)} />
+        ))}
+        {supported && <Toggle label="Browser notifications when the app is in the background" checked={settings.browser} onChange={changeBrowser} />}
+      </div>
+    </div>
+  )
+}
+
+export default function ProfileView({ auth, dbRefs, user, onUserChange }) {
+  const [name, setName] = useState(user.displayName || '')
+  const [photo, setPhoto] = useState(user.photoURL || avatarUrl(user.uid))
+  const [saving, setSaving] = useState(false)
+  const dirty = name.trim() !== (user.displayName || '') || photo !== (user.photoURL || avatarUrl(user.uid))
+
+  const save = async () => {
+    const displayName = name.trim()
+    if (!displayName) return alert('Pick a display name.')
+    setSaving(true)
+    try {
+      await saveProfile(auth, dbRefs, { displayName, photoURL: photo })
+      onUserChange()
+    } catch (e) {
+      console.error(e)
+      alert('Failed to save profile.')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const signOut = async () => {
+    if (!window.confirm('Sign out? This device goes back to a guest session.')) return
+    try {
+      await signOutToGuest(auth)
+    } catch (e) {
+      console.error(e)
+      alert('Sign-out failed.')
+    }
+  }
+
+  return (
+    <div className="p-4 pb-24 space-y-3">
+      <div className={card}>
+        <div className="flex items-center gap-4">
+          <img src={photo} alt="" className="w-16 h-16 rounded-full bg-slate-700" />
+          <div className="min-w-0">
+            <div className="text-white font-semibold truncate">{user.displayName || 'Guest'}</div>
+            <div className="text-slate-400 text-xs truncate">{user.isAnonymous ? 'Guest session' : user.email || 'Signed in'}</div>
+          </div>
+          <button
+            onClick={() => setPhoto(avatarUrl(randomSeed()))}
+            className="ml-auto flex items-center gap-1 text-xs px-3 py-1 rounded-full border border-slate-600 text-slate-200"
+          >
+            <RefreshCw size={12} /> New avatar
+          </button>
+        </div>
+        <label className="block mt-4">
+          <span className="text-slate-400 text-xs">Display name (shown on leaderboards)</span>
+          <input value={name} onChange={(e) => setName(e.target.value)} maxLength={30} className={`${inputClass} mt-1`} />
+        </label>
+        <button
+          onClick={save}
+          disabled={saving || !dirty}
+          className="mt-3 w-full py-2 rounded-lg bg-emerald-600 hover:bg-emerald-500 text-white text-sm font-semibold disabled:opacity-60"
+        >
+          {saving ? 'Saving...' : 'Save profile'}
+        </button>
+      </div>
+
+      <AlertsCard />
+
+      {user.isAnonymous ? (
+        <SignInCard auth={auth} onSignedIn={onUserChange} />
+      ) : (
+        <button onClick={signOut} className="w-full flex items-center justify-center gap-2 py-2 rounded-lg border border-slate-600 text-slate-300 text-sm">
+          <LogOut size={14} /> Sign out
+        </button>
+      )}
+    </div>
+  )
+}
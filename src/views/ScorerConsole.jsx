@@ -0,0 +1,538 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { collection, doc, runTransaction, serverTimestamp } from 'firebase/firestore'
+import { Loader2, Undo2 } from 'lucide-react'
+import {
+  EXTRA_TYPES,
+  DEFAULT_OVERS,
+  applyDelivery,
+  canStartInnings,
+  closeInnings,
+  completeMatch,
+  isFinished,
+  isSuperOver,
+  startInnings,
+  wicketKindsFor,
+} from '../lib/matchEngine'
+import { abandonMatch, currentPar, reviseOvers, revisedTarget } from '../lib/rainRules'
+import { onMatchCompleted, syncContestStatus, syncFantasyScores } from '../lib/leagueSync'
+import { commentaryCol, commentaryDoc, deliveryCommentaryIds, noteDoc } from '../lib/commentary'
+import { useMatch, useMatches, usePlayersByTeam, useTeamName } from '../lib/leagueData'
+import CommentaryFeed from './CommentaryFeed'
+
+const RUN_BUTTONS = [0, 1, 2, 3, 4, 6]
+
+// Delivery docs are keyed by sequence so undo can read the last one inside a transaction
+const deliveryId = (seq) => String(seq).padStart(4, '0')
+
+function PlayerSelect({ label, value, onChange, players, exclude = [] }) {
+  return (
+    <label className="block">
+      <span className="text-slate-400 text-xs">{label}</span>
+      <select
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        className="mt-1 w-full rounded-lg bg-slate-900/60 border border-slate-700 text-white text-sm p-2"
+      >
+        <option value="">—</option>
+        {players
+          .filter((p) => p.id === value || !exclude.includes(p.id))
+          .map((p) => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+      </select>
+    </label>
+  )
+}
+
+function StartInningsForm({ match, teamPlayers, teamName, onStart, busy }) {
+  const { a, b } = match.info?.teams || {}
+  const index = match.scorecards?.innings?.length || 0
+  const isFirst = index === 0
+  const isChase = index === 1
+  // An admin may have recorded the toss ahead of time
+  const [tossWinner, setTossWinner] = useState(match.info?.toss?.winner || a)
+  const [decision, setDecision] = useState(match.info?.toss?.decision || 'bat')
+  const [strikerId, setStrikerId] = useState(null)
+  const [nonStrikerId, setNonStrikerId] = useState(null)
+  const [bowlerId, setBowlerId] = useState(null)
+  const [maxOvers, setMaxOvers] = useState(match.scorecards?.innings?.[0]?.maxOvers || match.info?.overs || DEFAULT_OVERS)
+
+  let battingTeamId
+  if (isFirst) battingTeamId = decision === 'bat' ? tossWinner : tossWinner === a ? b : a
+  else {
+    // Same order as startInnings: the fielding side chases; in a super over the chasers bat first
+    const previous = match.scorecards.innings[index - 1]
+    const fielded = previous.teamId === a ? b : a
+    battingTeamId = index % 2 ? fielded : previous.teamId
+  }
+  const bowlingTeamId = battingTeamId === a ? b : a
+  const target = isChase && Number(maxOvers) > 0 ? revisedTarget(match, Math.min(Number(maxOvers), match.info?.overs || DEFAULT_OVERS)) : null
+  const title = isFirst ? 'Toss & first innings' : isSuperOver(index) ? `Super over: ${teamName(battingTeamId)} bat` : 'Start second innings'
+
+  return (
+    <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4 space-y-3">
+      <div className="text-white font-semibold">{title}</div>
+      {isFirst && (
+        <div className="grid grid-cols-2 gap-2">
+          <label className="block">
+            <span className="text-slate-400 text-xs">Toss won by</span>
+            <select value={tossWinner} onChange={(e) => setTossWinner(e.target.value)} className="mt-1 w-full rounded-lg bg-slate-900/60 border border-slate-700 text-white text-sm p-2">
+              <option value={a}>{teamName(a)}</option>
+              <option value={b}>{teamName(b)}</option>
+            </select>
+          </label>
+          <label className="block">
+            <span className="text-slate-400 text-xs">Elected to</span>
+            <select value={decision} onChange={(e) => setDecision(e.target.value)} className="mt-1 w-full rounded-lg bg-slate-900/60 border border-slate-700 text-white text-sm p-2">
+              <option value="bat">Bat</option>
+              <option value="bowl">Bowl</option>
+            </select>
+          </label>
+        </div>
+      )}
+      <div className="text-slate-300 text-xs">Batting: {teamName(battingTeamId)}</div>
+      <div className="grid grid-cols-2 gap-2">
+        <PlayerSelect label="Striker" value={strikerId} onChange={setStrikerId} players={teamPlayers(battingTeamId)} exclude={[nonStrikerId]} />
+        <PlayerSelect label="Non-striker" value={nonStrikerId} onChange={setNonStrikerId} players={teamPlayers(battingTeamId)} exclude={[strikerId]} />
+        <PlayerSelect label="Opening bowler" value={bowlerId} onChange={setBowlerId} players={teamPlayers(bowlingTeamId)} />
+        {(isFirst || isChase) && (
+          <label className="block">
+            <span className="text-slate-400 text-xs">{isFirst ? 'Overs per side' : 'Overs for the chase'}</span>
+            <input
+              type="number"
+              min={1}
+              max={50}
+              value={maxOvers}
+              onChange={(e) => setMaxOvers(e.target.value)}
+              className="mt-1 w-full rounded-lg bg-slate-900/60 border border-slate-700 text-white text-sm p-2"
+            />
+          </label>
+        )}
+      </div>
+      {target != null && (
+        <div className="text-slate-300 text-xs">
+          Target: <span className="text-white font-semibold">{target}</span>
+          {target !== match.scorecards.innings[0].runs + 1 && ' (revised for overs lost)'}
+        </div>
+      )}
+      {isSuperOver(index) && <div className="text-slate-400 text-xs">One over, two wickets.</div>}
+      <button
+        onClick={() => onStart({ toss: isFirst ? { winner: tossWinner, decision } : null, strikerId, nonStrikerId, bowlerId, maxOvers, target })}
+        disabled={busy}
+        className="w-full py-3 rounded-lg bg-emerald-600 hover:bg-emerald-500 text-white font-semibold disabled:opacity-60 disabled:cursor-not-allowed"
+      >
+        Start innings
+      </button>
+    </div>
+  )
+}
+
+function ScoringPad({ match, teamPlayers, teamName, onDelivery, onUndo, onCloseInnings, busy }) {
+  const live = match.liveState
+  const [strikerId, setStrikerId] = useState(live.strikerId)
+  const [nonStrikerId, setNonStrikerId] = useState(live.nonStrikerId)
+  const [bowlerId, setBowlerId] = useState(live.currentBowler)
+  const [extraType, setExtraType] = useState(null)
+  const [wicketKind, setWicketKind] = useState(null)
+  const [outId, setOutId] = useState(null)
+  const [fielderId, setFielderId] = useState(null)
+
+  // Pick up strike rotation, new overs and undo from the engine after every ball
+  useEffect(() => {
+    setStrikerId(live.strikerId)
+    setNonStrikerId(live.nonStrikerId)
+    setBowlerId(live.currentBowler)
+    setExtraType(null)
+    setWicketKind(null)
+    setOutId(null)
+    setFielderId(null)
+  }, [live.ballSeq, live.innings, live.strikerId, live.nonStrikerId, live.currentBowler])
+
+  const batting = teamPlayers(live.battingTeamId)
+  const fielding = teamPlayers(live.bowlingTeamId)
+  const dismissed = (match.scorecards?.batsmen || []).filter((b) => b.innings === live.innings && b.out).map((b) => b.playerId)
+  const wicketKinds = useMemo(() => wicketKindsFor(extraType), [extraType])
+
+  // A wide or no ball rules some dismissals out; fall back to one that's still possible
+  useEffect(() => {
+    if (wicketKind && !wicketKinds.includes(wicketKind)) setWicketKind(wicketKinds[0])
+  }, [wicketKind, wicketKinds])
+
+  const record = (n) => {
+    const byeLike = extraType === 'wd' || extraType === 'b' || extraType === 'lb'
+    onDelivery({
+      strikerId,
+      nonStrikerId,
+      bowlerId,
+      runs: byeLike ? 0 : n,
+      extra: extraType ? { type: extraType, runs: byeLike ? n : 0 } : null,
+      wicket: wicketKind ? { kind: wicketKind, playerId: outId || strikerId, fielderId } : null,
+    })
+  }
+
+  return (
+    <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="text-slate-300 text-xs">{teamName(live.battingTeamId)} • Innings {live.innings + 1}</div>
+          <div className="text-white text-2xl font-bold">{live.runs}/{live.wickets} <span className="text-slate-400 text-base">({live.over}/{live.maxOvers})</span></div>
+          {live.target != null && (
+            <div className="text-amber-300 text-xs">Need {Math.max(live.target - live.runs, 0)} from {live.maxOvers * 6 - live.balls} balls</div>
+          )}
+        </div>
+        <button onClick={onUndo} disabled={busy || !live.ballSeq || isFinished(match)} className="flex items-center gap-1 text-xs px-3 py-2 rounded-lg border border-slate-600 text-slate-200 disabled:opacity-50">
+          <Undo2 size={14} /> Undo
+        </button>
+      </div>
+
+      <div className="flex gap-1">
+        {(live.thisOver || []).map((b, i) => (
+          <span key={i} className={`text-xs min-w-[2rem] text-center px-2 py-1 rounded-full ${b.wicket ? 'bg-red-500/30 text-red-200' : b.runs >= 4 ? 'bg-amber-500/20 text-amber-300' : 'bg-slate-700 text-slate-200'}`}>
+            {b.label}
+          </span>
+        ))}
+      </div>
+
+      {live.inningsComplete ? (
+        <div className="text-emerald-300 text-sm">Innings complete.</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 gap-2">
+            <PlayerSelect label="Striker" value={strikerId} onChange={setStrikerId} players={batting} exclude={[nonStrikerId, ...dismissed]} />
+            <PlayerSelect label="Non-striker" value={nonStrikerId} onChange={setNonStrikerId} players={batting} exclude={[strikerId, ...dismissed]} />
+            <PlayerSelect label={live.currentBowler ? 'Bowler' : 'Bowler (new over)'} value={bowlerId} onChange={setBowlerId} players={fielding} exclude={live.currentBowler ? [] : [live.lastBowlerId]} />
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            {EXTRA_TYPES.map((x) => (
+              <button
+                key={x.key}
+                onClick={() => setExtraType((t) => (t === x.key ? null : x.key))}
+                className={`text-xs px-3 py-1 rounded-full border ${extraType === x.key ? 'bg-amber-500/20 border-amber-400/40 text-amber-300' : 'border-slate-600 text-slate-300'}`}
+              >
+                {x.label}
+              </button>
+            ))}
+            <button
+              onClick={() => setWicketKind((k) => (k ? null : wicketKinds[0]))}
+              className={`text-xs px-3 py-1 rounded-full border ${wicketKind ? 'bg-red-500/20 border-red-400/40 text-red-200' : 'border-slate-600 text-slate-300'}`}
+            >
+              Wicket
+            </button>
+          </div>
+
+          {wicketKind && (
+            <div className="grid grid-cols-2 gap-2">
+              <label className="block">
+                <span className="text-slate-400 text-xs">How out</span>
+                <select value={wicketKind} onChange={(e) => setWicketKind(e.target.value)} className="mt-1 w-full rounded-lg bg-slate-900/60 border border-slate-700 text-white text-sm p-2">
+                  {wicketKinds.map((k) => (
+                    <option key={k} value={k}>{k}</option>
+                  ))}
+                </select>
+              </label>
+              <PlayerSelect
+                label="Batter out"
+                value={outId || strikerId}
+                onChange={setOutId}
+                players={batting.filter((p) => p.id === strikerId || p.id === nonStrikerId)}
+              />
+              {['caught', 'run out', 'stumped'].includes(wicketKind) && (
+                <PlayerSelect label="Fielder" value={fielderId} onChange={setFielderId} players={fielding} />
+              )}
+            </div>
+          )}
+
+          <div className="grid grid-cols-6 gap-2">
+            {RUN_BUTTONS.map((n) => (
+              <button
+                key={n}
+                onClick={() => record(n)}
+                disabled={busy}
+                className={`py-3 rounded-lg font-semibold disabled:opacity-60 ${n >= 4 ? 'bg-amber-500/20 text-amber-300 border border-amber-400/40' : 'bg-slate-900/60 text-white border border-slate-700'}`}
+              >
+                {n}
+              </button>
+            ))}
+          </div>
+          <div className="text-slate-400 text-xs">
+            Tap the runs to record the ball. With Wide, Bye or Leg bye selected the runs count as extras.
+          </div>
+          <button onClick={onCloseInnings} disabled={busy} className="text-xs text-slate-400 underline">
+            End innings early
+          </button>
+        </>
+      )}
+    </div>
+  )
+}
+
+function CompleteMatchForm({ players, onComplete, busy }) {
+  const [potm, setPotm] = useState(null)
+  return (
+    <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4 space-y-3">
+      <div className="text-white font-semibold">Record result</div>
+      <PlayerSelect label="Player of the match" value={potm} onChange={setPotm} players={players} />
+      <button
+        onClick={() => onComplete(potm)}
+        disabled={busy}
+        className="w-full py-3 rounded-lg bg-amber-500 hover:bg-amber-400 text-slate-900 font-semibold disabled:opacity-60 disabled:cursor-not-allowed"
+      >
+        Complete match
+      </button>
+    </div>
+  )
+}
+
+// Interruptions: cut the innings in play to fewer overs, or call the match off
+function RainForm({ match, onReviseOvers, onAbandon, busy }) {
+  const live = match.liveState
+  const inningsOpen = live?.innings != null && !live.inningsComplete
+  const canCut = inningsOpen && !isSuperOver(live.innings)
+  const [overs, setOvers] = useState('')
+  const par = currentPar(match)
+
+  return (
+    <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4 space-y-3">
+      <div className="text-white font-semibold">Rain & interruptions</div>
+      {canCut && (
+        <form
+          onSubmit={async (e) => {
+            e.preventDefault()
+            if (await onReviseOvers(overs)) setOvers('')
+          }}
+          className="flex items-end gap-2"
+        >
+          <label className="block w-full">
+            <span className="text-slate-400 text-xs">Reduce this innings to (overs, now {live.maxOvers})</span>
+            <input
+              type="number"
+              min={1}
+              max={live.maxOvers - 1}
+              value={overs}
+              onChange={(e) => setOvers(e.target.value)}
+              className="mt-1 w-full rounded-lg bg-slate-900/60 border border-slate-700 text-white text-sm p-2"
+            />
+          </label>
+          <button type="submit" disabled={busy || !overs} className="shrink-0 px-3 py-2 rounded-lg border border-slate-600 text-slate-200 text-sm disabled:opacity-60">
+            Reduce
+          </button>
+        </form>
+      )}
+      {live?.target != null && live.innings === 1 && <div className="text-slate-300 text-xs">Target: {live.target} from {live.maxOvers} overs</div>}
+      {par != null && <div className="text-slate-300 text-xs">Par score if play stops now: {par}</div>}
+      <button
+        onClick={onAbandon}
+        disabled={busy}
+        className="w-full py-2 rounded-lg border border-red-500/40 text-red-300 text-sm disabled:opacity-60"
+      >
+        Abandon match
+      </button>
+    </div>
+  )
+}
+
+function NoteForm({ onNote, busy }) {
+  const [text, setText] = useState('')
+  const submit = async (e) => {
+    e.preventDefault()
+    const note = text.trim()
+    if (note && (await onNote(note))) setText('')
+  }
+  return (
+    <form onSubmit={submit} className="flex gap-2">
+      <input
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        maxLength={280}
+        placeholder="Add a commentary note…"
+        className="w-full rounded-lg bg-slate-900/60 border border-slate-700 text-white text-sm p-2"
+      />
+      <button type="submit" disabled={busy || !text.trim()} className="shrink-0 px-3 rounded-lg border border-slate-600 text-slate-200 text-sm disabled:opacity-60">
+        Post
+      </button>
+    </form>
+  )
+}
+
+export default function ScorerConsole({ dbRefs, user }) {
+  const allMatches = useMatches()
+  const [matchId, setMatchId] = useState(null)
+  const match = useMatch(matchId)
+  const players = usePlayersByTeam([match?.info?.teams?.a, match?.info?.teams?.b])
+  const teamName = useTeamName()
+  const [busy, setBusy] = useState(false)
+
+  const matches = useMemo(() => allMatches.filter((m) => !isFinished(m)), [allMatches])
+  const names = useMemo(() => Object.fromEntries(players.map((p) => [p.id, p.name])), [players])
+  const teamPlayers = (teamId) => players.filter((p) => p.teamId === teamId)
+
+  // Every write re-reads the match inside a transaction so two scorers can't clobber each other
+  const mutate = async (fn) => {
+    if (!dbRefs || !matchId) return
+    setBusy(true)
+    try {
+      const matchRef = doc(dbRefs.col('matches'), matchId)
+      await runTransaction(matchRef.firestore, async (tx) => {
+        const snap = await tx.get(matchRef)
+        if (!snap.exists()) throw new Error('Match not found.')
+        await fn(tx, matchRef, snap.data())
+      })
+      return true
+    } catch (e) {
+      console.error(e)
+      alert(e.message || 'Failed to update match.')
+      return false
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  // Fantasy totals are refreshed at the end of each over rather than on every ball
+  const refreshFantasy = () =>
+    syncFantasyScores(dbRefs, matchId).catch((e) => console.error('Fantasy scoring failed:', e))
+
+  const onStart = async (opts) => {
+    const ok = await mutate((tx, matchRef, current) => {
+      tx.update(matchRef, { ...startInnings(current, opts), updatedAt: serverTimestamp() })
+    })
+    // Going live locks the match's fantasy contests
+    if (ok) syncContestStatus(dbRefs, matchId).catch((e) => console.error('Contest lock failed:', e))
+  }
+
+  const onDelivery = async (delivery) => {
+    let next
+    const ok = await mutate((tx, matchRef, current) => {
+      const { commentary, ...fields } = applyDelivery(current, delivery, names)
+      next = fields
+      const seq = next.liveState.ballSeq
+      tx.set(doc(collection(matchRef, 'deliveries'), deliveryId(seq)), {
+        seq,
+        innings: next.liveState.innings,
+        delivery,
+        // info too, so undoing past a rain interruption takes its revised overs and target back out
+        before: { status: current.status, info: current.info ?? null, liveState: current.liveState ?? null, scorecards: current.scorecards ?? null },
+        scorerUid: user?.uid || null,
+        createdAt: serverTimestamp(),
+      })
+      for (const [id, data] of commentary.map(commentaryDoc)) tx.set(doc(commentaryCol(dbRefs, matchId), id), data)
+      tx.update(matchRef, { ...next, updatedAt: serverTimestamp() })
+    })
+    if (ok && (next.liveState.thisOver.length === 0 || next.liveState.inningsComplete)) refreshFantasy()
+  }
+
+  const onUndo = async () => {
+    const ok = await mutate(async (tx, matchRef, current) => {
+      const seq = current.liveState?.ballSeq
+      if (!seq) throw new Error('Nothing to undo.')
+      // A result has already fed standings and fantasy points; winding it back would leave them stale
+      if (current.status !== 'live') throw new Error('Only balls in a live match can be undone.')
+      const deliveryRef = doc(collection(matchRef, 'deliveries'), deliveryId(seq))
+      const last = await tx.get(deliveryRef)
+      if (!last.exists()) throw new Error('The last ball was not recorded from this console and cannot be undone.')
+      const { before } = last.data()
+      tx.update(matchRef, { ...before, updatedAt: serverTimestamp() })
+      tx.delete(deliveryRef)
+      for (const id of deliveryCommentaryIds(seq)) tx.delete(doc(commentaryCol(dbRefs, matchId), id))
+    })
+    if (ok) refreshFantasy()
+  }
+
+  const onNote = (text) =>
+    mutate((tx, matchRef, current) => {
+      const [id, data] = noteDoc(current, text, user?.uid || null)
+      tx.set(doc(commentaryCol(dbRefs, matchId), id), data)
+    })
+
+  const onCloseInnings = async () => {
+    if (!confirm('End this innings now?')) return
+    const ok = await mutate((tx, matchRef, current) => {
+      tx.update(matchRef, { ...closeInnings(current), updatedAt: serverTimestamp() })
+    })
+    if (ok) refreshFantasy()
+  }
+
+  // Standings, playoffs and contests follow a result or an abandonment alike
+  const afterResult = async () => {
+    try {
+      await onMatchCompleted(dbRefs, matchId)
+    } catch (e) {
+      console.error(e)
+      alert(`Result saved, but some follow-up updates failed. ${e.message}`)
+    }
+  }
+
+  const onComplete = async (playerOfTheMatchId) => {
+    const ok = await mutate((tx, matchRef, current) => {
+      tx.update(matchRef, { ...completeMatch(current, { playerOfTheMatchId, names }), updatedAt: serverTimestamp() })
+    })
+    if (ok) await afterResult()
+  }
+
+  const onReviseOvers = async (overs) => {
+    const ok = await mutate((tx, matchRef, current) => {
+      tx.update(matchRef, { ...reviseOvers(current, overs), updatedAt: serverTimestamp() })
+    })
+    if (ok && match?.liveState?.innings === 1) refreshFantasy()
+    return ok
+  }
+
+  const onAbandon = async () => {
+    if (!confirm('Abandon this match? A chase that has gone far enough is decided on the par score.')) return
+    const ok = await mutate((tx, matchRef, current) => {
+      tx.update(matchRef, { ...abandonMatch(current), updatedAt: serverTimestamp() })
+    })
+    if (ok) await afterResult()
+  }
+
+  const inningsPlayed = match?.scorecards?.innings?.length || 0
+  const live = match?.liveState
+  const finished = isFinished(match)
+
+  return (
+    <div className="p-4 pb-24 space-y-4">
+      <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4">
+        <div className="text-white font-semibold">Scorer Console</div>
+        <select
+          value={matchId || ''}
+          onChange={(e) => setMatchId(e.target.value || null)}
+          className="mt-3 w-full rounded-lg bg-slate-900/60 border border-slate-700 text-white text-sm p-2"
+        >
+          <option value="">Select a match…</option>
+          {matches.map((m) => (
+            <option key={m.id} value={m.id}>
+              {teamName(m.info?.teams?.a)} vs {teamName(m.info?.teams?.b)} • {m.status}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {matchId && !match && (
+        <div className="flex items-center gap-2 text-slate-300 text-sm">
+          <Loader2 className="animate-spin" size={16} /> Loading match...
+        </div>
+      )}
+
+      {match && canStartInnings(match) && (
+        <StartInningsForm key={inningsPlayed} match={match} teamPlayers={teamPlayers} teamName={teamName} onStart={onStart} busy={busy} />
+      )}
+
+      {match && live?.innings != null && (
+        <ScoringPad match={match} teamPlayers={teamPlayers} teamName={teamName} onDelivery={onDelivery} onUndo={onUndo} onCloseInnings={onCloseInnings} busy={busy} />
+      )}
+
+      {match && inningsPlayed >= 2 && inningsPlayed % 2 === 0 && live?.inningsComplete && !finished && (
+        <CompleteMatchForm players={players} onComplete={onComplete} busy={busy} />
+      )}
+
+      {match && !finished && <RainForm key={live?.innings ?? -1} match={match} onReviseOvers={onReviseOvers} onAbandon={onAbandon} busy={busy} />}
+
+      {match && match.status !== 'upcoming' && (
+        <>
+          <NoteForm onNote={onNote} busy={busy} />
+          <CommentaryFeed dbRefs={dbRefs} matchId={matchId} pageSize={12} />
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,121 @@
+import React, { useMemo } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { formatNRR } from '../lib/standings'
+import { runRates, winProbability } from '../lib/matchCharts'
+import { isFinished } from '../lib/matchEngine'
+import { useMatches, useMetaDoc, useTeamName } from '../lib/leagueData'
+import PlayoffBracket from './PlayoffBracket'
+
+const STATUS_ORDER = { live: 0, upcoming: 1, completed: 2, abandoned: 2 }
+
+// One line of live odds and rates under a live score; the full charts are on the match page
+function LiveOdds({ match, teamName }) {
+  const odds = winProbability(match)
+  const rates = runRates(match)
+  if (!odds || !rates) return null
+  const pct = (p) => `${Math.round(p * 100)}%`
+  return (
+    <div className="mt-1 text-slate-400 text-xs">
+      CRR {rates.current.toFixed(2)}
+      {rates.required != null && ` • RRR ${rates.required.toFixed(2)}`} •{' '}
+      {Object.entries(odds)
+        .map(([teamId, p]) => `${teamName(teamId)} ${pct(p)}`)
+        .join(' / ')}
+    </div>
+  )
+}
+
+export default function ScoresView() {
+  const allMatches = useMatches()
+  const points = useMetaDoc('points_table')?.entries || []
+  const teamName = useTeamName()
+  const navigate = useNavigate()
+  const openMatch = (id) => navigate(`/match/${id}`)
+
+  // Show live first, then upcoming, then completed
+  const matches = useMemo(
+    () => [...allMatches].sort((a, b) => (STATUS_ORDER[a.status] ?? 3) - (STATUS_ORDER[b.status] ?? 3)),
+    [allMatches],
+  )
+
+  return (
+    <div className="p-4 space-y-6">
+      <div>
+        <h2 className="text-lg font-semibold text-white">Match Center</h2>
+        <div className="mt-3 grid gap-3">
+          {matches.map((m) => (
+            <div
+              key={m.id}
+              role="button"
+              tabIndex={0}
+              onClick={() => openMatch(m.id)}
+              onKeyDown={(e) => e.key === 'Enter' && openMatch(m.id)}
+              className="rounded-xl bg-slate-800/60 border border-slate-700 p-4 cursor-pointer hover:border-slate-500 transition"
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-slate-300 text-sm">{new Date(m?.info?.date).toLocaleString()}</span>
+                <span className={`text-xs px-2 py-1 rounded-full ${isFinished(m) ? 'bg-slate-700 text-slate-300' : m.status === 'upcoming' ? 'bg-emerald-500/20 text-emerald-300' : 'bg-amber-500/20 text-amber-300'}`}>{m.status.toUpperCase()}</span>
+              </div>
+              <div className="mt-2 text-white font-medium">
+                {teamName(m?.info?.teams?.a)} vs {teamName(m?.info?.teams?.b)}
+              </div>
+              {m.liveState && (
+                <div className="mt-3 text-amber-300 text-sm">
+                  Live: {m.liveState.runs}/{m.liveState.wickets} in {m.liveState.over} overs
+                </div>
+              )}
+              {m.status === 'live' && <LiveOdds match={m} teamName={teamName} />}
+              {m.summary && (
+                <div className="mt-2 text-slate-300 text-sm">
+                  {m.summary.winner ? `Winner: ${teamName(m.summary.winner)} • ${m.summary.margin}` : m.summary.margin}
+                </div>
+              )}
+              {m.status === 'live' && m.liveState?.thisOver?.length > 0 && (
+                <div className="mt-2 flex gap-1">
+                  {m.liveState.thisOver.map((ball, idx) => (
+                    <span key={idx} className={`text-[11px] min-w-[1.75rem] text-center px-1.5 py-0.5 rounded-full ${ball.wicket ? 'bg-red-500/30 text-red-200' : ball.runs >= 4 ? 'bg-amber-500/20 text-amber-300' : 'bg-slate-700 text-slate-200'}`}>
+                      {ball.label}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <PlayoffBracket onOpenMatch={openMatch} />
+
+      <div className="pb-20">
+        <h2 className="text-lg font-semibold text-white">Points Table</h2>
+        <div className="mt-3 grid gap-2">
+          {points.map((p, idx) => (
+            <div key={p.teamId} className="rounded-xl bg-slate-800/60 border border-slate-700 p-3 text-sm">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center gap-3">
+                  <span className="text-slate-400">{idx + 1}</span>
+                  <span className="text-white font-medium">{teamName(p.teamId)}</span>
+                </div>
+                <div className="text-slate-300">
+                  P:{p.P} • W:{p.W} • L:{p.L}{p.T ? ` • T:${p.T}` : ''} • NR:{p.NR} • Pts:{p.Pts} • NRR:{formatNRR(p.NRR)}
+                </div>
+              </div>
+              {Array.isArray(p.form) && p.form.length > 0 && (
+                <div className="mt-2 flex justify-end gap-1">
+                  {p.form.map((f, i) => (
+                    <span
+                      key={i}
+                      className={`text-[10px] w-6 text-center py-0.5 rounded ${f === 'W' ? 'bg-emerald-500/20 text-emerald-300' : f === 'L' ? 'bg-red-500/20 text-red-300' : 'bg-slate-700 text-slate-300'}`}
+                    >
+                      {f}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
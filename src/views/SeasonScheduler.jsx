@@ -0,0 +1,156 @@
+import React, { useMemo, useState } from 'react'
+import { CalendarDays, Trophy } from 'lucide-react'
+import { DEFAULT_SCHEDULE, playoffFixtures, PLAYOFF_STAGES, scheduleSeason } from '../lib/schedule'
+import { saveFixtures } from '../lib/leagueSync'
+import { useCollection, useMetaDoc, useTeamName, useTeams } from '../lib/leagueData'
+
+const card = 'rounded-xl bg-slate-800/60 border border-slate-700 p-4'
+const inputClass = 'w-full rounded-lg bg-slate-900/60 border border-slate-700 text-white text-sm p-2'
+
+// Comma- or newline-separated text to a clean list
+const splitList = (text) => text.split(/[,\n]/).map((s) => s.trim()).filter(Boolean)
+
+const stageLabel = (stage) => PLAYOFF_STAGES.find((s) => s.stage === stage)?.label || 'League'
+
+function Field({ label, children }) {
+  return (
+    <label className="block">
+      <span className="text-slate-400 text-xs">{label}</span>
+      <div className="mt-1">{children}</div>
+    </label>
+  )
+}
+
+function FixtureList({ fixtures }) {
+  const teamName = useTeamName()
+  return (
+    <div className="mt-3 max-h-64 overflow-y-auto space-y-1 text-xs">
+      {fixtures.map((f) => (
+        <div key={f.id} className="flex items-center justify-between gap-2 rounded-lg bg-slate-900/40 px-3 py-2">
+          <span className="text-slate-400 shrink-0">{new Date(f.date).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}</span>
+          <span className="text-white truncate">
+            {f.teams ? `${teamName(f.teams.a)} vs ${teamName(f.teams.b)}` : `${stageLabel(f.stage)} • TBD`}
+          </span>
+          <span className="text-slate-500 shrink-0">{f.round ? `R${f.round}` : stageLabel(f.stage)}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default function SeasonScheduler({ dbRefs }) {
+  const teams = useTeams()
+  const fixtures = useCollection('fixtures').list
+  const pointsTable = useMetaDoc('points_table')?.entries || []
+  const season = useMetaDoc('season')
+  const [form, setForm] = useState({ ...DEFAULT_SCHEDULE, startDate: '', venues: '', blackoutDates: '' })
+  const [playoffStart, setPlayoffStart] = useState('')
+  const [busy, setBusy] = useState(false)
+  const set = (key) => (e) => setForm((f) => ({ ...f, [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }))
+
+  const venues = splitList(form.venues)
+  const { preview, error } = useMemo(() => {
+    if (!form.startDate) return { preview: [], error: null }
+    try {
+      const options = { ...form, venues: splitList(form.venues), blackoutDates: splitList(form.blackoutDates) }
+      return { preview: scheduleSeason(teams.map((t) => t.id), options), error: null }
+    } catch (e) {
+      return { preview: [], error: e.message }
+    }
+  }, [form, teams])
+
+  const save = async (list, message, { replaceLeague = false } = {}) => {
+    if (!dbRefs || !list.length) return
+    setBusy(true)
+    try {
+      const removed = await saveFixtures(dbRefs, list, { overs: season?.overs, replaceLeague })
+      alert(removed ? `${message} Removed ${removed} old fixture${removed === 1 ? '' : 's'}.` : message)
+    } catch (e) {
+      console.error(e)
+      alert('Saving fixtures failed.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const generatePlayoffs = () => {
+    try {
+      const list = playoffFixtures(pointsTable, { startDate: playoffStart, startTime: form.startTime, venues })
+      save(list, 'Playoffs scheduled. Later stages fill in as results come in.')
+    } catch (e) {
+      alert(e.message)
+    }
+  }
+
+  const scheduledPlayoffs = fixtures.filter((f) => f.stage && f.stage !== 'league').sort((a, b) => new Date(a.date) - new Date(b.date))
+
+  return (
+    <div className={card}>
+      <div className="flex items-center gap-2 text-white font-semibold">
+        <CalendarDays size={16} /> Season schedule
+      </div>
+      <div className="text-slate-400 text-xs mt-1">
+        Round-robin for all {teams.length} teams. Saving replaces unstarted league fixtures; matches that have already started are never overwritten.
+      </div>
+
+      <div className="mt-3 grid grid-cols-2 gap-3">
+        <Field label="Start date">
+          <input type="date" value={form.startDate} onChange={set('startDate')} className={inputClass} />
+        </Field>
+        <Field label="Start time">
+          <input type="time" value={form.startTime} onChange={set('startTime')} className={inputClass} />
+        </Field>
+        <Field label="Matches per day">
+          <input type="number" min={1} max={3} value={form.matchesPerDay} onChange={set('matchesPerDay')} className={inputClass} />
+        </Field>
+        <Field label="Rest days between games">
+          <input type="number" min={0} value={form.minRestDays} onChange={set('minRestDays')} className={inputClass} />
+        </Field>
+      </div>
+      <div className="mt-3 space-y-3">
+        <Field label="Venues (rotated, comma separated)">
+          <input value={form.venues} onChange={set('venues')} placeholder="Main Ground, Riverside Oval" className={inputClass} />
+        </Field>
+        <Field label="Blackout dates (YYYY-MM-DD, comma separated)">
+          <input value={form.blackoutDates} onChange={set('blackoutDates')} placeholder="2025-04-14, 2025-04-18" className={inputClass} />
+        </Field>
+        <label className="flex items-center gap-2 text-slate-300 text-sm">
+          <input type="checkbox" checked={form.double} onChange={set('double')} /> Double round-robin (home and away)
+        </label>
+      </div>
+
+      {error && <div className="mt-3 text-red-300 text-xs">{error}</div>}
+      {preview.length > 0 && (
+        <>
+          <div className="mt-3 text-slate-300 text-xs">
+            {preview.length} matches, {preview[0].date.slice(0, 10)} to {preview[preview.length - 1].date.slice(0, 10)}
+          </div>
+          <FixtureList fixtures={preview} />
+          <button
+            onClick={() => save(preview, `Saved ${preview.length} fixtures.`, { replaceLeague: true })}
+            disabled={busy}
+            className="mt-3 w-full py-2 rounded-lg bg-emerald-600 hover:bg-emerald-500 text-white text-sm font-semibold disabled:opacity-60"
+          >
+            {busy ? 'Saving...' : 'Save schedule'}
+          </button>
+        </>
+      )}
+
+      <div className="mt-5 flex items-center gap-2 text-white font-semibold">
+        <Trophy size={16} /> Playoffs
+      </div>
+      <div className="text-slate-400 text-xs mt-1">Seeded from the current points table: 1 v 2 in Qualifier 1, 3 v 4 in the Eliminator.</div>
+      <div className="mt-3 flex gap-2">
+        <input type="date" value={playoffStart} onChange={(e) => setPlayoffStart(e.target.value)} className={inputClass} />
+        <button
+          onClick={generatePlayoffs}
+          disabled={busy || !playoffStart}
+          className="shrink-0 px-4 rounded-lg border border-amber-400/40 text-amber-300 text-sm disabled:opacity-60"
+        >
+          Generate
+        </button>
+      </div>
+      {scheduledPlayoffs.length > 0 && <FixtureList fixtures={scheduledPlayoffs} />}
+    </div>
+  )
+}
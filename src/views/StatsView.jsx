@@ -0,0 +1,64 @@
+import React, { useState } from 'react'
+import { useCollection, useMetaDoc } from '../lib/leagueData'
+
+// Each board: which list in meta/leaderboards, its headline value and a secondary line
+const BOARDS = [
+  { key: 'topRuns', title: 'Orange Cap', subtitle: 'Most runs', value: (r) => r.runs, detail: (r) => `${r.innings} inn • SR ${r.sr}` },
+  { key: 'topWickets', title: 'Purple Cap', subtitle: 'Most wickets', value: (r) => r.wickets, detail: (r) => `Econ ${r.economy ?? '—'}` },
+  { key: 'mostSixes', title: 'Most sixes', value: (r) => r.sixes },
+  { key: 'mostFours', title: 'Most fours', value: (r) => r.fours },
+  { key: 'bestFigures', title: 'Best figures', value: (r) => r.best },
+  { key: 'highestScores', title: 'Highest score', value: (r) => `${r.runs}${r.notOut ? '*' : ''}`, detail: (r) => `${r.balls} balls` },
+  { key: 'bestStrikeRate', title: 'Best strike rate', value: (r) => r.sr, detail: (r) => `${r.runs} off ${r.balls}` },
+]
+
+export default function StatsView() {
+  const boards = useMetaDoc('leaderboards')
+  const { byId } = useCollection('players')
+  const [active, setActive] = useState(BOARDS[0].key)
+
+  const board = BOARDS.find((b) => b.key === active)
+  const rows = boards?.[active] || []
+
+  return (
+    <div className="p-4 pb-24 space-y-3">
+      <div className="flex gap-2 overflow-x-auto pb-1">
+        {BOARDS.map((b) => (
+          <button
+            key={b.key}
+            onClick={() => setActive(b.key)}
+            className={`shrink-0 text-xs px-3 py-1.5 rounded-full border ${active === b.key ? 'bg-amber-500/10 border-amber-400/40 text-amber-300' : 'border-slate-700 text-slate-300'}`}
+          >
+            {b.title}
+          </button>
+        ))}
+      </div>
+
+      <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4">
+        <div className="text-white font-semibold">{board.title}</div>
+        {board.subtitle && <div className="text-slate-400 text-xs">{board.subtitle}</div>}
+        {active === 'bestStrikeRate' && boards?.minBalls != null && (
+          <div className="text-slate-400 text-xs">Minimum {boards.minBalls} balls faced</div>
+        )}
+
+        <div className="mt-3 grid gap-2">
+          {rows.length === 0 && <div className="text-slate-400 text-sm">No completed matches yet.</div>}
+          {rows.map((r, i) => {
+            const p = byId[r.playerId]
+            return (
+              <div key={`${r.playerId}-${r.matchId || i}`} className={`rounded-lg p-2 flex items-center gap-3 ${i === 0 ? 'bg-amber-500/10 border border-amber-400/30' : 'bg-slate-900/40 border border-slate-700'}`}>
+                <span className="text-slate-400 text-sm w-5 text-right">{i + 1}</span>
+                <img src={p?.photoUrl} alt={p?.name || r.playerId} className="w-8 h-8 rounded bg-slate-900" />
+                <div className="flex-1 min-w-0">
+                  <div className="text-white text-sm truncate">{p?.name || r.playerId}</div>
+                  {board.detail && <div className="text-slate-400 text-[11px]">{board.detail(r)}</div>}
+                </div>
+                <div className="text-amber-400 font-semibold">{board.value(r)}</div>
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+}
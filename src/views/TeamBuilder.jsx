@@ -0,0 +1,182 @@
+import React, { useMemo, useState } from 'react'
+import { Search } from 'lucide-react'
+import { SQUAD_RULES, addBlocker, assignCredits, getRules, validateSquad } from '../lib/fantasy'
+import { PLAYER_ROLES } from '../lib/playerStats'
+import { useMatches, usePlayersByTeam, useTeamName } from '../lib/leagueData'
+
+const SORTS = {
+  credits: { label: 'Credits', compare: (a, b, credits) => (credits[b.id] || 0) - (credits[a.id] || 0) },
+  runs: { label: 'Runs', compare: (a, b) => (b.batting?.runs || 0) - (a.batting?.runs || 0) },
+  wickets: { label: 'Wickets', compare: (a, b) => (b.bowling?.wickets || 0) - (a.bowling?.wickets || 0) },
+  name: { label: 'Name', compare: (a, b) => String(a.name).localeCompare(String(b.name)) },
+}
+
+const selectClass = 'rounded-lg bg-slate-900/60 border border-slate-700 text-white text-xs p-2'
+
+/**
+ * XI picker for one contest. The pool is the squads of the two sides in the
+ * contest's match; `initial` pre-fills an existing saved team.
+ */
+export default function TeamBuilder({ contest, match, initial, onSave, saving, saveLabel = 'Save team', disabled = false }) {
+  const teamName = useTeamName()
+  const matches = useMatches()
+  const { a, b } = match?.info?.teams || {}
+  const pool = usePlayersByTeam([a, b])
+  const scoring = getRules(contest?.rulesVersion)
+  const rules = SQUAD_RULES
+
+  const [selectedIds, setSelectedIds] = useState(initial?.players || [])
+  const [captainId, setCaptainId] = useState(initial?.captainId || null)
+  const [viceCaptainId, setViceCaptainId] = useState(initial?.viceCaptainId || null)
+  const [search, setSearch] = useState('')
+  const [teamFilter, setTeamFilter] = useState('')
+  const [roleFilter, setRoleFilter] = useState('')
+  const [sortKey, setSortKey] = useState('credits')
+
+  const credits = useMemo(() => assignCredits(pool, matches, scoring), [pool, matches, scoring])
+  const selected = useMemo(() => selectedIds.map((id) => pool.find((p) => p.id === id)).filter(Boolean), [selectedIds, pool])
+  const spent = selected.reduce((sum, p) => sum + (credits[p.id] || 0), 0)
+  const errors = validateSquad(selected, { captainId, viceCaptainId }, credits, scoring, rules)
+
+  const visible = useMemo(() => {
+    const text = search.trim().toLowerCase()
+    return pool
+      .filter((p) => (!teamFilter || p.teamId === teamFilter) && (!roleFilter || p.role === roleFilter) && (!text || p.name?.toLowerCase().includes(text)))
+      .sort((x, y) => SORTS[sortKey].compare(x, y, credits))
+  }, [pool, search, teamFilter, roleFilter, sortKey, credits])
+
+  const toggle = (p) => {
+    if (disabled) return
+    if (selectedIds.includes(p.id)) {
+      setSelectedIds((ids) => ids.filter((id) => id !== p.id))
+      if (captainId === p.id) setCaptainId(null)
+      if (viceCaptainId === p.id) setViceCaptainId(null)
+    } else if (!addBlocker(selected, p, credits, rules)) {
+      setSelectedIds((ids) => [...ids, p.id])
+    }
+  }
+
+  const setRole = (id, role) => {
+    if (disabled) return
+    if (role === 'C') {
+      setCaptainId(id)
+      if (viceCaptainId === id) setViceCaptainId(null)
+    } else {
+      setViceCaptainId(id)
+      if (captainId === id) setCaptainId(null)
+    }
+  }
+
+  const byRole = selected.reduce((acc, p) => ({ ...acc, [p.role]: (acc[p.role] || 0) + 1 }), {})
+  const bySide = selected.reduce((acc, p) => ({ ...acc, [p.teamId]: (acc[p.teamId] || 0) + 1 }), {})
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between text-sm">
+        <div className="text-slate-300">
+          {selected.length}/{rules.size} • {spent}/{rules.budget} cr
+        </div>
+        <div className="text-slate-400 text-xs">
+          {teamName(a)} {bySide[a] || 0} • {teamName(b)} {bySide[b] || 0} (max {rules.maxFromOneTeam})
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-2 text-[11px]">
+        {Object.entries(rules.roles).map(([role, r]) => {
+          const n = byRole[role] || 0
+          return (
+            <span key={role} className={`px-2 py-0.5 rounded-full border ${n >= r.min && n <= r.max ? 'border-emerald-500/40 text-emerald-300' : 'border-slate-600 text-slate-300'}`}>
+              {role} {n} ({r.min}–{r.max})
+            </span>
+          )
+        })}
+      </div>
+
+      {selected.length > 0 && (
+        <div className="rounded-lg bg-slate-900/40 border border-slate-700 p-2 space-y-1">
+          {selected.map((p) => (
+            <div key={p.id} className="flex items-center justify-between text-xs">
+              <span className="text-white truncate">
+                {p.name} <span className="text-slate-400">• {credits[p.id]} cr</span>
+              </span>
+              {scoring.captain && (
+                <span className="flex gap-1">
+                  {['C', 'VC'].map((r) => {
+                    const active = r === 'C' ? captainId === p.id : viceCaptainId === p.id
+                    return (
+                      <button
+                        key={r}
+                        onClick={() => setRole(p.id, r)}
+                        className={`w-8 py-0.5 rounded-full border ${active ? 'bg-amber-500 border-amber-400 text-slate-900 font-semibold' : 'border-slate-600 text-slate-300'}`}
+                      >
+                        {r}
+                      </button>
+                    )
+                  })}
+                </span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center gap-2 rounded-lg bg-slate-900/60 border border-slate-700 px-2">
+        <Search size={14} className="text-slate-400" />
+        <input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search pool" className="w-full bg-transparent text-white text-sm py-2 outline-none" />
+      </div>
+      <div className="grid grid-cols-3 gap-2">
+        <select value={teamFilter} onChange={(e) => setTeamFilter(e.target.value)} className={selectClass}>
+          <option value="">Both sides</option>
+          {[a, b].filter(Boolean).map((id) => (
+            <option key={id} value={id}>{teamName(id)}</option>
+          ))}
+        </select>
+        <select value={roleFilter} onChange={(e) => setRoleFilter(e.target.value)} className={selectClass}>
+          <option value="">All roles</option>
+          {PLAYER_ROLES.map((r) => (
+            <option key={r} value={r}>{r}</option>
+          ))}
+        </select>
+        <select value={sortKey} onChange={(e) => setSortKey(e.target.value)} className={selectClass}>
+          {Object.entries(SORTS).map(([key, s]) => (
+            <option key={key} value={key}>Sort: {s.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        {visible.map((p) => {
+          const isSelected = selectedIds.includes(p.id)
+          const blocker = isSelected ? null : addBlocker(selected, p, credits, rules)
+          return (
+            <button
+              key={p.id}
+              onClick={() => toggle(p)}
+              title={blocker || undefined}
+              className={`text-left rounded-lg border p-3 transition ${
+                isSelected ? 'bg-emerald-500/20 border-emerald-500/40' : !blocker ? 'bg-slate-900/40 border-slate-700 hover:border-slate-500' : 'bg-slate-900/20 border-slate-800 opacity-60'
+              }`}
+            >
+              <div className="text-white text-sm font-medium truncate">{p.name}</div>
+              <div className="text-slate-300 text-xs truncate">
+                {p.role} • cr {credits[p.id]}
+              </div>
+              <div className="text-slate-400 text-[11px] truncate">{blocker && !isSelected ? blocker : teamName(p.teamId)}</div>
+            </button>
+          )
+        })}
+      </div>
+      {pool.length === 0 && <div className="text-slate-400 text-sm">Squads for this match haven't been announced yet.</div>}
+
+      {selected.length > 0 && errors.length > 0 && <div className="text-amber-300 text-xs">{errors[0]}</div>}
+      {!disabled && (
+        <button
+          onClick={() => onSave({ players: selectedIds, captainId, viceCaptainId, budgetUsed: spent, credits: Object.fromEntries(selectedIds.map((id) => [id, credits[id]])) })}
+          disabled={saving || errors.length > 0}
+          className="w-full py-3 rounded-lg bg-emerald-600 hover:bg-emerald-500 text-white font-semibold disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : saveLabel}
+        </button>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,182 @@
+import React, { useMemo } from 'react'
+import { ArrowLeft } from 'lucide-react'
+import { useParams } from 'react-router-dom'
+import { isFinished } from '../lib/matchEngine'
+import { PLAYER_ROLES, computeLeaderboards } from '../lib/playerStats'
+import { formatNRR, matchResult } from '../lib/standings'
+import { useCollection, useMatches, useMetaDoc, usePlayersByTeam, useTeam, useTeamName } from '../lib/leagueData'
+import { useBack } from '../lib/navigation'
+import FollowButton from './FollowButton'
+
+export default function TeamDetail() {
+  const { teamId } = useParams()
+  const onBack = useBack('/teams')
+  const team = useTeam(teamId)
+  const teamName = useTeamName()
+  const squad = usePlayersByTeam(teamId)
+  const allMatches = useMatches()
+  const allFixtures = useCollection('fixtures').list
+  const points = useMetaDoc('points_table')?.entries || []
+
+  const involves = (teams) => teams?.a === teamId || teams?.b === teamId
+  const matches = useMemo(() => allMatches.filter((m) => involves(m.info?.teams)), [allMatches, teamId])
+  const fixtures = useMemo(() => allFixtures.filter((f) => involves(f.teams)), [allFixtures, teamId])
+  const primary = team?.colors?.primary || '#F59E0B'
+  const secondary = team?.colors?.secondary || '#10B981'
+
+  // Fixtures without a match document yet still show as upcoming
+  const schedule = useMemo(() => {
+    const byId = Object.fromEntries(fixtures.map((f) => [f.id, { id: f.id, date: f.date, teams: f.teams, venue: f.venue, status: f.status }]))
+    for (const m of matches) byId[m.id] = { id: m.id, date: m.info?.date, teams: m.info?.teams, venue: m.info?.venue, status: m.status, summary: m.summary }
+    return Object.values(byId).sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0))
+  }, [fixtures, matches])
+  const upcoming = schedule.filter((m) => !isFinished(m))
+  const results = schedule.filter(isFinished).reverse()
+
+  const position = points.findIndex((p) => p.teamId === teamId)
+  const standing = points[position]
+
+  const performers = useMemo(() => {
+    const ids = new Set(squad.map((p) => p.id))
+    const boards = computeLeaderboards(matches, { size: Infinity })
+    return {
+      runs: boards.topRuns.filter((r) => ids.has(r.playerId)).slice(0, 3),
+      wickets: boards.topWickets.filter((r) => ids.has(r.playerId)).slice(0, 3),
+    }
+  }, [matches, squad])
+  const playerName = (id) => squad.find((p) => p.id === id)?.name || id
+
+  if (!team) {
+    return (
+      <div className="p-4">
+        <button onClick={onBack} className="flex items-center gap-1 text-slate-300 text-sm">
+          <ArrowLeft size={16} /> Teams
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="pb-24">
+      <div className="p-4" style={{ background: `linear-gradient(135deg, ${primary}33, ${secondary}22)` }}>
+        <button onClick={onBack} className="flex items-center gap-1 text-slate-200 text-sm">
+          <ArrowLeft size={16} /> Teams
+        </button>
+        <div className="mt-4 flex items-center gap-4">
+          <img src={team.logoUrl} alt={team.name} className="w-16 h-16 rounded-xl border-2" style={{ borderColor: primary }} />
+          <div className="min-w-0">
+            <div className="text-white text-xl font-bold">{team.name}</div>
+            <div className="text-slate-200 text-sm">{team.slogan}</div>
+          </div>
+          <div className="ml-auto">
+            <FollowButton kind="teams" id={teamId} />
+          </div>
+        </div>
+        {standing && (
+          <div className="mt-4 flex items-center gap-3 text-sm">
+            <span className="px-2 py-1 rounded-lg font-semibold text-slate-900" style={{ backgroundColor: primary }}>#{position + 1}</span>
+            <span className="text-slate-200">
+              {standing.Pts} pts • W{standing.W} L{standing.L} • NRR {formatNRR(standing.NRR)}
+            </span>
+          </div>
+        )}
+      </div>
+
+      <div className="p-4 space-y-4">
+        <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4">
+          <div className="text-white font-semibold mb-3">Squad</div>
+          {squad.length === 0 && <div className="text-slate-400 text-sm">No players registered.</div>}
+          <div className="space-y-3">
+            {PLAYER_ROLES.map((role) => {
+              const group = squad.filter((p) => p.role === role)
+              if (group.length === 0) return null
+              return (
+                <div key={role}>
+                  <div className="text-xs mb-1" style={{ color: secondary }}>{role}s</div>
+                  <div className="grid grid-cols-2 gap-2">
+                    {group.map((p) => (
+                      <div key={p.id} className="flex items-center gap-2 rounded-lg bg-slate-900/40 border border-slate-700 p-2">
+                        <img src={p.photoUrl} alt={p.name} className="w-8 h-8 rounded bg-slate-900" />
+                        <span className="text-white text-sm truncate">{p.name}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+
+        {(performers.runs.length > 0 || performers.wickets.length > 0) && (
+          <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4">
+            <div className="text-white font-semibold mb-3">Top performers</div>
+            <div className="grid grid-cols-2 gap-4 text-sm">
+              <div>
+                <div className="text-xs mb-1" style={{ color: primary }}>Runs</div>
+                {performers.runs.map((r) => (
+                  <div key={r.playerId} className="flex justify-between text-slate-300">
+                    <span className="truncate">{playerName(r.playerId)}</span>
+                    <span className="text-white">{r.runs}</span>
+                  </div>
+                ))}
+              </div>
+              <div>
+                <div className="text-xs mb-1" style={{ color: primary }}>Wickets</div>
+                {performers.wickets.map((r) => (
+                  <div key={r.playerId} className="flex justify-between text-slate-300">
+                    <span className="truncate">{playerName(r.playerId)}</span>
+                    <span className="text-white">{r.wickets}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4">
+          <div className="text-white font-semibold mb-3">Fixtures</div>
+          {upcoming.length === 0 && <div className="text-slate-400 text-sm">No upcoming fixtures.</div>}
+          <div className="space-y-2">
+            {upcoming.map((m) => (
+              <div key={m.id} className="flex items-center justify-between text-sm">
+                <div>
+                  <div className="text-white">vs {teamName(m.teams?.a === teamId ? m.teams?.b : m.teams?.a)}</div>
+                  <div className="text-slate-400 text-xs">{m.venue}</div>
+                </div>
+                <div className="text-right text-xs">
+                  <div className="text-slate-300">{m.date ? new Date(m.date).toLocaleString() : 'TBC'}</div>
+                  {m.status === 'live' && <div className="text-amber-300">LIVE</div>}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="rounded-xl bg-slate-800/60 border border-slate-700 p-4">
+          <div className="text-white font-semibold mb-3">Results</div>
+          {results.length === 0 && <div className="text-slate-400 text-sm">No results yet.</div>}
+          <div className="space-y-2">
+            {results.map((m) => {
+              const result = matchResult(m)
+              const outcome = result === 'tie' ? 'T' : result === 'no result' ? 'NR' : m.summary.winner === teamId ? 'W' : 'L'
+              return (
+                <div key={m.id} className="flex items-center justify-between text-sm">
+                  <div>
+                    <div className="text-white">vs {teamName(m.teams?.a === teamId ? m.teams?.b : m.teams?.a)}</div>
+                    <div className="text-slate-400 text-xs">{m.summary?.margin}</div>
+                  </div>
+                  <span
+                    className={`text-xs w-7 text-center py-0.5 rounded font-semibold ${outcome === 'L' ? 'bg-red-500/20 text-red-300' : outcome === 'W' ? '' : 'bg-slate-700 text-slate-300'}`}
+                    style={outcome === 'W' ? { backgroundColor: secondary, color: '#0B1220' } : undefined}
+                  >
+                    {outcome}
+                  </span>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
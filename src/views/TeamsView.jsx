@@ -0,0 +1,31 @@
+import React from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useTeams } from '../lib/leagueData'
+
+const BRAND_ACCENT = '#F59E0B' // saffron/gold, for teams without colors
+
+export default function TeamsView() {
+  const teams = useTeams()
+  const navigate = useNavigate()
+
+  return (
+    <div className="p-4 pb-24 grid gap-3">
+      {teams.map((t) => (
+        <button
+          key={t.id}
+          onClick={() => navigate(`/teams/${t.id}`)}
+          className="text-left rounded-xl bg-slate-800/60 border border-slate-700 p-4 hover:border-slate-500 transition"
+          style={{ borderLeft: `4px solid ${t.colors?.primary || BRAND_ACCENT}` }}
+        >
+          <div className="flex items-center gap-3">
+            <img src={t.logoUrl} alt={t.name} className="w-10 h-10 rounded" />
+            <div>
+              <div className="text-white font-semibold">{t.name}</div>
+              <div className="text-slate-300 text-xs">{t.slogan}</div>
+            </div>
+          </div>
+        </button>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,159 @@
+// Guest upgrades (src/lib/account.js) against the Auth emulator: email links and Google
+// accounts link onto the guest uid, and an address that's already registered offers a switch.
+// `npm run test:auth` starts the emulator with `firebase emulators:exec`, which also sets
+// FIREBASE_AUTH_EMULATOR_HOST. The emulator takes unsigned Google ID tokens, so no popup is needed.
+
+import assert from 'node:assert/strict'
+import { after, before, beforeEach, describe, it } from 'node:test'
+import { deleteApp, initializeApp } from 'firebase/app'
+import { GoogleAuthProvider, connectAuthEmulator, getAuth, signInAnonymously, signInWithCredential, signOut } from 'firebase/auth'
+import { completeEmailLink, linkCredential, sendEmailLink } from '../../src/lib/account.js'
+
+const PROJECT_ID = 'demo-jpl'
+const emulator = `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}`
+const emulatorApi = `${emulator}/emulator/v1/projects/${PROJECT_ID}`
+
+const google = (sub, email) => GoogleAuthProvider.credential(JSON.stringify({ sub, email, email_verified: true }))
+
+// The parts of the browser account.js touches: the page URL, the stored address and the prompts
+function fakeWindow() {
+  const stored = new Map()
+  return {
+    location: { origin: 'http://localhost', pathname: '/', href: 'http://localhost/' },
+    localStorage: {
+      getItem: (key) => stored.get(key) ?? null,
+      setItem: (key, value) => stored.set(key, value),
+      removeItem: (key) => stored.delete(key),
+    },
+    history: { replaceState() {} },
+    confirm: () => true,
+    prompt: () => null,
+    alert() {},
+  }
+}
+
+// Opens the page from the newest link the emulator has sent to an address
+async function openLatestLink(email) {
+  const { oobCodes } = await fetch(`${emulatorApi}/oobCodes`).then((res) => res.json())
+  window.location.href = oobCodes.filter((c) => c.email === email).at(-1).oobLink
+}
+
+// Sends a sign-in link and opens it, as a click in the email would
+async function openEmailLink(auth, email) {
+  await sendEmailLink(auth, email)
+  await openLatestLink(email)
+}
+
+// An account that already exists, left signed out with a fresh guest session in its place
+async function existingAccount(auth, credential) {
+  const { user } = await signInWithCredential(auth, credential)
+  await signOut(auth)
+  await signInAnonymously(auth)
+  return user.uid
+}
+
+// The same for an address registered through an email link
+async function existingEmailAccount(auth, email) {
+  await signOut(auth)
+  await openEmailLink(auth, email)
+  await completeEmailLink(auth)
+  const { uid } = auth.currentUser
+  await signOut(auth)
+  await signInAnonymously(auth)
+  return uid
+}
+
+describe('guest account upgrades', () => {
+  let app
+  let auth
+  let guest
+
+  before(() => {
+    app = initializeApp({ projectId: PROJECT_ID, apiKey: 'fake-api-key' })
+    auth = getAuth(app)
+    connectAuthEmulator(auth, emulator, { disableWarnings: true })
+  })
+  after(() => deleteApp(app))
+
+  beforeEach(async () => {
+    await fetch(`${emulatorApi}/accounts`, { method: 'DELETE' })
+    globalThis.window = fakeWindow()
+    await signOut(auth)
+    guest = (await signInAnonymously(auth)).user.uid
+  })
+
+  describe('email link', () => {
+    it('links the address onto the guest, keeping its uid', async () => {
+      await openEmailLink(auth, 'fan@example.com')
+      assert.equal(await completeEmailLink(auth), true)
+      assert.equal(auth.currentUser.uid, guest)
+      assert.equal(auth.currentUser.isAnonymous, false)
+      assert.equal(auth.currentUser.email, 'fan@example.com')
+    })
+
+    it('asks for the address when the link is opened on another device', async () => {
+      await openEmailLink(auth, 'fan@example.com')
+      window.localStorage.removeItem('jpl_signin_email')
+      window.prompt = () => 'fan@example.com'
+      assert.equal(await completeEmailLink(auth), true)
+      assert.equal(auth.currentUser.uid, guest)
+      assert.equal(auth.currentUser.email, 'fan@example.com')
+    })
+
+    it('does nothing on a page that was not opened from a link', async () => {
+      assert.equal(await completeEmailLink(auth), false)
+      assert.equal(auth.currentUser.uid, guest)
+      assert.equal(auth.currentUser.isAnonymous, true)
+    })
+
+    it('sends a fresh link to switch to a registered address, since the first is used up', async () => {
+      const registered = await existingEmailAccount(auth, 'fan@example.com')
+      guest = auth.currentUser.uid
+
+      await openEmailLink(auth, 'fan@example.com')
+      assert.equal(await completeEmailLink(auth), true)
+      assert.equal(auth.currentUser.uid, guest)
+
+      await openLatestLink('fan@example.com')
+      assert.equal(await completeEmailLink(auth), true)
+      assert.equal(auth.currentUser.uid, registered)
+    })
+
+    it('stays the guest when the user declines the switch', async () => {
+      await existingEmailAccount(auth, 'fan@example.com')
+      guest = auth.currentUser.uid
+
+      await openEmailLink(auth, 'fan@example.com')
+      window.confirm = () => false
+      await assert.rejects(completeEmailLink(auth), { code: 'auth/email-already-in-use' })
+      assert.equal(auth.currentUser.uid, guest)
+      assert.equal(auth.currentUser.isAnonymous, true)
+    })
+  })
+
+  describe('Google', () => {
+    it('links the Google account onto the guest, keeping its uid', async () => {
+      await linkCredential(auth, google('google-fan', 'fan@gmail.com'))
+      assert.equal(auth.currentUser.uid, guest)
+      assert.equal(auth.currentUser.isAnonymous, false)
+      assert.deepEqual(auth.currentUser.providerData.map((p) => p.providerId), ['google.com'])
+    })
+
+    it('switches to a Google account that is already registered when the user agrees', async () => {
+      const registered = await existingAccount(auth, google('google-fan', 'fan@gmail.com'))
+      guest = auth.currentUser.uid
+      await linkCredential(auth, google('google-fan', 'fan@gmail.com'))
+      assert.equal(auth.currentUser.uid, registered)
+      assert.notEqual(registered, guest)
+    })
+
+    it('stays the guest when the user declines the switch', async () => {
+      await existingAccount(auth, google('google-fan', 'fan@gmail.com'))
+      guest = auth.currentUser.uid
+      window.confirm = () => false
+      await assert.rejects(linkCredential(auth, google('google-fan', 'fan@gmail.com')), { code: 'auth/credential-already-in-use' })
+      assert.equal(auth.currentUser.uid, guest)
+      assert.equal(auth.currentUser.isAnonymous, true)
+    })
+  })
+})
@@ -0,0 +1,37 @@
+// League scheduling (src/lib/schedule.js): pairings, fixture IDs and match-day slot times.
+
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { scheduleSeason } from '../../src/lib/schedule.js'
+
+const TEAMS = ['A', 'B', 'C', 'D']
+const pairKey = ({ a, b }) => [a, b].sort().join('-')
+
+describe('scheduleSeason', () => {
+  it('pairs every team with every other once, numbered like the season file', () => {
+    const fixtures = scheduleSeason(TEAMS, { startDate: '2025-04-01' })
+    assert.equal(fixtures.length, 6)
+    assert.equal(new Set(fixtures.map((f) => pairKey(f.teams))).size, 6)
+    assert.deepEqual(fixtures.map((f) => f.id), ['match_1', 'match_2', 'match_3', 'match_4', 'match_5', 'match_6'])
+  })
+
+  it('spaces the games on one day four hours apart, ending at the start time', () => {
+    const fixtures = scheduleSeason(TEAMS, { startDate: '2025-04-01', startTime: '19:30', matchesPerDay: 2 })
+    const [early, late] = fixtures
+    assert.equal(Date.parse(late.date) - Date.parse(early.date), 4 * 3600 * 1000)
+  })
+
+  it('fits as many games in a day as the start time allows', () => {
+    const fixtures = scheduleSeason(TEAMS, { startDate: '2025-04-01', startTime: '19:30', matchesPerDay: 5 })
+    for (const f of fixtures) assert.ok(!Number.isNaN(Date.parse(f.date)), `${f.id} has a valid date`)
+  })
+
+  it('refuses more games a day than fit before the start time', () => {
+    assert.throws(() => scheduleSeason(TEAMS, { startDate: '2025-04-01', matchesPerDay: 6 }), /at most 5 games/)
+    assert.throws(() => scheduleSeason(TEAMS, { startDate: '2025-04-01', startTime: '10:00', matchesPerDay: 4 }), /at most 3 games/)
+  })
+
+  it('refuses a start time it cannot read', () => {
+    assert.throws(() => scheduleSeason(TEAMS, { startDate: '2025-04-01', startTime: 'evening' }), /HH:MM/)
+  })
+})
@@ -0,0 +1,138 @@
+// Who may write what (firestore.rules): league data by role, the scorer's narrow players update,
+// users' own trees, and the append-only admin change history.
+
+import { after, before, beforeEach, describe, it } from 'node:test'
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing'
+import { addDoc, deleteDoc, doc, getDoc, getDocs, setDoc, updateDoc } from 'firebase/firestore'
+import { addTeam, callers, fantasyPath, inAnHour, leaguePath, seed, setupRules, userPath } from './helpers.js'
+
+const player = { id: 'p1', teamId: 't1', name: 'A. Batter', role: 'Batsman', batting: { runs: 10 }, bowling: { wickets: 0 } }
+const logEntry = (uid) => ({ collection: 'teams', docId: 't1', action: 'update', label: 'Lions', changes: ['name'], uid, by: 'Admin', at: new Date() })
+
+describe('access rules', () => {
+  let env
+  let db
+
+  before(async () => {
+    env = await setupRules()
+    db = callers(env)
+  })
+  after(() => env?.cleanup())
+
+  beforeEach(async () => {
+    await env.clearFirestore()
+    await seed(env, {
+      [leaguePath('teams', 't1')]: { id: 't1', name: 'Lions' },
+      [leaguePath('players', 'p1')]: player,
+      [leaguePath('matches', 'm1')]: { id: 'm1', status: 'upcoming', lockAt: inAnHour() },
+      [leaguePath('fixtures', 'm1')]: { id: 'm1', status: 'upcoming' },
+      [leaguePath('meta', 'points_table')]: { entries: [] },
+      [leaguePath('admin_log', 'e1')]: logEntry('admin'),
+      [userPath('bob')]: { displayName: 'Bob' },
+      [userPath('bob', 'settings', 'alerts')]: { follows: [] },
+    })
+  })
+
+  describe('league data under jpl_stats', () => {
+    it('is readable by signed-in users, anonymous ones included, but not signed-out clients', async () => {
+      await assertSucceeds(getDoc(doc(db.alice, leaguePath('teams', 't1'))))
+      await assertSucceeds(getDoc(doc(db.anonymous, leaguePath('teams', 't1'))))
+      await assertFails(getDoc(doc(db.signedOut, leaguePath('teams', 't1'))))
+    })
+
+    it('refuses writes from fans, anonymous users and signed-out clients', async () => {
+      for (const who of ['alice', 'anonymous', 'signedOut']) {
+        await assertFails(setDoc(doc(db[who], leaguePath('teams', 't2')), { id: 't2', name: 'Tigers' }))
+        await assertFails(updateDoc(doc(db[who], leaguePath('teams', 't1')), { name: 'Renamed' }))
+        await assertFails(deleteDoc(doc(db[who], leaguePath('teams', 't1'))))
+        await assertFails(updateDoc(doc(db[who], leaguePath('matches', 'm1')), { status: 'live' }))
+        await assertFails(setDoc(doc(db[who], leaguePath('meta', 'points_table')), { entries: [] }))
+      }
+    })
+
+    it('lets scorers write matches, their subcollections, fixtures and meta docs', async () => {
+      await assertSucceeds(updateDoc(doc(db.scorer, leaguePath('matches', 'm1')), { status: 'live' }))
+      await assertSucceeds(setDoc(doc(db.scorer, `${leaguePath('matches', 'm1')}/commentary/0001_ball`), { seq: 1, text: 'dot ball.' }))
+      await assertSucceeds(updateDoc(doc(db.scorer, leaguePath('fixtures', 'm1')), { status: 'live' }))
+      await assertSucceeds(setDoc(doc(db.scorer, leaguePath('meta', 'points_table')), { entries: [] }))
+    })
+
+    it('keeps teams and squads admin-only, even for scorers', async () => {
+      await assertFails(setDoc(doc(db.scorer, leaguePath('teams', 't2')), { id: 't2', name: 'Tigers' }))
+      await assertFails(updateDoc(doc(db.scorer, leaguePath('teams', 't1')), { name: 'Renamed' }))
+      await assertSucceeds(setDoc(doc(db.admin, leaguePath('teams', 't2')), { id: 't2', name: 'Tigers' }))
+      await assertSucceeds(updateDoc(doc(db.admin, leaguePath('teams', 't1')), { name: 'Renamed' }))
+      await assertSucceeds(deleteDoc(doc(db.admin, leaguePath('teams', 't2'))))
+    })
+  })
+
+  describe('players', () => {
+    it('lets scorers refresh career stats only', async () => {
+      const ref = doc(db.scorer, leaguePath('players', 'p1'))
+      await assertSucceeds(updateDoc(ref, { batting: { runs: 42 }, bowling: { wickets: 1 }, updatedAt: new Date() }))
+      await assertFails(updateDoc(ref, { name: 'Someone Else' }))
+      await assertFails(updateDoc(ref, { batting: { runs: 50 }, teamId: 't2' }))
+    })
+
+    it("doesn't let scorers create or delete players", async () => {
+      await assertFails(setDoc(doc(db.scorer, leaguePath('players', 'p2')), { ...player, id: 'p2' }))
+      await assertFails(deleteDoc(doc(db.scorer, leaguePath('players', 'p1'))))
+    })
+
+    it('lets admins edit anything on a player', async () => {
+      await assertSucceeds(updateDoc(doc(db.admin, leaguePath('players', 'p1')), { name: 'Renamed', teamId: 't2' }))
+    })
+  })
+
+  describe("users' own trees", () => {
+    it('lets users write their own profile, settings and fantasy docs', async () => {
+      await assertSucceeds(setDoc(doc(db.alice, userPath('alice')), { displayName: 'Alice' }))
+      await assertSucceeds(setDoc(doc(db.alice, userPath('alice', 'settings', 'alerts')), { follows: ['t1'] }))
+      await assertSucceeds(setDoc(doc(db.alice, fantasyPath('alice', 'm1')), { matchId: 'm1' }))
+      await assertSucceeds(addTeam(db.alice, 'alice', 'm1', 't1', { name: 'Team 1' }))
+    })
+
+    it("refuses writes to another user's tree", async () => {
+      await assertFails(setDoc(doc(db.alice, userPath('bob')), { displayName: 'Not Bob' }))
+      await assertFails(setDoc(doc(db.alice, userPath('bob', 'settings', 'alerts')), { follows: [] }))
+      await assertFails(setDoc(doc(db.alice, fantasyPath('bob', 'm1')), { matchId: 'm1' }))
+      await assertFails(setDoc(doc(db.alice, fantasyPath('bob', 'm1', 'teams', 't1')), { name: 'Team 1' }))
+      await assertFails(setDoc(doc(db.alice, fantasyPath('bob', 'm1', 'contests', 'c1')), { matchId: 'm1', contestId: 'c1', teamId: 't1' }))
+      await assertFails(setDoc(doc(db.alice, userPath('bob', 'jpl_predictions', 'm1')), { matchId: 'm1', winnerId: 't1' }))
+    })
+
+    it('shows profiles to everyone but keeps settings private', async () => {
+      await assertSucceeds(getDoc(doc(db.alice, userPath('bob'))))
+      await assertFails(getDoc(doc(db.alice, userPath('bob', 'settings', 'alerts'))))
+    })
+
+    it("doesn't exempt scorers or admins", async () => {
+      await assertFails(setDoc(doc(db.scorer, userPath('bob')), { displayName: 'Not Bob' }))
+      await assertFails(setDoc(doc(db.admin, fantasyPath('bob', 'm1', 'teams', 't1')), { name: 'Team 1' }))
+    })
+  })
+
+  describe('admin change history', () => {
+    const log = (who) => doc(db[who], leaguePath('admin_log', 'e1')).parent
+
+    it('takes new entries from admins, signed with their own uid', async () => {
+      await assertSucceeds(addDoc(log('admin'), logEntry('admin')))
+      await assertFails(addDoc(log('admin'), logEntry('someone-else')))
+    })
+
+    it('is append-only', async () => {
+      await assertFails(updateDoc(doc(db.admin, leaguePath('admin_log', 'e1')), { label: 'Edited' }))
+      await assertFails(setDoc(doc(db.admin, leaguePath('admin_log', 'e1')), logEntry('admin')))
+      await assertFails(deleteDoc(doc(db.admin, leaguePath('admin_log', 'e1'))))
+    })
+
+    it('is readable and writable by admins only', async () => {
+      await assertSucceeds(getDocs(log('admin')))
+      for (const who of ['alice', 'anonymous', 'scorer']) {
+        await assertFails(getDoc(doc(db[who], leaguePath('admin_log', 'e1'))))
+        await assertFails(getDocs(log(who)))
+        await assertFails(addDoc(log(who), logEntry(who)))
+      }
+    })
+  })
+})
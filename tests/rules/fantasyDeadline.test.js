@@ -0,0 +1,136 @@
+// Fantasy deadline (firestore.rules matchOpen): saved teams, contest entries and contest joins
+// are writable only while the match is upcoming and before its lockAt. Saved teams are also
+// capped per match.
+
+import { after, before, beforeEach, describe, it } from 'node:test'
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing'
+import { deleteDoc, doc, getDoc, increment, setDoc, updateDoc } from 'firebase/firestore'
+import { addTeam, anHourAgo, callers, fantasyPath, inAnHour, leaguePath, seed, setupRules } from './helpers.js'
+
+const team = { name: 'Team 1', players: ['p1', 'p2'], captainId: 'p1', viceCaptainId: 'p2' }
+const entry = (matchId, contestId) => ({ matchId, contestId, teamId: 't1' })
+
+// One match in each state, with an open public contest on each
+const MATCHES = {
+  open: { status: 'upcoming', lockAt: inAnHour() },
+  noLockAt: { status: 'upcoming' },
+  pastLockAt: { status: 'upcoming', lockAt: anHourAgo() },
+  live: { status: 'live', lockAt: inAnHour() },
+  completed: { status: 'completed', lockAt: anHourAgo() },
+}
+const CLOSED = ['pastLockAt', 'live', 'completed']
+
+describe('fantasy deadline rules', () => {
+  let env
+  let db
+
+  before(async () => {
+    env = await setupRules()
+    db = callers(env)
+  })
+  after(() => env?.cleanup())
+
+  beforeEach(async () => {
+    await env.clearFirestore()
+    const docs = {}
+    for (const [id, match] of Object.entries(MATCHES)) {
+      docs[leaguePath('matches', id)] = { id, ...match }
+      docs[leaguePath('fantasy_contests', `c_${id}`)] = { id: `c_${id}`, matchId: id, isPublic: true, status: 'open', entryCount: 0 }
+      docs[fantasyPath('alice', id)] = { matchId: id }
+    }
+    await seed(env, docs)
+  })
+
+  describe('saved teams', () => {
+    it('can be saved while the match is open', async () => {
+      await assertSucceeds(addTeam(db.alice, 'alice', 'open', 't1', team))
+      await assertSucceeds(addTeam(db.alice, 'alice', 'noLockAt', 't1', team))
+    })
+
+    it('are capped at three per match', async () => {
+      for (const id of ['t1', 't2', 't3']) await assertSucceeds(addTeam(db.alice, 'alice', 'open', id, team))
+      await assertFails(addTeam(db.alice, 'alice', 'open', 't4', team))
+      await assertSucceeds(updateDoc(doc(db.alice, fantasyPath('alice', 'open', 'teams', 't1')), { captainId: 'p2' }))
+    })
+
+    it("can't be saved without counting them, or have the count wound back", async () => {
+      await assertFails(setDoc(doc(db.alice, fantasyPath('alice', 'open', 'teams', 't1')), team))
+      await addTeam(db.alice, 'alice', 'open', 't1', team)
+      await assertFails(updateDoc(doc(db.alice, fantasyPath('alice', 'open')), { teamCount: 0 }))
+      await assertFails(deleteDoc(doc(db.alice, fantasyPath('alice', 'open'))))
+    })
+
+    for (const id of CLOSED) {
+      it(`can't be created or changed once the match is ${id}`, async () => {
+        await assertFails(addTeam(db.alice, 'alice', id, 't1', team))
+        await seed(env, { [fantasyPath('alice', id, 'teams', 't2')]: team })
+        await assertFails(updateDoc(doc(db.alice, fantasyPath('alice', id, 'teams', 't2')), { captainId: 'p2' }))
+        await assertFails(deleteDoc(doc(db.alice, fantasyPath('alice', id, 'teams', 't2'))))
+      })
+    }
+
+    for (const id of CLOSED) {
+      it(`sit under a match doc that is frozen too once the match is ${id}`, async () => {
+        const ref = doc(db.alice, fantasyPath('alice', id))
+        await assertFails(setDoc(ref, { inviteCodes: { [`c_${id}`]: 'ABC123' } }, { merge: true }))
+        await assertFails(updateDoc(ref, { lastActionAt: new Date() }))
+      })
+    }
+
+    it('stay private until the match locks', async () => {
+      await seed(env, { [fantasyPath('alice', 'open', 'teams', 't1')]: team, [fantasyPath('alice', 'live', 'teams', 't1')]: team })
+      await assertFails(getDoc(doc(db.bob, fantasyPath('alice', 'open', 'teams', 't1'))))
+      await assertSucceeds(getDoc(doc(db.bob, fantasyPath('alice', 'live', 'teams', 't1'))))
+    })
+  })
+
+  describe('contest entries', () => {
+    it('can be made and switched while the match is open', async () => {
+      const ref = doc(db.alice, fantasyPath('alice', 'open', 'contests', 'c_open'))
+      await assertSucceeds(setDoc(ref, entry('open', 'c_open')))
+      await assertSucceeds(updateDoc(ref, { teamId: 't2' }))
+    })
+
+    it('must point at the match they are filed under', async () => {
+      await assertFails(setDoc(doc(db.alice, fantasyPath('alice', 'open', 'contests', 'c_open')), entry('live', 'c_open')))
+    })
+
+    for (const id of CLOSED) {
+      it(`are frozen once the match is ${id}`, async () => {
+        await assertFails(setDoc(doc(db.alice, fantasyPath('alice', id, 'contests', `c_${id}`)), entry(id, `c_${id}`)))
+        await seed(env, { [fantasyPath('alice', id, 'contests', `c_${id}`)]: entry(id, `c_${id}`) })
+        const ref = doc(db.alice, fantasyPath('alice', id, 'contests', `c_${id}`))
+        await assertFails(updateDoc(ref, { teamId: 't2' }))
+        await assertFails(deleteDoc(ref))
+      })
+    }
+  })
+
+  describe('joining a contest', () => {
+    it('bumps entryCount by one while the match is open', async () => {
+      await assertSucceeds(updateDoc(doc(db.alice, leaguePath('fantasy_contests', 'c_open')), { entryCount: increment(1) }))
+      await assertSucceeds(updateDoc(doc(db.alice, leaguePath('fantasy_contests', 'c_noLockAt')), { entryCount: increment(1) }))
+    })
+
+    it("can't change entryCount by more than one or touch other fields", async () => {
+      const ref = doc(db.alice, leaguePath('fantasy_contests', 'c_open'))
+      await assertFails(updateDoc(ref, { entryCount: increment(2) }))
+      await assertFails(updateDoc(ref, { entryCount: increment(1), status: 'completed' }))
+    })
+
+    for (const id of CLOSED) {
+      it(`is refused once the match is ${id}`, async () => {
+        await assertFails(updateDoc(doc(db.alice, leaguePath('fantasy_contests', `c_${id}`)), { entryCount: increment(1) }))
+      })
+    }
+
+    it('is refused when the contest itself is locked', async () => {
+      await seed(env, { [leaguePath('fantasy_contests', 'c_open')]: { id: 'c_open', matchId: 'open', isPublic: true, status: 'locked', entryCount: 0 } })
+      await assertFails(updateDoc(doc(db.alice, leaguePath('fantasy_contests', 'c_open')), { entryCount: increment(1) }))
+    })
+
+    it('stays open to scorers after lock, so they can settle contests', async () => {
+      await assertSucceeds(updateDoc(doc(db.scorer, leaguePath('fantasy_contests', 'c_live')), { status: 'locked' }))
+    })
+  })
+})
@@ -0,0 +1,52 @@
+// Shared setup for the firestore.rules suites. They run against the Firestore emulator:
+// `npm test` starts it with `firebase emulators:exec`, which also sets FIRESTORE_EMULATOR_HOST.
+
+import { readFileSync } from 'node:fs'
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing'
+import { Timestamp, doc, increment, setDoc, writeBatch } from 'firebase/firestore'
+
+const APP_ID = 'jpl-test'
+const HOUR_MS = 3600 * 1000
+
+// Paths as useJplRefs builds them in src/JPLApp.jsx
+export const leaguePath = (collection, id) => `artifacts/${APP_ID}/public/data/jpl_stats/league/${collection}/${id}`
+export const userPath = (uid, ...rest) => [`artifacts/${APP_ID}/public/data/users/${uid}`, ...rest].join('/')
+export const fantasyPath = (uid, matchId, ...rest) => userPath(uid, 'jpl_fantasy', matchId, ...rest)
+
+export const inAnHour = () => Timestamp.fromMillis(Date.now() + HOUR_MS)
+export const anHourAgo = () => Timestamp.fromMillis(Date.now() - HOUR_MS)
+
+export function setupRules() {
+  return initializeTestEnvironment({
+    projectId: 'demo-jpl',
+    firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') },
+  })
+}
+
+// One Firestore handle per kind of caller
+export function callers(env) {
+  return {
+    signedOut: env.unauthenticatedContext().firestore(),
+    anonymous: env.authenticatedContext('anon', { firebase: { sign_in_provider: 'anonymous' } }).firestore(),
+    alice: env.authenticatedContext('alice').firestore(),
+    bob: env.authenticatedContext('bob').firestore(),
+    scorer: env.authenticatedContext('scorer', { scorer: true }).firestore(),
+    admin: env.authenticatedContext('admin', { admin: true }).firestore(),
+  }
+}
+
+/** Writes { path: data } with the rules switched off. */
+export function seed(env, docs) {
+  return env.withSecurityRulesDisabled(async (ctx) => {
+    const db = ctx.firestore()
+    for (const [path, data] of Object.entries(docs)) await setDoc(doc(db, path), data)
+  })
+}
+
+/** Saves a new XI the way saveTeam does: the team plus a bump of the match doc's teamCount. */
+export function addTeam(db, uid, matchId, teamId, team) {
+  const batch = writeBatch(db)
+  batch.set(doc(db, fantasyPath(uid, matchId)), { matchId, teamCount: increment(1) }, { merge: true })
+  batch.set(doc(db, fantasyPath(uid, matchId, 'teams', teamId)), team)
+  return batch.commit()
+}
@@ -0,0 +1,94 @@
+// Private leagues (firestore.rules mayEnter and fantasy_invites): the code stays off the public
+// contest doc, and joining needs it unless you created the league.
+
+import { after, before, beforeEach, describe, it } from 'node:test'
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing'
+import { doc, getDoc, getDocs, increment, query, setDoc, updateDoc, where, writeBatch } from 'firebase/firestore'
+import { callers, fantasyPath, inAnHour, leaguePath, seed, setupRules } from './helpers.js'
+
+const league = (id, extra = {}) => ({ id, matchId: 'm1', isPublic: false, createdBy: 'alice', status: 'open', entryCount: 0, ...extra })
+const invite = (code, contestId) => ({ code, contestId, matchId: 'm1', createdBy: 'alice', createdAt: new Date() })
+const entry = (contestId) => ({ matchId: 'm1', contestId, teamId: 't1' })
+
+describe('private league rules', () => {
+  let env
+  let db
+
+  before(async () => {
+    env = await setupRules()
+    db = callers(env)
+  })
+  after(() => env?.cleanup())
+
+  beforeEach(async () => {
+    await env.clearFirestore()
+    await seed(env, {
+      [leaguePath('matches', 'm1')]: { id: 'm1', status: 'upcoming', lockAt: inAnHour() },
+      [leaguePath('fantasy_contests', 'c_priv')]: league('c_priv'),
+      [leaguePath('fantasy_contests', 'c_other')]: league('c_other'),
+      [leaguePath('fantasy_invites', 'ABC123')]: invite('ABC123', 'c_priv'),
+      [leaguePath('fantasy_invites', 'XYZ789')]: invite('XYZ789', 'c_other'),
+      [fantasyPath('alice', 'm1')]: { matchId: 'm1' },
+      [fantasyPath('bob', 'm1')]: { matchId: 'm1' },
+    })
+  })
+
+  // Both halves of enterContest's transaction: the entry count and the fan's own entry
+  const join = (who, contestId) => [
+    () => updateDoc(doc(db[who], leaguePath('fantasy_contests', contestId)), { entryCount: increment(1) }),
+    () => setDoc(doc(db[who], fantasyPath(who, 'm1', 'contests', contestId)), entry(contestId)),
+  ]
+  const holdCode = (who, contestId, code) => seed(env, { [fantasyPath(who, 'm1')]: { matchId: 'm1', inviteCodes: { [contestId]: code } } })
+
+  describe('invite codes', () => {
+    it('can be looked up by anyone holding one', async () => {
+      await assertSucceeds(getDoc(doc(db.bob, leaguePath('fantasy_invites', 'ABC123'))))
+      await assertFails(getDoc(doc(db.signedOut, leaguePath('fantasy_invites', 'ABC123'))))
+    })
+
+    it("can't be browsed, except by a creator listing their own", async () => {
+      const invites = (who) => doc(db[who], leaguePath('fantasy_invites', 'ABC123')).parent
+      await assertFails(getDocs(invites('bob')))
+      await assertFails(getDocs(query(invites('bob'), where('createdBy', '==', 'alice'))))
+      await assertSucceeds(getDocs(query(invites('alice'), where('createdBy', '==', 'alice'))))
+    })
+
+    it('are created alongside their own private league', async () => {
+      const batch = writeBatch(db.alice)
+      batch.set(doc(db.alice, leaguePath('fantasy_contests', 'c_new')), league('c_new'))
+      batch.set(doc(db.alice, leaguePath('fantasy_invites', 'NEW111')), invite('NEW111', 'c_new'))
+      await assertSucceeds(batch.commit())
+    })
+
+    it("can't be minted for someone else's league", async () => {
+      await assertFails(setDoc(doc(db.bob, leaguePath('fantasy_invites', 'BOB222')), { ...invite('BOB222', 'c_priv'), createdBy: 'bob' }))
+    })
+  })
+
+  describe('private leagues', () => {
+    it("can't carry their code on the public contest doc", async () => {
+      await assertFails(setDoc(doc(db.alice, leaguePath('fantasy_contests', 'c_new')), league('c_new', { inviteCode: 'NEW111' })))
+      await assertSucceeds(setDoc(doc(db.alice, leaguePath('fantasy_contests', 'c_new')), league('c_new')))
+    })
+
+    it("can't be joined without the code", async () => {
+      for (const write of join('bob', 'c_priv')) await assertFails(write())
+    })
+
+    it("can be joined with the code saved in the fan's own fantasy doc", async () => {
+      await holdCode('bob', 'c_priv', 'ABC123')
+      for (const write of join('bob', 'c_priv')) await assertSucceeds(write())
+    })
+
+    it("can't be joined with another league's code", async () => {
+      await holdCode('bob', 'c_priv', 'XYZ789')
+      for (const write of join('bob', 'c_priv')) await assertFails(write())
+      await holdCode('bob', 'c_priv', 'NOPE00')
+      for (const write of join('bob', 'c_priv')) await assertFails(write())
+    })
+
+    it('can be joined by their creator without a code', async () => {
+      for (const write of join('alice', 'c_priv')) await assertSucceeds(write())
+    })
+  })
+})